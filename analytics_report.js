@@ -0,0 +1,192 @@
+const fs = require("fs");
+const path = require("path");
+const csvWriter = require("csv-writer").createObjectCsvWriter;
+const { parseArgs } = require("./lib/cli_args");
+const { getConfig } = require("./lib/config");
+const { streamDataFile } = require("./lib/data_files");
+const { resolveHeaders, normalizeRecord } = require("./lib/schema");
+const { OUTPUT_FORMATS, resolveFormat } = require("./lib/writers");
+const { createAnalytics } = require("./lib/analytics");
+const { renderReportHtml } = require("./lib/report_html");
+const { RUN_HISTORY_FIELDS, loadRunHistory } = require("./lib/run_metadata");
+const { createLogger } = require("./lib/logger");
+
+// Configuration (see lib/config.js)
+const MASTER_BASENAME = getConfig().masterFile;
+const DEFAULT_HTML_ROWS = 100; // Rows shown per table in report.html
+
+const log = createLogger();
+
+// Run history columns shown in the report, and those that sort as numbers
+const RUN_COLUMNS = [
+  "startedAt",
+  "target",
+  "chunkSet",
+  "chunk",
+  "status",
+  "exitCode",
+  "durationSeconds",
+  "urlCount",
+  "successCount",
+  "failCount",
+  "recordCount",
+  "quarantineCount",
+  "actionsRunId",
+];
+const NUMERIC_RUN_COLUMNS = [
+  "exitCode",
+  "durationSeconds",
+  "urlCount",
+  "successCount",
+  "failCount",
+  "recordCount",
+  "quarantineCount",
+];
+
+/**
+ * Find the master file written by consolidate_data.js, preferring the
+ * configured format
+ * @returns {String} File path
+ */
+function findMasterFile() {
+  const preferred = resolveFormat(getConfig().format);
+  const candidates = [preferred, ...Object.keys(OUTPUT_FORMATS).filter((format) => format !== preferred)].map(
+    (format) => MASTER_BASENAME + OUTPUT_FORMATS[format]
+  );
+  const file = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!file) {
+    throw new Error(`No master data file found (${candidates.map((candidate) => path.basename(candidate)).join(", ")}). Run consolidate_data.js first.`);
+  }
+  return file;
+}
+
+/**
+ * Stream a consolidated file through the aggregator
+ * @param {String} file Master data file (or a snapshot)
+ * @returns {Promise<Object>} Aggregator from createAnalytics
+ */
+async function analyzeFile(file) {
+  const analytics = createAnalytics();
+  let columns = new Map();
+
+  await streamDataFile(
+    file,
+    (raw) => {
+      const record = normalizeRecord(raw, columns);
+      if (record) analytics.add(record);
+    },
+    (headers) => {
+      ({ columns } = resolveHeaders(headers));
+    }
+  );
+
+  return analytics;
+}
+
+/**
+ * Table of the worker runs recorded in the run metadata sidecars, newest first
+ * @param {Array} runs Rows from loadRunHistory
+ * @returns {Object} { id, title, columns, rows }
+ */
+function buildRunTable(runs) {
+  return {
+    id: "runs",
+    title: "Scrape runs",
+    columns: RUN_COLUMNS.map((id) => ({
+      id,
+      title: RUN_HISTORY_FIELDS.find((field) => field.id === id).title,
+      numeric: NUMERIC_RUN_COLUMNS.includes(id),
+    })),
+    rows: runs.slice().reverse(),
+  };
+}
+
+/**
+ * Main function
+ * @param {Array} [argv] Command line arguments, defaults to process.argv
+ */
+async function main(argv = process.argv.slice(2)) {
+  try {
+    // Usage: node analytics_report.js [data_file] [--out dir] [--top N]
+    // The data file defaults to master_data in the configured format; a
+    // snapshot works too. --top limits the rows of each table in report.html
+    const { positional, flags } = parseArgs(argv, ["out", "top"]);
+    const inputFile = positional[0] ? path.resolve(positional[0]) : findMasterFile();
+    if (!fs.existsSync(inputFile)) {
+      throw new Error(`Data file not found: ${inputFile}`);
+    }
+    const outputDir = typeof flags.out === "string" ? path.resolve(flags.out) : getConfig().reportsDir;
+    const limit = flags.top === undefined ? DEFAULT_HTML_ROWS : Number(flags.top);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error("--top needs a positive integer");
+    }
+
+    log.info("report.start", `Analyzing ${inputFile}...`, { file: inputFile });
+    const analytics = await analyzeFile(inputFile);
+    const summary = analytics.summary();
+    if (summary.domains === 0) {
+      throw new Error(`No records in ${inputFile}`);
+    }
+
+    const tables = analytics.tables();
+    const runs = loadRunHistory(getConfig().dataDir);
+    if (runs.length > 0) {
+      tables.push(buildRunTable(runs));
+    }
+    fs.mkdirSync(outputDir, { recursive: true });
+    for (const table of tables) {
+      const file = path.join(outputDir, `${table.id}.csv`);
+      await csvWriter({
+        path: file,
+        header: table.columns.map(({ id, title }) => ({ id, title })),
+      }).writeRecords(table.rows);
+      log.info("report.table", `${table.title}: ${table.rows.length} rows -> ${file}`, {
+        table: table.id,
+        rows: table.rows.length,
+        file,
+      });
+    }
+
+    const htmlFile = path.join(outputDir, "report.html");
+    fs.writeFileSync(
+      htmlFile,
+      renderReportHtml(
+        {
+          source: path.basename(inputFile),
+          generatedAt: new Date().toISOString(),
+          summary,
+          tables,
+        },
+        limit
+      )
+    );
+
+    const lines = [
+      `\nDomains: ${summary.domains}`,
+      `IP addresses: ${summary.ips}`,
+      `Owners: ${summary.owners}`,
+      `Countries: ${summary.countries}`,
+      `TLDs: ${summary.tlds}`,
+      `Worker runs: ${runs.length}`,
+      `\nReport saved to ${htmlFile}`,
+    ];
+    log.info("report.summary", lines.join("\n"), {
+      domains: summary.domains,
+      ips: summary.ips,
+      owners: summary.owners,
+      countries: summary.countries,
+      tlds: summary.tlds,
+      runs: runs.length,
+      file: htmlFile,
+    });
+  } catch (error) {
+    log.error("report.fatal", `An error occurred: ${error.message}`, { error: error.message });
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { analyzeFile, main };
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+const { DEFAULT_CONFIG, toFlag, splitConfigArgs, loadConfig, setConfig } = require("./lib/config");
+const { createLogger } = require("./lib/logger");
+
+// Subcommands and the scripts running them; every script exports main(args).
+// Commands with "targets" need a valid targets file before they start, and
+// scripts of commands with "processHandlers" export installProcessHandlers()
+// for their crash exit code.
+const COMMANDS = {
+  login: {
+    targets: true,
+    script: "./local_scraper",
+    usage: "[target] [--format csv|jsonl|json]",
+    description: "Log in with a visible browser, save the session cookies and test-scrape three pages",
+  },
+  generate: {
+    targets: true,
+    script: "./url_generator",
+    usage: "[target...] [--no-discover] [--retry | --refresh [--max-age days]]",
+    description: "Write the URL chunks of the targets (or retry chunks from the failure ledgers, or refresh chunks of stale pages)",
+  },
+  scrape: {
+    targets: true,
+    script: "./worker_script",
+    processHandlers: true,
+    usage: "<chunk_number> [target] [--retry | --refresh] [--format csv|jsonl] [--archive-html]",
+    description: "Scrape one chunk with the cookies in SESSION_DATA",
+  },
+  "export-cookies": {
+    script: "./cookie_export",
+    usage: "[cookie_file] [--out file] [--stdout]",
+    description: "Convert exported browser cookies into the base64 SESSION_DATA secret",
+  },
+  "check-session": {
+    targets: true,
+    script: "./session_check",
+    usage: "[target] [--warn-days N] [--no-page]",
+    description: "Report the expiry of the session cookies and check one page is served logged in",
+  },
+  enrich: {
+    targets: true,
+    script: "./enrich_details",
+    usage: "[target] [--budget N] [--shard n/count] [--kinds sites,ip]",
+    description: "Fetch and cache the site and whois pages the scraped rows link to",
+  },
+  consolidate: {
+    script: "./consolidate_data",
+    usage: "[--format csv|jsonl|json] [--sqlite [path]] [--no-details]",
+    description: "Merge all data files into master_data and today's snapshot",
+  },
+  compact: {
+    script: "./compact_data",
+    usage: "[target...] [--remove] [--dry-run]",
+    description: "Merge the data files of the targets into gzip-compressed archives per scrape date",
+  },
+  report: {
+    script: "./analytics_report",
+    usage: "[data_file] [--out dir] [--top N]",
+    description: "Write aggregate tables (IPs, owners, countries, ranks, TLDs) as CSV and a static HTML page",
+  },
+  status: {
+    targets: true,
+    script: "./coverage_status",
+    usage: "[target...] [--json]",
+    description: "Report which pages and chunks have been scraped",
+  },
+  diff: {
+    script: "./snapshot_diff",
+    usage: "[older] [newer] [--rank-threshold N] [--format csv|jsonl|json]",
+    description: "Compare two daily snapshots",
+  },
+  reparse: {
+    targets: true,
+    script: "./reparse_archive",
+    usage: "[target] [--out dir] [--format csv|jsonl|json] [--force]",
+    description: "Rebuild data files from archived HTML without a browser",
+  },
+  config: {
+    script: null,
+    usage: "",
+    description: "Validate the configuration and print it",
+  },
+};
+
+/**
+ * Print the usage of the CLI
+ */
+function printUsage() {
+  const settings = Object.keys(DEFAULT_CONFIG)
+    .filter((key) => typeof DEFAULT_CONFIG[key] !== "object")
+    .map((key) => `--${toFlag(key)}`);
+
+  console.log("Usage: node cli.js <command> [options]\n");
+  console.log("Commands:");
+  Object.entries(COMMANDS).forEach(([name, command]) => {
+    console.log(`  ${name.padEnd(14)} ${command.description}`);
+    if (command.usage) {
+      console.log(`  ${"".padEnd(14)} ${name} ${command.usage}`);
+    }
+  });
+  console.log("\nConfiguration (scraper.config.json, see README.md) can be overridden on any command:");
+  console.log("  --config <file>");
+  console.log(`  ${settings.join(" ")}`);
+}
+
+/**
+ * Main function
+ * @param {Array} [args] Command line arguments, defaults to process.argv
+ */
+async function main(args = process.argv.slice(2)) {
+  const [name, ...rest] = args;
+  if (!name || name === "help" || name === "--help" || name === "-h") {
+    printUsage();
+    return;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Unknown command "${name}".\n`);
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  // Settle the configuration before any script module reads it
+  let config;
+  let commandArgs;
+  try {
+    const { file, overrides, rest: remaining } = splitConfigArgs(rest);
+    config = loadConfig({ file, overrides });
+    commandArgs = remaining;
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+  setConfig(config);
+
+  if (command.targets || !command.script) {
+    try {
+      require("./lib/targets").loadTargets(config.targetsFile);
+    } catch (error) {
+      console.error(`Invalid targets file: ${error.message}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  if (!command.script) {
+    console.log(JSON.stringify(config, null, 2));
+    return;
+  }
+
+  // Scripts read the configuration when they are loaded, so loading one can
+  // fail as well as running it
+  try {
+    const script = require(command.script);
+    if (command.processHandlers) {
+      script.installProcessHandlers();
+    }
+    await script.main(commandArgs);
+  } catch (error) {
+    createLogger({ command: name }).error("cli.fatal", `❌ ${name} failed: ${error.stack || error}`, {
+      error: error.message,
+    });
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,288 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { createObjectCsvStringifier } = require("csv-writer");
+const { parseArgs } = require("./lib/cli_args");
+const {
+  DATA_DIR,
+  DATA_FILE_PATTERN,
+  getFileTimestamp,
+  streamDataFile,
+} = require("./lib/data_files");
+const { resolveHeaders, normalizeRecord } = require("./lib/schema");
+const { getProfile } = require("./lib/table_profiles");
+const { loadTargetProfiles } = require("./lib/targets");
+const { loadCheckpoint } = require("./lib/chunk_checkpoint");
+const { snapshotDate } = require("./lib/snapshots");
+const {
+  getCompactedDir,
+  getArchiveName,
+  loadCompactionIndex,
+  saveCompactionIndex,
+  isCompacted,
+} = require("./lib/compaction");
+const { createLogger } = require("./lib/logger");
+
+const log = createLogger();
+
+/**
+ * Data files a worker is still appending to, from the chunk checkpoints. A
+ * checkpoint that cannot be read does not say which file is its own, so all
+ * data files of its chunk are treated as in use.
+ * @param {String} targetDir Data directory of the target
+ * @param {Array} dataFiles Data file names of the target
+ * @returns {Object} { active, unreadable } with a Set of data file names
+ *   and the checkpoint files that could not be read
+ */
+function findActiveDataFiles(targetDir, dataFiles) {
+  const checkpointDir = path.join(targetDir, "checkpoints");
+  const active = new Set();
+  const unreadable = [];
+  if (!fs.existsSync(checkpointDir)) {
+    return { active, unreadable };
+  }
+
+  fs.readdirSync(checkpointDir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .forEach((file) => {
+      try {
+        const checkpoint = loadCheckpoint(path.join(checkpointDir, file));
+        if (checkpoint.outputFile) active.add(checkpoint.outputFile);
+      } catch (error) {
+        // "chunk_0001.json" -> data_chunk_0001_<timestamp>.<ext>
+        const prefix = `data_${path.basename(file, ".json")}_`;
+        dataFiles.filter((name) => name.startsWith(prefix)).forEach((name) => active.add(name));
+        unreadable.push(path.join("checkpoints", file));
+      }
+    });
+
+  return { active, unreadable };
+}
+
+/**
+ * Read the rows of a data file or archive in canonical form. Rows without
+ * Scraped_At get the timestamp of the file name, which the archive loses.
+ * @param {String} file Data file or archive path
+ * @param {Object} profile Table profile
+ * @returns {Promise<Array>} Canonical records
+ */
+async function readRows(file, profile) {
+  const fileScrapedAt = getFileTimestamp(file);
+  const rows = [];
+  let columns = new Map();
+
+  await streamDataFile(
+    file,
+    (raw) => {
+      const record = normalizeRecord(raw, columns, profile);
+      if (!record) return;
+      if (!record.scrapedAt) record.scrapedAt = fileScrapedAt;
+      rows.push(record);
+    },
+    (headers) => {
+      ({ columns } = resolveHeaders(headers, profile));
+    }
+  );
+
+  return rows;
+}
+
+/**
+ * Write rows to a gzip-compressed CSV archive, replacing it atomically
+ * @param {String} file Archive path
+ * @param {Array} rows Canonical records
+ * @param {Array} fields Field definitions ({ id, title })
+ */
+function writeArchive(file, rows, fields) {
+  const stringifier = createObjectCsvStringifier({
+    header: fields.map(({ id, title }) => ({ id, title })),
+  });
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(
+    tmpFile,
+    zlib.gzipSync(stringifier.getHeaderString() + stringifier.stringifyRecords(rows))
+  );
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Merge the data files of one target into its archives, one per scrape date
+ * @param {String} targetDir Data directory of the target
+ * @param {Object} profile Table profile of the target
+ * @param {Object} options { remove, dryRun }
+ * @returns {Promise<Object>} { compacted, rows, archives, active, unreadable,
+ *   changed, removed }
+ */
+async function compactTarget(targetDir, profile, options) {
+  const index = loadCompactionIndex(targetDir);
+  const dataFiles = fs
+    .readdirSync(targetDir)
+    .filter((file) => DATA_FILE_PATTERN.test(file))
+    .sort();
+  const { active, unreadable } = findActiveDataFiles(targetDir, dataFiles);
+  const result = {
+    compacted: [],
+    rows: 0,
+    archives: new Map(),
+    active: [],
+    unreadable,
+    changed: [],
+    removed: [],
+  };
+
+  // Rows of each new data file, split by scrape date
+  const partitions = new Map();
+  for (const file of dataFiles) {
+    const size = fs.statSync(path.join(targetDir, file)).size;
+    if (active.has(file)) {
+      result.active.push(file);
+      continue;
+    }
+    if (index.sources[file]) {
+      // A resumed chunk that grew after compaction stays a data file
+      if (!isCompacted(index, file, size)) result.changed.push(file);
+      continue;
+    }
+
+    const perArchive = {};
+    const rows = await readRows(path.join(targetDir, file), profile);
+    rows.forEach((record) => {
+      const archive = getArchiveName(snapshotDate(record.scrapedAt));
+      if (!partitions.has(archive)) partitions.set(archive, []);
+      partitions.get(archive).push(record);
+      perArchive[archive] = (perArchive[archive] || 0) + 1;
+    });
+
+    result.compacted.push(file);
+    result.rows += rows.length;
+    index.sources[file] = {
+      size,
+      rows: rows.length,
+      archives: perArchive,
+      compactedAt: new Date().toISOString(),
+    };
+  }
+
+  // Existing archives are rewritten with the new rows appended
+  if (!options.dryRun && partitions.size > 0) {
+    fs.mkdirSync(getCompactedDir(targetDir), { recursive: true });
+  }
+  for (const [archive, rows] of Array.from(partitions.entries()).sort()) {
+    const archivePath = path.join(getCompactedDir(targetDir), archive);
+    const entry = index.archives[archive] || { rows: 0, sources: [] };
+    const sources = result.compacted.filter((file) => index.sources[file].archives[archive]);
+    result.archives.set(archive, rows.length);
+    if (options.dryRun) continue;
+
+    const existing = fs.existsSync(archivePath) ? await readRows(archivePath, profile) : [];
+    writeArchive(archivePath, existing.concat(rows), profile.fields);
+    index.archives[archive] = {
+      rows: existing.length + rows.length,
+      sources: entry.sources.concat(sources),
+    };
+  }
+
+  if (options.dryRun) {
+    return result;
+  }
+
+  // Data files whose rows are in an archive are superseded by it, unless a
+  // worker is appending to them again
+  if (options.remove) {
+    Object.entries(index.sources).forEach(([file, source]) => {
+      const filePath = path.join(targetDir, file);
+      if (
+        source.removedAt ||
+        active.has(file) ||
+        !fs.existsSync(filePath) ||
+        !isCompacted(index, file, fs.statSync(filePath).size)
+      ) {
+        return;
+      }
+      fs.unlinkSync(filePath);
+      source.removedAt = new Date().toISOString();
+      result.removed.push(file);
+    });
+  }
+
+  if (result.compacted.length > 0 || result.removed.length > 0) {
+    saveCompactionIndex(targetDir, index);
+  }
+  return result;
+}
+
+/**
+ * Main function
+ * @param {Array} [argv] Command line arguments, defaults to process.argv
+ */
+async function main(argv = process.argv.slice(2)) {
+  try {
+    // Usage: node compact_data.js [target...] [--remove] [--dry-run]
+    // --remove deletes the data files once their rows are in an archive;
+    // --dry-run only lists what would be compacted
+    const { positional: requested, flags } = parseArgs(argv);
+    const options = { remove: Boolean(flags.remove), dryRun: Boolean(flags["dry-run"]) };
+
+    const targetNames = fs.existsSync(DATA_DIR)
+      ? fs
+          .readdirSync(DATA_DIR, { withFileTypes: true })
+          .filter((entry) => entry.isDirectory())
+          .map((entry) => entry.name)
+          .sort()
+      : [];
+    const unknown = requested.filter((name) => !targetNames.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`No data directory for target(s): ${unknown.join(", ")}`);
+    }
+
+    const profiles = loadTargetProfiles();
+    for (const name of requested.length > 0 ? requested : targetNames) {
+      const profile = profiles.get(name) || getProfile();
+      const result = await compactTarget(path.join(DATA_DIR, name), profile, options);
+
+      const targetLog = log.child({ target: name, table: profile.name, dryRun: options.dryRun });
+      const lines = [
+        `\n${name} (${profile.name} table)${options.dryRun ? " [dry run]" : ""}`,
+        `Data files compacted: ${result.compacted.length} (${result.rows} rows)`,
+        ...Array.from(result.archives, ([archive, rows]) => `  ${path.join(name, "compacted", archive)}: +${rows} rows`),
+      ];
+      if (result.active.length > 0) {
+        lines.push(`Skipped, chunk still in progress: ${result.active.join(", ")}`);
+      }
+      if (options.remove && !options.dryRun) {
+        lines.push(`Data files removed: ${result.removed.length}`);
+      }
+      targetLog.info("compact.summary", lines.join("\n"), {
+        compacted: result.compacted,
+        rows: result.rows,
+        archives: Object.fromEntries(result.archives),
+        active: result.active,
+        removed: result.removed,
+      });
+      if (result.unreadable.length > 0) {
+        targetLog.warn(
+          "compact.unreadable_checkpoints",
+          `⚠️ Unreadable checkpoints, data files of their chunks left alone: ${result.unreadable.join(", ")}`,
+          { checkpoints: result.unreadable }
+        );
+      }
+      if (result.changed.length > 0) {
+        targetLog.warn(
+          "compact.changed",
+          `⚠️ Changed since they were compacted, left as data files: ${result.changed.join(", ")}`,
+          { files: result.changed }
+        );
+      }
+    }
+  } catch (error) {
+    log.error("compact.fatal", `An error occurred: ${error.message}`, { error: error.message });
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { compactTarget, main };
+
+if (require.main === module) {
+  main();
+}
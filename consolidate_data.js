@@ -1,172 +1,391 @@
 const fs = require('fs');
 const path = require('path');
-const csv = require('csv-parser');
-const csvWriter = require('csv-writer').createObjectCsvWriter;
+const { parseArgs } = require('./lib/cli_args');
+const { getConfig } = require('./lib/config');
+const { DATA_DIR, getDataFiles, getFileTimestamp, streamDataFile } = require('./lib/data_files');
+const {
+  CANONICAL_FIELDS,
+  DETAIL_FIELDS,
+  resolveHeaders,
+  normalizeRecord,
+  recordKey
+} = require('./lib/schema');
+const { DETAILS_DIR, loadDetailCache, countDetails, mergeDetails } = require('./lib/detail_cache');
+const { loadTargetProfiles } = require('./lib/targets');
+const { DEFAULT_PROFILE, getProfile } = require('./lib/table_profiles');
+const { SNAPSHOTS_DIR, snapshotDate, getSnapshotPath } = require('./lib/snapshots');
+const { openStore } = require('./lib/sqlite_store');
+const { COMPACTED_DIR, loadCompactionIndex } = require('./lib/compaction');
+const { RUN_HISTORY_FIELDS, loadRunHistory } = require('./lib/run_metadata');
+const { createLogger } = require('./lib/logger');
+const {
+  getQuarantineFields,
+  validateRecord,
+  getQuarantinePath,
+  toQuarantineRow
+} = require('./lib/validation');
+const { OUTPUT_FORMATS, resolveFormat, writeDataFile } = require('./lib/writers');
 
-// Configuration
-const DATA_DIR = path.join(__dirname, 'data');
-const OUTPUT_FILE = path.join(__dirname, 'master_data.csv');
+// Configuration (see lib/config.js)
+const OUTPUT_BASENAME = getConfig().masterFile;
+const SQLITE_FILE = getConfig().sqliteFile;
+
+const log = createLogger();
 
 /**
- * Read all CSV files in the data directory
- * @returns {Promise<Array>} Array of file paths
+ * Position of a row in the table, from its page number and row position
+ * @param {Object} record Canonical record
+ * @returns {Array} [page, row], unknown values sorting last
  */
-function getDataFiles() {
-  return new Promise((resolve, reject) => {
-    fs.readdir(DATA_DIR, (err, files) => {
-      if (err) {
-        return reject(err);
-      }
-      
-      const csvFiles = files.filter(file => file.endsWith('.csv'));
-      resolve(csvFiles.map(file => path.join(DATA_DIR, file)));
-    });
-  });
+function tablePosition(record) {
+  const toNumber = value => (value === '' || value === undefined || Number.isNaN(Number(value))
+    ? Number.MAX_SAFE_INTEGER
+    : Number(value));
+  return [toNumber(record.pageNumber), toNumber(record.rowPosition)];
 }
 
 /**
- * Read data from a CSV file
- * @param {String} filePath Path to CSV file
- * @returns {Promise<Array>} Array of data objects
+ * Order two observations of the same record. The later scrape wins; on a
+ * tie the run that started later (from the run history), then the row
+ * higher up in the table, so the result does not depend on the order files
+ * are read in.
+ * @param {Object} a { record, observedAt, runStartedAt }
+ * @param {Object} b { record, observedAt, runStartedAt }
+ * @returns {Number} Positive if a is to be kept over b
  */
-function readCsvFile(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (data) => results.push(data))
-      .on('end', () => resolve(results))
-      .on('error', (error) => reject(error));
-  });
+function compareObservations(a, b) {
+  if (a.observedAt !== b.observedAt) {
+    return a.observedAt > b.observedAt ? 1 : -1;
+  }
+  if (a.runStartedAt !== b.runStartedAt) {
+    return a.runStartedAt > b.runStartedAt ? 1 : -1;
+  }
+  const [pageA, rowA] = tablePosition(a.record);
+  const [pageB, rowB] = tablePosition(b.record);
+  return pageB - pageA || rowB - rowA;
 }
 
 /**
- * Deduplicate data based on uniqueId
- * @param {Array} data Array of data objects
- * @returns {Array} Deduplicated array
+ * Keep an observation in a deduplication map if it is newer than the one stored
+ * @param {Map} uniqueMap Map of dedupe key to { record, observedAt, runStartedAt }
+ * @param {Object} observation { record, observedAt, runStartedAt }
+ * @param {Object} profile Table profile, whose key fields identify a record
  */
-function deduplicateData(data) {
-  console.log(`Deduplicating ${data.length} records...`);
-  
-  // Use a Map to deduplicate by uniqueId
-  const uniqueMap = new Map();
-  
-  // Process each record
-  data.forEach(record => {
-    // If uniqueId is not available, create one from rank and domain
-    const uniqueId = record.UniqueID || `${record.Rank}-${record.Domain}`;
-    
-    // If this uniqueId is not in the map, or this record is newer (based on timestamp in filename)
-    // then add/update it in the map
-    if (!uniqueMap.has(uniqueId) || 
-        (record._source_timestamp && 
-         (!uniqueMap.get(uniqueId)._source_timestamp || 
-          record._source_timestamp > uniqueMap.get(uniqueId)._source_timestamp))) {
-      uniqueMap.set(uniqueId, record);
-    }
+function keepNewest(uniqueMap, observation, profile) {
+  const key = recordKey(observation.record, profile);
+  const existing = uniqueMap.get(key);
+  if (!existing || compareObservations(observation, existing) > 0) {
+    uniqueMap.set(key, observation);
+  }
+}
+
+/**
+ * Data files whose rows a compacted archive holds, from the compaction
+ * index of its target (compact_data.js)
+ * @param {String} file Path to data file or archive
+ * @returns {Array} Paths relative to the data directory; empty for data files
+ */
+function getArchiveSources(file) {
+  if (path.basename(path.dirname(file)) !== COMPACTED_DIR) return [];
+  const targetDir = path.dirname(path.dirname(file));
+  const archive = loadCompactionIndex(targetDir).archives[path.basename(file)];
+  return archive
+    ? archive.sources.map(source => path.relative(DATA_DIR, path.join(targetDir, source)))
+    : [];
+}
+
+/**
+ * Start loading a data file into the SQLite store. Loading an archive
+ * replaces the data files it holds, which were loaded before compaction.
+ * @param {Object} store Store from openStore
+ * @param {String} file Path to data file
+ * @param {String} fileObservedAt ISO timestamp from the filename
+ * @returns {Object|null} Load, or null if the file is already loaded
+ */
+function startSqliteLoad(store, file, fileObservedAt) {
+  const relative = path.relative(DATA_DIR, file);
+  const chunkMatch = path.basename(file).match(/chunk_(\d+)/);
+
+  return store.startFile({
+    sourceFile: relative,
+    target: relative.includes(path.sep) ? relative.split(path.sep)[0] : null,
+    chunk: chunkMatch ? chunkMatch[1] : null,
+    fileTimestamp: fileObservedAt || null,
+    fileSize: fs.statSync(file).size,
+    replaces: getArchiveSources(file)
   });
-  
-  const deduplicated = Array.from(uniqueMap.values());
-  console.log(`After deduplication: ${deduplicated.length} records`);
-  
-  return deduplicated;
 }
 
 /**
- * Save data to CSV file
- * @param {Array} data Array of data objects
- * @param {String} outputFile Output file path
+ * Stream one data file into the deduplication map, the dated snapshots and
+ * optionally the SQLite store. Records that fail validation are collected
+ * for the quarantine file instead. For each key the most recently scraped
+ * record is kept (Scraped_At; the filename timestamp only for rows written
+ * before Scraped_At existed), ties broken by compareObservations; snapshots
+ * keep the newest record per day.
+ * @param {String} file Path to data file
+ * @param {Object} profile Table profile of the file
+ * @param {Map} uniqueMap Map of dedupe key to { record, observedAt, runStartedAt }
+ * @param {Map|null} snapshots Map of YYYY-MM-DD to a deduplication map
+ * @param {Array} quarantined Quarantine rows, appended to
+ * @param {Map} runStarts Run ID to the start time of the run
+ * @param {Object} [store] SQLite store from openStore
+ * @returns {Promise<Object>} { read, kept, rejected, variant, loaded }
  */
-async function saveToCSV(data, outputFile) {
-  // Get all possible headers from the data
-  const allHeaders = new Set();
-  data.forEach(record => {
-    Object.keys(record).forEach(key => {
-      // Skip internal fields used for processing
-      if (!key.startsWith('_')) {
-        allHeaders.add(key);
+async function consolidateFile(file, profile, uniqueMap, snapshots, quarantined, runStarts, store) {
+  const fileObservedAt = getFileTimestamp(file);
+  const load = store ? startSqliteLoad(store, file, fileObservedAt) : null;
+  const sourceFile = path.relative(DATA_DIR, file);
+  let columns = new Map();
+  let variant = null;
+  let kept = 0;
+  let rejected = 0;
+
+  const read = await streamDataFile(
+    file,
+    raw => {
+      const normalized = normalizeRecord(raw, columns, profile);
+      if (!normalized) return;
+
+      const result = validateRecord(normalized, profile);
+      if (result.reason) {
+        rejected++;
+        quarantined.push(toQuarantineRow(result, sourceFile));
+        return;
+      }
+
+      const { record } = result;
+      kept++;
+      if (load) load.add(record);
+
+      const observation = {
+        record,
+        observedAt: record.scrapedAt || fileObservedAt,
+        runStartedAt: runStarts.get(record.runId) || ''
+      };
+      keepNewest(uniqueMap, observation, profile);
+
+      const date = snapshots && snapshotDate(observation.observedAt);
+      if (date) {
+        if (!snapshots.has(date)) snapshots.set(date, new Map());
+        keepNewest(snapshots.get(date), observation, profile);
       }
-    });
+    },
+    headers => {
+      ({ columns, variant } = resolveHeaders(headers, profile));
+    }
+  ).catch(error => {
+    if (load) load.abort();
+    throw error;
   });
-  
-  // Create header configuration for csv-writer
-  const header = Array.from(allHeaders).map(id => ({ id, title: id }));
-  
-  const writer = csvWriter({
-    path: outputFile,
-    header
+
+  if (load) load.finish(variant, kept);
+  return { read, kept, rejected, variant, loaded: Boolean(load) };
+}
+
+/**
+ * Group data files by the table profile of their target; files outside a
+ * target directory are sites tables
+ * @param {Array} files Data file paths
+ * @param {Map} profiles Target name to table profile
+ * @returns {Map} Profile name to { profile, files }, sites first
+ */
+function groupFilesByProfile(files, profiles) {
+  const groups = new Map([[DEFAULT_PROFILE, { profile: getProfile(), files: [] }]]);
+  files.forEach(file => {
+    const relative = path.relative(DATA_DIR, file);
+    const targetName = relative.includes(path.sep) ? relative.split(path.sep)[0] : null;
+    const profile = profiles.get(targetName) || getProfile();
+    if (!groups.has(profile.name)) groups.set(profile.name, { profile, files: [] });
+    groups.get(profile.name).files.push(file);
   });
-  
-  await writer.writeRecords(data);
-  console.log(`Data saved to ${outputFile}`);
+  return groups;
 }
 
 /**
- * Extract timestamp from filename
- * @param {String} filename Filename with timestamp
- * @returns {String|null} Timestamp string or null
+ * Path of the master file of a table: master_data for sites,
+ * master_data_<table> for the other tables
+ * @param {Object} profile Table profile
+ * @param {String} format Output format
+ * @returns {String} File path
  */
-function extractTimestamp(filename) {
-  const match = filename.match(/(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2})/);
-  return match ? match[1] : null;
+function getMasterPath(profile, format) {
+  const basename = profile.name === DEFAULT_PROFILE ? OUTPUT_BASENAME : `${OUTPUT_BASENAME}_${profile.name}`;
+  return basename + OUTPUT_FORMATS[format];
+}
+
+/**
+ * Consolidate the data files of one table into its master file. Snapshots,
+ * the SQLite store and detail pages are keyed by domain, so only the sites
+ * table gets them.
+ * @param {Object} profile Table profile
+ * @param {Array} files Data files of the table
+ * @param {Object} options { format, sqliteFile, details, runs }, runs being
+ *   the run history, which breaks ties between observations and which the
+ *   SQLite store records
+ */
+async function consolidateTable(profile, files, options) {
+  const isSites = profile.name === DEFAULT_PROFILE;
+  const outputFile = getMasterPath(profile, options.format);
+
+  // Stream every file into the deduplication map, keyed by the profile's key fields
+  const uniqueMap = new Map();
+  const snapshots = isSites ? new Map() : null;
+  const store = isSites && options.sqliteFile ? openStore(options.sqliteFile) : null;
+  const quarantined = [];
+  const runStarts = new Map(options.runs.map(run => [run.runId, run.startedAt]));
+  let totalRead = 0;
+  let totalKept = 0;
+  let totalRejected = 0;
+  let filesLoaded = 0;
+
+  try {
+    if (store) store.saveRuns(options.runs);
+    for (const file of files) {
+      const { read, kept, rejected, variant, loaded } =
+        await consolidateFile(file, profile, uniqueMap, snapshots, quarantined, runStarts, store);
+      log.info('consolidate.file', `Read ${path.basename(file)} (${variant}): ${kept} of ${read} rows kept, ${rejected} quarantined`, {
+        table: profile.name,
+        file: path.relative(DATA_DIR, file),
+        variant,
+        rows: read,
+        kept,
+        quarantined: rejected
+      });
+      totalRead += read;
+      totalKept += kept;
+      totalRejected += rejected;
+      if (loaded) filesLoaded++;
+    }
+  } finally {
+    if (store) store.close();
+  }
+
+  // Save consolidated data, with the detail page fields once pages are cached
+  const details = isSites && options.details ? loadDetailCache() : null;
+  const detailCount = details ? countDetails(details) : 0;
+  if (detailCount > 0) {
+    const enriched = Array.from(uniqueMap.values(), ({ record }) => mergeDetails(record, details));
+    await writeDataFile(options.format, outputFile, enriched, [...CANONICAL_FIELDS, ...DETAIL_FIELDS]);
+  } else {
+    const records = Array.from(uniqueMap.values(), ({ record }) => record);
+    await writeDataFile(options.format, outputFile, records, profile.fields);
+  }
+  log.info('consolidate.saved', `Data saved to ${outputFile}`, { table: profile.name, file: outputFile });
+
+  // Rows that failed validation are kept out of the master file
+  const quarantineFile = getQuarantinePath(outputFile);
+  if (quarantined.length > 0) {
+    await writeDataFile(options.format, quarantineFile, quarantined, getQuarantineFields(profile));
+    log.info('consolidate.saved', `Data saved to ${quarantineFile}`, { table: profile.name, file: quarantineFile });
+  } else {
+    fs.rmSync(quarantineFile, { force: true });
+  }
+
+  // Save one snapshot per scrape date so history survives deduplication
+  if (snapshots) {
+    fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+    for (const date of Array.from(snapshots.keys()).sort()) {
+      const snapshotFile = getSnapshotPath(date);
+      const records = Array.from(snapshots.get(date).values(), ({ record }) => record);
+      await writeDataFile('csv', snapshotFile, records);
+      log.info('consolidate.saved', `Data saved to ${snapshotFile}`, { table: profile.name, file: snapshotFile });
+    }
+  }
+
+  const summary = {
+    table: profile.name,
+    rows: totalRead,
+    skipped: totalRead - totalKept - totalRejected,
+    quarantined: totalRejected,
+    records: uniqueMap.size,
+    duplicates: totalKept - uniqueMap.size,
+    outputFile
+  };
+  const lines = [
+    `Consolidation of the ${profile.name} table completed successfully!`,
+    `Rows read: ${totalRead}`,
+    `Header, detail and empty rows skipped: ${summary.skipped}`,
+    `Rows quarantined: ${totalRejected}${totalRejected > 0 ? ` (${quarantineFile})` : ''}`,
+    `Final record count: ${uniqueMap.size}`,
+    `Duplicates removed: ${summary.duplicates}`
+  ];
+  if (snapshots) {
+    lines.push(`Snapshots written: ${snapshots.size} (${SNAPSHOTS_DIR})`);
+    summary.snapshots = snapshots.size;
+  }
+  if (detailCount > 0) {
+    lines.push(`Detail pages merged: ${detailCount} (${DETAILS_DIR})`);
+    summary.details = detailCount;
+  }
+  if (store) {
+    lines.push(`SQLite: ${filesLoaded} new or changed files loaded, ${files.length - filesLoaded} unchanged (${options.sqliteFile})`);
+    summary.sqliteLoaded = filesLoaded;
+    summary.sqliteUnchanged = files.length - filesLoaded;
+  }
+  log.info('consolidate.summary', lines.join('\n'), summary);
 }
 
 /**
  * Main function
+ * @param {Array} [argv] Command line arguments, defaults to process.argv
  */
-async function main() {
+async function main(argv = process.argv.slice(2)) {
   try {
-    console.log('Starting data consolidation...');
-    
-    // Get all CSV files
+    // --format csv|jsonl|json picks the master file format (default: the format setting);
+    // --sqlite [path] also loads new data files into a local SQLite database;
+    // --no-details leaves out the fields of cached detail pages (enrich_details.js)
+    const { flags } = parseArgs(argv, ['format', 'sqlite']);
+    const format = resolveFormat(flags.format || getConfig().format);
+    const sqliteFile = flags.sqlite
+      ? path.resolve(flags.sqlite === true ? SQLITE_FILE : flags.sqlite)
+      : null;
+
+    log.info('consolidate.start', 'Starting data consolidation...');
+
+    // Get all data files (CSV, JSON Lines and JSON)
     const files = await getDataFiles();
-    console.log(`Found ${files.length} CSV files`);
-    
+    log.info('consolidate.files', `Found ${files.length} data files`, { files: files.length });
+
     if (files.length === 0) {
-      console.log('No data files found. Exiting.');
+      log.info('consolidate.summary', 'No data files found. Exiting.', { files: 0 });
       return;
     }
-    
-    // Read and combine all data
-    let allData = [];
-    
-    for (const file of files) {
-      console.log(`Reading ${file}...`);
-      const data = await readCsvFile(file);
-      
-      // Add source file and timestamp metadata to each record
-      const timestamp = extractTimestamp(path.basename(file));
-      data.forEach(record => {
-        record._source_file = path.basename(file);
-        record._source_timestamp = timestamp;
+
+    // One row per worker run, from the run metadata sidecars next to the data files
+    const runs = loadRunHistory(DATA_DIR);
+
+    // Each table has its own schema and key, so it gets its own master file
+    const groups = groupFilesByProfile(files, loadTargetProfiles());
+    for (const { profile, files: tableFiles } of groups.values()) {
+      if (tableFiles.length === 0) continue;
+      log.info('consolidate.table', `\n${profile.name} table: ${tableFiles.length} data files -> ${path.basename(getMasterPath(profile, format))}`, {
+        table: profile.name,
+        files: tableFiles.length,
+        outputFile: getMasterPath(profile, format)
       });
-      
-      allData = [...allData, ...data];
+      await consolidateTable(profile, tableFiles, {
+        format,
+        sqliteFile,
+        details: !flags['no-details'],
+        runs
+      });
+    }
+
+    if (runs.length > 0) {
+      const runsFile = `${OUTPUT_BASENAME}.runs${OUTPUT_FORMATS[format]}`;
+      await writeDataFile(format, runsFile, runs, RUN_HISTORY_FIELDS);
+      log.info('consolidate.runs', `\nRun history: ${runs.length} worker runs (${runsFile})`, { runs: runs.length, file: runsFile });
     }
-    
-    console.log(`Total records read: ${allData.length}`);
-    
-    // Deduplicate data
-    const deduplicated = deduplicateData(allData);
-    
-    // Remove metadata fields before saving
-    deduplicated.forEach(record => {
-      delete record._source_file;
-      delete record._source_timestamp;
-    });
-    
-    // Save consolidated data
-    await saveToCSV(deduplicated, OUTPUT_FILE);
-    
-    console.log('Data consolidation completed successfully!');
-    console.log(`Original record count: ${allData.length}`);
-    console.log(`Final record count: ${deduplicated.length}`);
-    console.log(`Duplicates removed: ${allData.length - deduplicated.length}`);
-    
+
   } catch (error) {
-    console.error('An error occurred:', error);
+    log.error('consolidate.fatal', `An error occurred: ${error.stack || error}`, { error: error.message });
+    process.exitCode = 1;
   }
 }
 
-main();
\ No newline at end of file
+module.exports = { main };
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("./lib/cli_args");
+const { getConfig } = require("./lib/config");
+const { SITE_BASE_URL } = require("./lib/targets");
+const { readCookieFile, encodeCookies } = require("./lib/cookies");
+const { createLogger } = require("./lib/logger");
+
+/**
+ * Main function
+ * @param {Array} [argv] Command line arguments, defaults to process.argv
+ */
+async function main(argv = process.argv.slice(2)) {
+  // Usage: node cookie_export.js [cookie_file] [--out <file>] [--stdout]
+  // The cookie file is Puppeteer JSON, browser-extension JSON or a Netscape
+  // cookies.txt (default: the cookiesFile setting); --stdout prints only the
+  // secret, e.g. for `| gh secret set SESSION_DATA`
+  const { positional, flags } = parseArgs(argv, ["out"]);
+  // Keep stdout clean for the secret when piping
+  const log = createLogger({}, flags.stdout ? { stream: process.stderr } : {});
+
+  try {
+    const inputFile = path.resolve(positional[0] || getConfig().cookiesFile);
+    const outputFile =
+      typeof flags.out === "string"
+        ? path.resolve(flags.out)
+        : path.join(path.dirname(getConfig().cookiesFile), "session_cookies_base64.txt");
+
+    const { format, cookies, dropped } = readCookieFile(inputFile, SITE_BASE_URL);
+    log.info("cookies.read", `Read ${cookies.length + dropped.length} cookies from ${inputFile} (${format} format)`, {
+      file: inputFile,
+      format,
+      cookies: cookies.length,
+      dropped: dropped.length,
+    });
+    dropped.forEach((entry) => log.warn("cookies.skipped", `⚠️ Skipping ${entry.reason}`, { reason: entry.reason }));
+
+    if (cookies.length === 0) {
+      throw new Error(`No valid cookies for ${SITE_BASE_URL} in ${inputFile}`);
+    }
+
+    const secret = encodeCookies(cookies);
+    if (flags.stdout) {
+      process.stdout.write(`${secret}\n`);
+    } else {
+      fs.writeFileSync(outputFile, secret);
+      log.info(
+        "cookies.exported",
+        `Exported ${cookies.length} cookies to ${outputFile}\nPaste its content into the SESSION_DATA secret of the repository.`,
+        { file: outputFile, cookies: cookies.length }
+      );
+    }
+  } catch (error) {
+    log.error("cookies.fatal", `An error occurred: ${error.message}`, { error: error.message });
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,292 @@
+const fs = require("fs");
+const path = require("path");
+const { loadTargets, getChunkDir, normalizeUrl, parsePageUrl } = require("./lib/targets");
+const { getDataFiles, streamDataFile } = require("./lib/data_files");
+const { createLogger } = require("./lib/logger");
+
+// Configuration
+const DEFAULT_ROWS_PER_PAGE = 50;
+
+const log = createLogger();
+
+/**
+ * Load the manifest and chunk files of a target
+ * @param {Object} target Target specification
+ * @returns {Object|null} Plan with manifest, chunks and a URL lookup, or null
+ *   if the target has no generated chunks
+ */
+function loadPlan(target) {
+  const chunkDir = getChunkDir(target);
+  const manifestPath = path.join(chunkDir, "manifest.json");
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+  const chunks = fs
+    .readdirSync(chunkDir)
+    .filter((file) => /^chunk_\d+\.txt$/.test(file))
+    .sort()
+    .map((file) => ({
+      number: Number(file.match(/^chunk_(\d+)\.txt$/)[1]),
+      urls: fs
+        .readFileSync(path.join(chunkDir, file), "utf-8")
+        .split("\n")
+        .map(normalizeUrl)
+        .filter((url) => url !== ""),
+    }));
+
+  const pages = new Map();
+  chunks.forEach((chunk) => {
+    chunk.urls.forEach((url) => {
+      const parsed = parsePageUrl(url);
+      pages.set(url, { chunk: chunk.number, page: parsed ? parsed.page : null });
+    });
+  });
+
+  return { target, manifest, chunks, pages };
+}
+
+/**
+ * Count rows per planned page and per data file
+ * @param {Object} plan Plan from loadPlan
+ * @param {Array} files Data files to read
+ * @returns {Promise<Map>} Map of page URL to Map of file name to row count
+ */
+async function collectCoverage(plan, files) {
+  const coverage = new Map();
+
+  for (const file of files) {
+    const fileName = path.relative(__dirname, file);
+    await streamDataFile(file, (record) => {
+      const url = normalizeUrl(record.Source_URL);
+      // Header rows saved as records by older workers do not count
+      if (!plan.pages.has(url) || record.Rank === "No") return;
+
+      if (!coverage.has(url)) coverage.set(url, new Map());
+      const perFile = coverage.get(url);
+      perFile.set(fileName, (perFile.get(fileName) || 0) + 1);
+    });
+  }
+
+  return coverage;
+}
+
+/**
+ * Classify every page and chunk of a plan
+ * @param {Object} plan Plan from loadPlan
+ * @param {Map} coverage Coverage from collectCoverage
+ * @returns {Object} { pages, chunks } status arrays
+ */
+function classify(plan, coverage) {
+  const rowsPerPage =
+    (plan.manifest.pageCount && plan.manifest.pageCount.rowsPerPage) ||
+    DEFAULT_ROWS_PER_PAGE;
+  const lastPage = plan.manifest.totalPages;
+
+  const pages = [];
+  const chunks = plan.chunks.map((chunk) => {
+    const counts = { complete: 0, partial: 0, missing: 0, duplicated: 0 };
+
+    chunk.urls.forEach((url) => {
+      const { page } = plan.pages.get(url);
+      const perFile = coverage.get(url) || new Map();
+      // Reruns write the same page to several files; the best file counts
+      const rows = Math.max(0, ...perFile.values());
+
+      let status = "complete";
+      if (rows === 0) {
+        status = "missing";
+      } else if (rows < rowsPerPage && page !== lastPage) {
+        status = "partial";
+      }
+      const duplicated = perFile.size > 1;
+
+      counts[status]++;
+      if (duplicated) counts.duplicated++;
+      pages.push({
+        url,
+        page,
+        chunk: chunk.number,
+        status,
+        rows,
+        duplicated,
+        files: Array.from(perFile.keys()),
+      });
+    });
+
+    let status = "partial";
+    if (counts.complete === chunk.urls.length) {
+      status = "complete";
+    } else if (counts.missing === chunk.urls.length) {
+      status = "missing";
+    }
+
+    return {
+      chunk: chunk.number,
+      status,
+      pages: chunk.urls.length,
+      ...counts,
+      duplicated: counts.duplicated > 0,
+      duplicatedPages: counts.duplicated,
+    };
+  });
+
+  return { pages, chunks };
+}
+
+/**
+ * Collapse sorted chunk numbers into contiguous ranges
+ * @param {Array} numbers Sorted chunk numbers
+ * @returns {Array} Array of [start, end] pairs
+ */
+function toRanges(numbers) {
+  const ranges = [];
+  numbers.forEach((number) => {
+    const last = ranges[ranges.length - 1];
+    if (last && number === last[1] + 1) {
+      last[1] = number;
+    } else {
+      ranges.push([number, number]);
+    }
+  });
+  return ranges;
+}
+
+/**
+ * Count items by status
+ * @param {Array} items Page or chunk statuses
+ * @returns {Object} Counts per status plus duplicated
+ */
+function tally(items) {
+  const counts = { complete: 0, partial: 0, missing: 0, duplicated: 0 };
+  items.forEach((item) => {
+    counts[item.status]++;
+    if (item.duplicated) counts.duplicated++;
+  });
+  return counts;
+}
+
+/**
+ * Log a human-readable coverage report
+ * @param {Object} plan Plan from loadPlan
+ * @param {Object} result Result of classify
+ */
+function printReport(plan, result) {
+  const pageCounts = tally(result.pages);
+  const chunkCounts = tally(result.chunks);
+  const format = (counts) =>
+    `complete ${counts.complete} | partial ${counts.partial} | missing ${counts.missing} | duplicated ${counts.duplicated}`;
+  const targetLog = log.child({ target: plan.target.name });
+
+  targetLog.info(
+    "status.coverage",
+    [
+      `\n📊 Coverage for target "${plan.target.name}" (${result.chunks.length} chunks, ${result.pages.length} pages)`,
+      `   Pages:  ${format(pageCounts)}`,
+      `   Chunks: ${format(chunkCounts)}`,
+    ].join("\n"),
+    { pages: pageCounts, chunks: chunkCounts }
+  );
+
+  const partialChunks = result.chunks.filter((chunk) => chunk.status === "partial");
+  if (partialChunks.length > 0) {
+    targetLog.info(
+      "status.partial",
+      [
+        `\n🧩 Partial chunks:`,
+        ...partialChunks.map(
+          (chunk) =>
+            `   chunk ${chunk.chunk}: ${chunk.complete}/${chunk.pages} complete, ${chunk.partial} partial, ${chunk.missing} missing`
+        ),
+      ].join("\n"),
+      { partialChunks: partialChunks.map((chunk) => chunk.chunk) }
+    );
+  }
+
+  const duplicatedChunks = result.chunks.filter((chunk) => chunk.duplicated);
+  if (duplicatedChunks.length > 0) {
+    const ranges = toRanges(duplicatedChunks.map((chunk) => chunk.chunk));
+    targetLog.info(
+      "status.duplicated",
+      [
+        `\n♊ Chunks with pages in several data files:`,
+        ...ranges.map(([start, end]) => `   ${start === end ? start : `${start}-${end}`}`),
+      ].join("\n"),
+      { duplicatedChunks: ranges }
+    );
+  }
+
+  const todo = result.chunks
+    .filter((chunk) => chunk.status !== "complete")
+    .map((chunk) => chunk.chunk);
+  if (todo.length === 0) {
+    targetLog.info("status.todo", `\n🎉 All chunks are complete`, { chunkRanges: [] });
+    return;
+  }
+
+  const ranges = toRanges(todo);
+  targetLog.info(
+    "status.todo",
+    [
+      `\n🔁 Chunk ranges to run (chunk_start / chunk_end):`,
+      ...ranges.map(([start, end]) => `   chunk_start=${start} chunk_end=${end}`),
+    ].join("\n"),
+    { chunkRanges: ranges }
+  );
+}
+
+/**
+ * Main function
+ * @param {Array} [args] Command line arguments, defaults to process.argv
+ */
+async function main(args = process.argv.slice(2)) {
+  try {
+    // Optional target names restrict the report; --json prints the full
+    // per-page and per-chunk report instead of the summary
+    const asJson = args.includes("--json");
+    const requested = args.filter((arg) => !arg.startsWith("--"));
+
+    const plans = loadTargets()
+      .filter((target) => requested.length === 0 || requested.includes(target.name))
+      .map(loadPlan)
+      .filter(Boolean);
+
+    if (plans.length === 0) {
+      log.warn("status.no_plans", "No chunk manifests found. Run url_generator.js first.");
+      return;
+    }
+
+    const files = await getDataFiles();
+    const report = [];
+
+    for (const plan of plans) {
+      const coverage = await collectCoverage(plan, files);
+      const result = classify(plan, coverage);
+
+      if (asJson) {
+        report.push({
+          target: plan.target.name,
+          pages: result.pages,
+          chunks: result.chunks,
+        });
+      } else {
+        printReport(plan, result);
+      }
+    }
+
+    // The report is the output of --json, not a log event
+    if (asJson) {
+      console.log(JSON.stringify(report, null, 2));
+    }
+  } catch (error) {
+    log.error("status.fatal", `An error occurred: ${error.stack || error}`, { error: error.message });
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,241 @@
+const path = require("path");
+const { parseArgs } = require("./lib/cli_args");
+const { getConfig } = require("./lib/config");
+const { DATA_DIR, getDataFiles, streamDataFile } = require("./lib/data_files");
+const { resolveHeaders, normalizeRecord } = require("./lib/schema");
+const { getTarget } = require("./lib/targets");
+const { DEFAULT_PROFILE } = require("./lib/table_profiles");
+const { SCRAPE_STATUS, ABORT_STATUSES, EXIT_CODES } = require("./lib/scrape_outcome");
+const { detectSessionProblem } = require("./lib/session");
+const { DETAIL_KINDS, parseDetailUrl, extractDetailFromHtml } = require("./lib/detail_extractor");
+const { isCached, saveDetail } = require("./lib/detail_cache");
+const { loadSessionCookies, setupBrowser } = require("./lib/browser");
+const { createLogger } = require("./lib/logger");
+const { getRandomDelay } = require("./worker_script");
+
+/**
+ * Collect the detail page URLs of a target's rows, best-ranked rows first
+ * @param {Object} target Target whose data files to read
+ * @param {Array} kinds DETAIL_KINDS to collect
+ * @returns {Promise<Array>} { url, kind, key, rank }, one per page
+ */
+async function collectDetailUrls(target, kinds) {
+  const pages = new Map();
+  const files = await getDataFiles(path.join(DATA_DIR, target.name));
+
+  for (const file of files) {
+    let columns = new Map();
+    await streamDataFile(
+      file,
+      (raw) => {
+        const record = normalizeRecord(raw, columns);
+        if (!record) return;
+
+        const rank = parseInt(String(record.rank).replace(/,/g, ""), 10) || Infinity;
+        [record.domainUrl, record.ipAddressUrl].forEach((url) => {
+          const detail = parseDetailUrl(url);
+          if (!detail || !kinds.includes(detail.kind)) return;
+
+          const id = `${detail.kind}/${detail.key}`;
+          const existing = pages.get(id);
+          if (!existing || rank < existing.rank) {
+            pages.set(id, { url, ...detail, rank });
+          }
+        });
+      },
+      (headers) => {
+        ({ columns } = resolveHeaders(headers));
+      }
+    );
+  }
+
+  return Array.from(pages.values()).sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Parse a --shard value ("2/4": the second of four jobs)
+ * @param {String} [value] Flag value
+ * @returns {Object|null} { index, count } with a 0-based index, or null
+ */
+function parseShard(value) {
+  if (value === undefined) return null;
+  const match = String(value).match(/^(\d+)\/(\d+)$/);
+  const index = match ? Number(match[1]) : 0;
+  const count = match ? Number(match[2]) : 0;
+  if (!match || count < 1 || index < 1 || index > count) {
+    throw new Error(`--shard needs <n>/<count> with 1 <= n <= count (got ${value})`);
+  }
+  return { index: index - 1, count };
+}
+
+/**
+ * Load one detail page and cache its fields
+ * @param {Object} page Puppeteer page object
+ * @param {Object} entry { url, kind, key } from collectDetailUrls
+ * @param {Object} log Logger of the page
+ * @returns {Promise<Object>} { status, message } with a SCRAPE_STATUS status
+ */
+async function fetchDetailPage(page, entry, log) {
+  log.info("page.start", `📄 Fetching ${entry.kind} ${entry.key}: ${entry.url}`);
+
+  try {
+    await page.goto(entry.url, {
+      waitUntil: "domcontentloaded",
+      timeout: getConfig().navigationTimeout,
+    });
+
+    const problem = await detectSessionProblem(page);
+    if (problem) {
+      return { status: problem.status, message: problem.message };
+    }
+
+    const detail = extractDetailFromHtml(await page.content(), entry.url);
+    const file = saveDetail(detail, entry.url);
+    log.info("detail.saved", `✅ Saved ${path.relative(process.cwd(), file)}`, { file });
+    return { status: SCRAPE_STATUS.OK, message: "" };
+  } catch (error) {
+    return {
+      status:
+        error.code === "UNKNOWN_LAYOUT"
+          ? SCRAPE_STATUS.LAYOUT_CHANGED
+          : SCRAPE_STATUS.NETWORK_ERROR,
+      message: error.message,
+    };
+  }
+}
+
+/**
+ * Main function
+ * @param {Array} [argv] Command line arguments, defaults to process.argv
+ */
+async function main(argv = process.argv.slice(2)) {
+  let browser = null;
+  let log = createLogger();
+
+  try {
+    // Usage: node enrich_details.js [target] [--budget N] [--shard n/count] [--kinds sites,ip]
+    // --budget defaults to the chunk size of the target (the per-IP daily page
+    // budget of one job); --shard splits the pending pages across parallel jobs
+    const { positional, flags } = parseArgs(argv, ["budget", "shard", "kinds"]);
+    const target = getTarget(positional[0]);
+    if (target.table !== DEFAULT_PROFILE) {
+      throw new Error(`Target "${target.name}" scrapes the ${target.table} table; detail pages are linked from ${DEFAULT_PROFILE} rows only`);
+    }
+    const budget = flags.budget === undefined ? target.chunkSize : Number(flags.budget);
+    if (!Number.isInteger(budget) || budget < 1) {
+      throw new Error("--budget needs a positive integer");
+    }
+    const shard = parseShard(flags.shard);
+    const kinds =
+      typeof flags.kinds === "string"
+        ? flags.kinds.split(",").map((kind) => kind.trim())
+        : Object.values(DETAIL_KINDS);
+    const unknown = kinds.filter((kind) => !Object.values(DETAIL_KINDS).includes(kind));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown detail kind(s): ${unknown.join(", ")}. Use ${Object.values(DETAIL_KINDS).join(", ")}`
+      );
+    }
+
+    const candidates = await collectDetailUrls(target, kinds);
+    const uncached = candidates.filter((entry) => !isCached(entry.kind, entry.key));
+    const pending = shard
+      ? uncached.filter((entry, index) => index % shard.count === shard.index)
+      : uncached;
+    const batch = pending.slice(0, budget);
+
+    log = log.child({ target: target.name, shard: shard ? `${shard.index + 1}/${shard.count}` : null });
+    const plan = {
+      linked: candidates.length,
+      cached: candidates.length - uncached.length,
+      pending: pending.length,
+      batch: batch.length,
+      budget,
+    };
+    log.info("details.plan", `🔎 ${candidates.length} detail pages linked from "${target.name}" rows`, plan);
+    log.info("details.cached", `🗃️ ${plan.cached} already cached`, { cached: plan.cached });
+    if (shard) {
+      log.info("details.shard", `🧩 Shard ${shard.index + 1}/${shard.count}: ${pending.length} of ${uncached.length} pending pages`, {
+        pending: pending.length,
+        uncached: uncached.length,
+      });
+    }
+    log.info("details.batch", `📊 Fetching ${batch.length} of ${pending.length} pending pages (budget ${budget})`, {
+      batch: batch.length,
+      pending: pending.length,
+      budget,
+    });
+
+    if (batch.length === 0) {
+      log.info("details.summary", "Nothing to fetch.", { fetched: 0, failed: 0, stillPending: 0 });
+      return;
+    }
+
+    const session = await setupBrowser(loadSessionCookies());
+    browser = session.browser;
+    let fetched = 0;
+    let failed = 0;
+    let abort = null;
+
+    for (let i = 0; i < batch.length; i++) {
+      const pageLog = log.child({ url: batch[i].url, kind: batch[i].kind, key: batch[i].key });
+      if (i > 0) {
+        const delay = getRandomDelay();
+        pageLog.info("page.delay", `⏳ Waiting ${delay / 1000}s before next request...`, {
+          delay: "betweenPages",
+          delayMs: delay,
+        });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+
+      const startedAt = Date.now();
+      const outcome = await fetchDetailPage(session.page, batch[i], pageLog);
+      const durationMs = Date.now() - startedAt;
+      if (outcome.status === SCRAPE_STATUS.OK) {
+        fetched++;
+        pageLog.debug("page.ok", `✅ Fetched ${batch[i].url}`, { status: outcome.status, durationMs });
+        continue;
+      }
+
+      pageLog.error("page.failed", `❌ ${batch[i].url}: ${outcome.message}`, {
+        status: outcome.status,
+        error: outcome.message,
+        durationMs,
+      });
+      if (ABORT_STATUSES.includes(outcome.status)) {
+        abort = outcome;
+        break;
+      }
+      failed++;
+    }
+
+    log.info(
+      "details.summary",
+      [
+        "\nEnrichment completed!",
+        `Pages fetched: ${fetched}`,
+        `Pages failed: ${failed}`,
+        `Still pending: ${pending.length - fetched}`,
+      ].join("\n"),
+      { fetched, failed, stillPending: pending.length - fetched, aborted: abort ? abort.status : null }
+    );
+
+    if (abort) {
+      process.exitCode =
+        abort.status === SCRAPE_STATUS.CAPTCHA ? EXIT_CODES.CAPTCHA : EXIT_CODES.SESSION_EXPIRED;
+    } else if (failed > 0) {
+      process.exitCode = EXIT_CODES.PAGE_FAILURES;
+    }
+  } catch (error) {
+    log.error("details.fatal", `💥 An error occurred: ${error.message}`, { error: error.message });
+    process.exitCode = EXIT_CODES.FATAL;
+  } finally {
+    if (browser) await browser.close();
+  }
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+  main();
+}
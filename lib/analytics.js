@@ -0,0 +1,292 @@
+/**
+ * Aggregate tables over consolidated records: domains per IP, owner and
+ * country, rank buckets and TLDs. Records are added one at a time so the
+ * master file can be streamed.
+ */
+
+const UNKNOWN = "(unknown)";
+
+// Rank buckets as [from, to]; ranks above the last bound share one bucket
+const RANK_BUCKETS = [
+  [1, 100],
+  [101, 1000],
+  [1001, 10000],
+  [10001, 100000],
+  [100001, 1000000],
+  [1000001, Infinity],
+];
+
+/**
+ * Format a number with thousands separators
+ * @param {Number} value Number
+ * @returns {String} Formatted number
+ */
+function formatNumber(value) {
+  return value.toLocaleString("en-US");
+}
+
+/**
+ * Label of a rank bucket ("101-1,000", "1,000,001+")
+ * @param {Array} bucket [from, to] from RANK_BUCKETS
+ * @returns {String} Label
+ */
+function bucketLabel([from, to]) {
+  return to === Infinity ? `${formatNumber(from)}+` : `${formatNumber(from)}-${formatNumber(to)}`;
+}
+
+/**
+ * Top-level domain of a domain name
+ * @param {String} domain Domain name
+ * @returns {String} TLD with a leading dot, or "(none)"
+ */
+function getTld(domain) {
+  const labels = String(domain || "").toLowerCase().replace(/\.$/, "").split(".");
+  return labels.length > 1 && labels[labels.length - 1] ? `.${labels[labels.length - 1]}` : "(none)";
+}
+
+/**
+ * Percentage of a total, rounded to two decimals
+ * @param {Number} count Part
+ * @param {Number} total Total
+ * @returns {Number} Percentage
+ */
+function share(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 100 : 0;
+}
+
+/**
+ * Most frequent key of a count map
+ * @param {Map} counts Map of value to count
+ * @returns {String} Most frequent value (the first seen on ties)
+ */
+function mostCommon(counts) {
+  let best = UNKNOWN;
+  let bestCount = 0;
+  counts.forEach((count, value) => {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Get or create the aggregate entry of a key
+ * @param {Map} groups Map of key to entry
+ * @param {String} key Group key
+ * @returns {Object} { domains, bestRank, ips, owners, locations }
+ */
+function groupEntry(groups, key) {
+  if (!groups.has(key)) {
+    groups.set(key, {
+      domains: 0,
+      bestRank: Infinity,
+      ips: new Set(),
+      owners: new Map(),
+      locations: new Map(),
+    });
+  }
+  return groups.get(key);
+}
+
+/**
+ * Sort aggregate entries by domain count, then best rank
+ * @param {Map} groups Map of key to entry
+ * @returns {Array} [key, entry] pairs
+ */
+function sortGroups(groups) {
+  return Array.from(groups.entries()).sort(
+    ([keyA, a], [keyB, b]) => b.domains - a.domains || a.bestRank - b.bestRank || keyA.localeCompare(keyB)
+  );
+}
+
+/**
+ * Create an aggregator of consolidated records
+ * @returns {Object} Aggregator with add(record), summary() and tables()
+ */
+function createAnalytics() {
+  const byIp = new Map();
+  const byOwner = new Map();
+  const byCountry = new Map();
+  const byTld = new Map();
+  const buckets = RANK_BUCKETS.map(() => 0);
+  let unranked = 0;
+  let total = 0;
+
+  return {
+    /**
+     * Count one record
+     * @param {Object} record Canonical record
+     */
+    add(record) {
+      total++;
+      const ip = record.ipAddress || UNKNOWN;
+      const owner = record.owner || UNKNOWN;
+      const location = record.location || UNKNOWN;
+      const rank = parseInt(String(record.rank).replace(/,/g, ""), 10);
+
+      [groupEntry(byIp, ip), groupEntry(byOwner, owner), groupEntry(byCountry, location)].forEach(
+        (entry) => {
+          entry.domains++;
+          if (rank < entry.bestRank) entry.bestRank = rank;
+          entry.ips.add(ip);
+          entry.owners.set(owner, (entry.owners.get(owner) || 0) + 1);
+          entry.locations.set(location, (entry.locations.get(location) || 0) + 1);
+        }
+      );
+
+      const tld = getTld(record.domain);
+      byTld.set(tld, (byTld.get(tld) || 0) + 1);
+
+      const bucket = Number.isInteger(rank)
+        ? RANK_BUCKETS.findIndex(([from, to]) => rank >= from && rank <= to)
+        : -1;
+      if (bucket === -1) {
+        unranked++;
+      } else {
+        buckets[bucket]++;
+      }
+    },
+
+    /**
+     * Overall counts
+     * @returns {Object} { domains, ips, owners, countries, tlds }
+     */
+    summary() {
+      return {
+        domains: total,
+        ips: byIp.size,
+        owners: byOwner.size,
+        countries: byCountry.size,
+        tlds: byTld.size,
+      };
+    },
+
+    /**
+     * Build the aggregate tables
+     * @returns {Array} { id, title, columns, rows } per table; columns are
+     *   { id, title, numeric }
+     */
+    tables() {
+      const bestRank = (entry) => (entry.bestRank === Infinity ? "" : entry.bestRank);
+
+      let cumulative = 0;
+      const bucketRows = RANK_BUCKETS.map((bucket, index) => {
+        cumulative += buckets[index];
+        return {
+          bucket: bucketLabel(bucket),
+          from: bucket[0],
+          to: bucket[1] === Infinity ? "" : bucket[1],
+          domains: buckets[index],
+          share: share(buckets[index], total),
+          cumulativeShare: share(cumulative, total),
+        };
+      });
+      if (unranked > 0) {
+        bucketRows.push({
+          bucket: "(unranked)",
+          from: "",
+          to: "",
+          domains: unranked,
+          share: share(unranked, total),
+          cumulativeShare: 100,
+        });
+      }
+
+      return [
+        {
+          id: "top_ips",
+          title: "Top IPs by domain count",
+          columns: [
+            { id: "ip", title: "IP_Address" },
+            { id: "domains", title: "Domains", numeric: true },
+            { id: "share", title: "Share_%", numeric: true },
+            { id: "owner", title: "Owner" },
+            { id: "location", title: "Location" },
+            { id: "bestRank", title: "Best_Rank", numeric: true },
+          ],
+          rows: sortGroups(byIp).map(([ip, entry]) => ({
+            ip,
+            domains: entry.domains,
+            share: share(entry.domains, total),
+            owner: mostCommon(entry.owners),
+            location: mostCommon(entry.locations),
+            bestRank: bestRank(entry),
+          })),
+        },
+        {
+          id: "owners",
+          title: "Domains per owner",
+          columns: [
+            { id: "owner", title: "Owner" },
+            { id: "domains", title: "Domains", numeric: true },
+            { id: "share", title: "Share_%", numeric: true },
+            { id: "ips", title: "IPs", numeric: true },
+            { id: "countries", title: "Countries", numeric: true },
+            { id: "bestRank", title: "Best_Rank", numeric: true },
+          ],
+          rows: sortGroups(byOwner).map(([owner, entry]) => ({
+            owner,
+            domains: entry.domains,
+            share: share(entry.domains, total),
+            ips: entry.ips.size,
+            countries: entry.locations.size,
+            bestRank: bestRank(entry),
+          })),
+        },
+        {
+          id: "countries",
+          title: "Domains per country",
+          columns: [
+            { id: "location", title: "Location" },
+            { id: "domains", title: "Domains", numeric: true },
+            { id: "share", title: "Share_%", numeric: true },
+            { id: "ips", title: "IPs", numeric: true },
+            { id: "owners", title: "Owners", numeric: true },
+            { id: "bestRank", title: "Best_Rank", numeric: true },
+          ],
+          rows: sortGroups(byCountry).map(([location, entry]) => ({
+            location,
+            domains: entry.domains,
+            share: share(entry.domains, total),
+            ips: entry.ips.size,
+            owners: entry.owners.size,
+            bestRank: bestRank(entry),
+          })),
+        },
+        {
+          id: "rank_buckets",
+          title: "Rank distribution",
+          columns: [
+            { id: "bucket", title: "Rank_Bucket" },
+            { id: "from", title: "From", numeric: true },
+            { id: "to", title: "To", numeric: true },
+            { id: "domains", title: "Domains", numeric: true },
+            { id: "share", title: "Share_%", numeric: true },
+            { id: "cumulativeShare", title: "Cumulative_Share_%", numeric: true },
+          ],
+          rows: bucketRows,
+        },
+        {
+          id: "tlds",
+          title: "TLD distribution",
+          columns: [
+            { id: "tld", title: "TLD" },
+            { id: "domains", title: "Domains", numeric: true },
+            { id: "share", title: "Share_%", numeric: true },
+          ],
+          rows: Array.from(byTld.entries())
+            .sort(([tldA, a], [tldB, b]) => b - a || tldA.localeCompare(tldB))
+            .map(([tld, domains]) => ({ tld, domains, share: share(domains, total) })),
+        },
+      ];
+    },
+  };
+}
+
+module.exports = {
+  RANK_BUCKETS,
+  getTld,
+  createAnalytics,
+};
@@ -0,0 +1,159 @@
+/**
+ * Browser session of the scrapers: loading the session cookies and
+ * launching puppeteer with the stealth options and a random user agent.
+ */
+
+const fs = require("fs");
+const puppeteer = require("puppeteer");
+const { getConfig } = require("./config");
+const { SITE_BASE_URL } = require("./targets");
+const { parseCookies, readCookieFile } = require("./cookies");
+const { createLogger } = require("./logger");
+
+// Configuration
+const COOKIES_ENV_VAR = "SESSION_DATA"; // GitHub Secret name
+
+const log = createLogger();
+
+/**
+ * Get random user agent
+ */
+function getRandomUserAgent() {
+  const userAgents = [
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36",
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0",
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15",
+  ];
+  return userAgents[Math.floor(Math.random() * userAgents.length)];
+}
+
+/**
+ * Load cookies from the (usually base64 encoded) environment variable.
+ * Puppeteer JSON, browser-extension JSON and Netscape cookies.txt are
+ * accepted; invalid cookies and cookies of other domains are skipped.
+ * @returns {Array} Array of cookie objects
+ */
+function loadCookiesFromEnv() {
+  const payload = process.env[COOKIES_ENV_VAR];
+  if (!payload) {
+    throw new Error(`${COOKIES_ENV_VAR} environment variable not found`);
+  }
+
+  const { format, cookies, dropped } = parseCookies(payload, SITE_BASE_URL);
+  dropped.forEach((entry) =>
+    log.warn("cookies.skipped", `⚠️ Skipping ${entry.reason}`, { reason: entry.reason })
+  );
+  if (cookies.length === 0) {
+    throw new Error(
+      `No usable cookies for ${SITE_BASE_URL} in ${COOKIES_ENV_VAR} (${format} format)`
+    );
+  }
+  return cookies;
+}
+
+/**
+ * Load session cookies from SESSION_DATA, falling back to the cookie file
+ * written by local_scraper.js
+ * @returns {Array} Array of cookie objects (empty if none are available)
+ */
+function loadSessionCookies() {
+  try {
+    return loadCookiesFromEnv();
+  } catch (error) {
+    const file = getConfig().cookiesFile;
+    if (fs.existsSync(file)) {
+      return readCookieFile(file, SITE_BASE_URL).cookies;
+    }
+    return [];
+  }
+}
+
+/**
+ * Setup browser with authentication cookies and stealth options
+ * @param {Array} cookies Array of cookie objects
+ * @returns {Object} Browser and page objects, and the user agent
+ */
+async function setupBrowser(cookies) {
+  log.info("browser.launch", "🚀 Launching stealth browser...");
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-dev-shm-usage",
+      "--disable-accelerated-2d-canvas",
+      "--no-first-run",
+      "--no-zygote",
+      "--disable-gpu",
+      "--disable-blink-features=AutomationControlled",
+      "--disable-features=VizDisplayCompositor",
+      "--disable-background-timer-throttling",
+      "--disable-backgrounding-occluded-windows",
+      "--disable-renderer-backgrounding",
+    ],
+  });
+
+  const page = await browser.newPage();
+
+  // Set random user agent
+  const userAgent = getRandomUserAgent();
+  await page.setUserAgent(userAgent);
+  log.info("browser.user_agent", `🤖 Using User Agent: ${userAgent.substring(0, 50)}...`, { userAgent });
+
+  // Set viewport to look more human
+  await page.setViewport({
+    width: 1920,
+    height: 1080,
+    deviceScaleFactor: 1,
+    hasTouch: false,
+    isLandscape: true,
+    isMobile: false,
+  });
+
+  // Stealth evasions
+  await page.evaluateOnNewDocument(() => {
+    // Override webdriver property
+    Object.defineProperty(navigator, "webdriver", {
+      get: () => undefined,
+    });
+
+    // Override languages
+    Object.defineProperty(navigator, "languages", {
+      get: () => ["en-US", "en"],
+    });
+
+    // Override plugins
+    Object.defineProperty(navigator, "plugins", {
+      get: () => [1, 2, 3, 4, 5],
+    });
+
+    // Override permissions
+    Object.defineProperty(navigator, "permissions", {
+      get: () => ({
+        query: () => Promise.resolve({ state: "denied" }),
+      }),
+    });
+  });
+
+  // Set cookies for authentication
+  if (cookies && cookies.length > 0) {
+    await page.setCookie(...cookies);
+    log.info("browser.cookies", `🔑 Set ${cookies.length} authentication cookies`, {
+      cookies: cookies.length,
+    });
+  } else {
+    log.warn("browser.cookies", "⚠️ No cookies found for authentication", { cookies: 0 });
+  }
+
+  return { browser, page, userAgent };
+}
+
+module.exports = {
+  COOKIES_ENV_VAR,
+  getRandomUserAgent,
+  loadCookiesFromEnv,
+  loadSessionCookies,
+  setupBrowser,
+};
@@ -0,0 +1,71 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Path of the checkpoint file of a chunk
+ * @param {String} outputDir Target data directory
+ * @param {String} chunkLabel Chunk label (e.g., "chunk_0001", "retry_chunk_0001")
+ * @returns {String} Checkpoint file path
+ */
+function getCheckpointPath(outputDir, chunkLabel) {
+  return path.join(outputDir, "checkpoints", `${chunkLabel}.json`);
+}
+
+/**
+ * Load a chunk checkpoint
+ * @param {String} checkpointPath Checkpoint file path
+ * @returns {Object|null} Checkpoint, or null if there is none
+ */
+function loadCheckpoint(checkpointPath) {
+  if (!fs.existsSync(checkpointPath)) {
+    return null;
+  }
+
+  try {
+    const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, "utf-8"));
+    checkpoint.completedUrls = checkpoint.completedUrls || [];
+    return checkpoint;
+  } catch (error) {
+    throw new Error(
+      `Failed to read checkpoint ${checkpointPath}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Write a chunk checkpoint. The file is replaced atomically so a kill in
+ * the middle of a write never leaves a truncated checkpoint behind.
+ * @param {String} checkpointPath Checkpoint file path
+ * @param {Object} checkpoint Checkpoint data
+ */
+function saveCheckpoint(checkpointPath, checkpoint) {
+  fs.mkdirSync(path.dirname(checkpointPath), { recursive: true });
+
+  const tempPath = `${checkpointPath}.tmp`;
+  fs.writeFileSync(
+    tempPath,
+    JSON.stringify(
+      { ...checkpoint, updatedAt: new Date().toISOString() },
+      null,
+      2
+    )
+  );
+  fs.renameSync(tempPath, checkpointPath);
+}
+
+/**
+ * Remove a chunk checkpoint once the chunk is fully scraped
+ * @param {String} checkpointPath Checkpoint file path
+ */
+function clearCheckpoint(checkpointPath) {
+  if (fs.existsSync(checkpointPath)) {
+    fs.unlinkSync(checkpointPath);
+  }
+}
+
+module.exports = {
+  getCheckpointPath,
+  loadCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint,
+};
@@ -0,0 +1,41 @@
+/**
+ * Split command line arguments into positional arguments and --flags.
+ *
+ * Flags listed in valueFlags take the next argument as their value
+ * (`--format jsonl`) unless it is another flag; every flag also accepts
+ * `--name=value`. Other flags are booleans.
+ * @param {Array} argv Arguments, usually process.argv.slice(2)
+ * @param {Array} [valueFlags] Names of flags that take a value
+ * @returns {Object} { positional, flags }
+ */
+function parseArgs(argv, valueFlags = []) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+
+    const equals = arg.indexOf("=");
+    if (equals !== -1) {
+      flags[arg.slice(2, equals)] = arg.slice(equals + 1);
+      continue;
+    }
+
+    const name = arg.slice(2);
+    const next = argv[i + 1];
+    if (valueFlags.includes(name) && next !== undefined && !next.startsWith("--")) {
+      flags[name] = next;
+      i++;
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return { positional, flags };
+}
+
+module.exports = { parseArgs };
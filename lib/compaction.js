@@ -0,0 +1,97 @@
+/**
+ * Compacted archives of the data directory: the per-chunk data files of a
+ * target merged into one gzip-compressed CSV per scrape date under
+ * data/<target>/compacted/, and an index of the data files that went into
+ * each archive.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const COMPACTED_DIR = "compacted";
+const INDEX_FILE = "index.json";
+const ARCHIVE_PATTERN = /^(\d{4}-\d{2}-\d{2}|undated)\.csv\.gz$/;
+
+/**
+ * Directory holding the compacted archives of a target
+ * @param {String} targetDir Data directory of the target
+ * @returns {String} Directory path
+ */
+function getCompactedDir(targetDir) {
+  return path.join(targetDir, COMPACTED_DIR);
+}
+
+/**
+ * File name of the archive of a scrape date
+ * @param {String|null} date Date as YYYY-MM-DD, or null for rows without one
+ * @returns {String} Archive file name
+ */
+function getArchiveName(date) {
+  return `${date || "undated"}.csv.gz`;
+}
+
+/**
+ * List the compacted archives in a directory
+ * @param {String} compactedDir Directory from getCompactedDir
+ * @returns {Array} Archive file paths, oldest date first
+ */
+function listCompactedArchives(compactedDir) {
+  if (!fs.existsSync(compactedDir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(compactedDir)
+    .filter((file) => ARCHIVE_PATTERN.test(file))
+    .sort()
+    .map((file) => path.join(compactedDir, file));
+}
+
+/**
+ * Load the compaction index of a target
+ * @param {String} targetDir Data directory of the target
+ * @returns {Object} Index { archives, sources }; empty if nothing was compacted
+ */
+function loadCompactionIndex(targetDir) {
+  const indexPath = path.join(getCompactedDir(targetDir), INDEX_FILE);
+  if (!fs.existsSync(indexPath)) {
+    return { archives: {}, sources: {} };
+  }
+  const index = JSON.parse(fs.readFileSync(indexPath, "utf-8"));
+  return { ...index, archives: index.archives || {}, sources: index.sources || {} };
+}
+
+/**
+ * Write the compaction index of a target
+ * @param {String} targetDir Data directory of the target
+ * @param {Object} index Index { archives, sources }
+ */
+function saveCompactionIndex(targetDir, index) {
+  fs.mkdirSync(getCompactedDir(targetDir), { recursive: true });
+  fs.writeFileSync(
+    path.join(getCompactedDir(targetDir), INDEX_FILE),
+    JSON.stringify({ ...index, updatedAt: new Date().toISOString() }, null, 2)
+  );
+}
+
+/**
+ * Check whether a data file is already in the archives. A file that changed
+ * size since (a resumed chunk that grew) is not.
+ * @param {Object} index Index from loadCompactionIndex
+ * @param {String} fileName Data file name
+ * @param {Number} size Current file size in bytes
+ * @returns {Boolean} True if its rows are in the archives
+ */
+function isCompacted(index, fileName, size) {
+  const source = index.sources[fileName];
+  return Boolean(source) && source.size === size;
+}
+
+module.exports = {
+  COMPACTED_DIR,
+  getCompactedDir,
+  getArchiveName,
+  listCompactedArchives,
+  loadCompactionIndex,
+  saveCompactionIndex,
+  isCompacted,
+};
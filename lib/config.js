@@ -0,0 +1,350 @@
+/**
+ * Project configuration shared by every script: defaults, overridden by the
+ * project config file (scraper.config.json), then by environment variables,
+ * then by command line flags of cli.js. The result is validated before any
+ * script uses it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { OUTPUT_FORMATS } = require("./writers");
+const { LOG_LEVELS, LOG_FORMATS } = require("./logger");
+
+// Configuration
+const PROJECT_DIR = path.join(__dirname, "..");
+const CONFIG_FILE = path.join(PROJECT_DIR, "scraper.config.json");
+const CONFIG_ENV_VAR = "SCRAPER_CONFIG"; // Path of another config file
+
+const DEFAULT_CONFIG = {
+  baseUrl: "https://myip.ms",
+  targetsFile: "targets.json",
+  chunksDir: "chunks",
+  dataDir: "data",
+  archiveDir: "archive",
+  snapshotsDir: "snapshots",
+  detailsDir: "details",
+  reportsDir: "reports",
+  cookiesFile: "session_cookies.json",
+  masterFile: "master_data", // Master files without the extension (consolidate_data.js)
+  sqliteFile: "master_data.sqlite", // Database of consolidate_data.js --sqlite
+  format: "csv",
+  archiveHtml: false,
+  defaultChunkSize: 50, // Maximum pages per IP per day
+  refreshAfterDays: 7, // Age at which url_generator.js --refresh scrapes a page again
+  navigationTimeout: 500000,
+  delayScale: 1, // Multiplies all delays, e.g. 0.01 against the fixture server
+  logFormat: "auto", // pretty on a terminal, JSON lines otherwise (lib/logger.js)
+  logLevel: "info",
+  logFile: "", // Also append JSON lines to this file
+  // Random delays in milliseconds as [min, max]
+  delays: {
+    betweenPages: [3000, 8000],
+    beforeNavigation: [1000, 3000],
+    beforeExtraction: [1000, 3000],
+    tableTimeout: [10000, 20000],
+  },
+};
+
+// Settings holding paths; relative paths in the config file are resolved
+// against the directory of the file
+const PATH_SETTINGS = [
+  "targetsFile",
+  "chunksDir",
+  "dataDir",
+  "archiveDir",
+  "snapshotsDir",
+  "detailsDir",
+  "reportsDir",
+  "cookiesFile",
+  "masterFile",
+  "sqliteFile",
+];
+
+// Environment variables overriding settings
+const ENV_OVERRIDES = {
+  baseUrl: "MYIPMS_BASE_URL",
+  format: "OUTPUT_FORMAT",
+  archiveHtml: "ARCHIVE_HTML",
+  delayScale: "SCRAPE_DELAY_SCALE",
+  navigationTimeout: "NAVIGATION_TIMEOUT_MS",
+  logFormat: "LOG_FORMAT",
+  logLevel: "LOG_LEVEL",
+  logFile: "LOG_FILE",
+};
+
+let current = null;
+
+/**
+ * Command line flag of a setting ("dataDir" -> "data-dir")
+ * @param {String} key Setting name
+ * @returns {String} Flag name without the leading dashes
+ */
+function toFlag(key) {
+  return key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Convert a value given as text (environment variable or flag) to the type
+ * of the setting; values that do not convert are left for validation
+ * @param {String} key Setting name
+ * @param {String|Boolean} value Raw value
+ * @returns {*} Converted value
+ */
+function coerce(key, value) {
+  const type = typeof DEFAULT_CONFIG[key];
+  if (type === "boolean" && typeof value === "string") {
+    if (["true", "1", "yes"].includes(value.toLowerCase())) return true;
+    if (["false", "0", "no"].includes(value.toLowerCase())) return false;
+  }
+  if (type === "number" && typeof value === "string" && value.trim() !== "") {
+    return Number.isNaN(Number(value)) ? value : Number(value);
+  }
+  return value;
+}
+
+/**
+ * Read the settings set through environment variables; empty variables
+ * (e.g. an unset workflow input) are ignored
+ * @param {Object} [env] Environment
+ * @returns {Object} Settings
+ */
+function readEnvOverrides(env = process.env) {
+  const overrides = {};
+  Object.entries(ENV_OVERRIDES).forEach(([key, name]) => {
+    if (env[name] !== undefined && env[name] !== "") {
+      overrides[key] = coerce(key, env[name]);
+    }
+  });
+  return overrides;
+}
+
+/**
+ * Take the config flags (--config <file> and one flag per top-level
+ * setting, e.g. --data-dir <dir> or --archive-html) out of command line
+ * arguments
+ * @param {Array} argv Command line arguments
+ * @returns {Object} { file, overrides, rest } with the remaining arguments in rest
+ */
+function splitConfigArgs(argv) {
+  const settings = new Map(
+    Object.keys(DEFAULT_CONFIG)
+      .filter((key) => typeof DEFAULT_CONFIG[key] !== "object")
+      .map((key) => [toFlag(key), key])
+  );
+  const overrides = {};
+  const rest = [];
+  let file = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    const key = match && settings.get(match[1]);
+    if (!match || (!key && match[1] !== "config")) {
+      rest.push(argv[i]);
+      continue;
+    }
+
+    let value = match[2];
+    const takesValue = match[1] === "config" || typeof DEFAULT_CONFIG[key] !== "boolean";
+    if (value === undefined && takesValue) {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith("--")) {
+        throw new Error(`--${match[1]} needs a value`);
+      }
+      value = argv[++i];
+    }
+
+    if (match[1] === "config") {
+      file = value;
+    } else {
+      overrides[key] = value === undefined ? true : coerce(key, value);
+    }
+  }
+
+  return { file, overrides, rest };
+}
+
+/**
+ * Check a [min, max] delay range
+ * @param {*} range Value to check
+ * @returns {Boolean} True if valid
+ */
+function isDelayRange(range) {
+  return (
+    Array.isArray(range) &&
+    range.length === 2 &&
+    range.every((value) => typeof value === "number" && Number.isFinite(value) && value >= 0) &&
+    range[0] <= range[1]
+  );
+}
+
+/**
+ * Validate a merged configuration
+ * @param {Object} config Configuration
+ * @returns {Array} Error messages, empty if the configuration is valid
+ */
+function validateConfig(config) {
+  const errors = [];
+  const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+  Object.keys(config)
+    .filter((key) => !(key in DEFAULT_CONFIG))
+    .forEach((key) => errors.push(`Unknown setting "${key}"`));
+
+  let url = null;
+  try {
+    url = new URL(config.baseUrl);
+  } catch (error) {
+    // Reported below
+  }
+  if (!url || !["http:", "https:"].includes(url.protocol)) {
+    errors.push(`baseUrl must be an http(s) URL (got ${JSON.stringify(config.baseUrl)})`);
+  }
+
+  PATH_SETTINGS.forEach((key) => {
+    if (typeof config[key] !== "string" || config[key].trim() === "") {
+      errors.push(`${key} must be a non-empty path`);
+    }
+  });
+
+  if (!OUTPUT_FORMATS[config.format]) {
+    errors.push(
+      `format must be one of ${Object.keys(OUTPUT_FORMATS).join(", ")} (got ${JSON.stringify(config.format)})`
+    );
+  }
+  if (typeof config.archiveHtml !== "boolean") {
+    errors.push(`archiveHtml must be true or false (got ${JSON.stringify(config.archiveHtml)})`);
+  }
+  if (!isPositiveInteger(config.defaultChunkSize)) {
+    errors.push(`defaultChunkSize must be a positive integer (got ${JSON.stringify(config.defaultChunkSize)})`);
+  }
+  if (typeof config.refreshAfterDays !== "number" || !(config.refreshAfterDays > 0)) {
+    errors.push(`refreshAfterDays must be a positive number of days (got ${JSON.stringify(config.refreshAfterDays)})`);
+  }
+  if (!isPositiveInteger(config.navigationTimeout)) {
+    errors.push(`navigationTimeout must be a positive number of milliseconds (got ${JSON.stringify(config.navigationTimeout)})`);
+  }
+  if (typeof config.delayScale !== "number" || !Number.isFinite(config.delayScale) || config.delayScale < 0) {
+    errors.push(`delayScale must be a number of at least 0 (got ${JSON.stringify(config.delayScale)})`);
+  }
+
+  if (!LOG_FORMATS.includes(config.logFormat)) {
+    errors.push(`logFormat must be one of ${LOG_FORMATS.join(", ")} (got ${JSON.stringify(config.logFormat)})`);
+  }
+  if (!LOG_LEVELS.includes(config.logLevel)) {
+    errors.push(`logLevel must be one of ${LOG_LEVELS.join(", ")} (got ${JSON.stringify(config.logLevel)})`);
+  }
+  if (typeof config.logFile !== "string") {
+    errors.push(`logFile must be a path, or "" for none (got ${JSON.stringify(config.logFile)})`);
+  }
+
+  if (!config.delays || typeof config.delays !== "object" || Array.isArray(config.delays)) {
+    errors.push("delays must be an object of [min, max] ranges");
+  } else {
+    Object.entries(config.delays).forEach(([name, range]) => {
+      if (!(name in DEFAULT_CONFIG.delays)) {
+        errors.push(`Unknown delay "${name}"`);
+      } else if (!isDelayRange(range)) {
+        errors.push(`delays.${name} must be [min, max] milliseconds with min <= max (got ${JSON.stringify(range)})`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Load the configuration: defaults, the config file, environment variables
+ * and the given overrides, in increasing priority
+ * @param {Object} [options] Options
+ * @param {String} [options.file] Config file; defaults to $SCRAPER_CONFIG or
+ *   scraper.config.json, which may be missing
+ * @param {Object} [options.overrides] Settings from the command line
+ * @param {Object} [options.env] Environment
+ * @returns {Object} Validated configuration with absolute paths
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const requested = options.file || env[CONFIG_ENV_VAR];
+  const file = requested ? path.resolve(requested) : CONFIG_FILE;
+
+  let fromFile = {};
+  if (fs.existsSync(file)) {
+    try {
+      fromFile = JSON.parse(fs.readFileSync(file, "utf-8"));
+    } catch (error) {
+      throw new Error(`Cannot read config file ${file}: ${error.message}`);
+    }
+    if (!fromFile || typeof fromFile !== "object" || Array.isArray(fromFile)) {
+      throw new Error(`Config file ${file} must hold a JSON object`);
+    }
+  } else if (requested) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...fromFile,
+    ...readEnvOverrides(env),
+    ...(options.overrides || {}),
+  };
+  // Delays missing from the config file keep their defaults
+  if (fromFile.delays && typeof fromFile.delays === "object" && !Array.isArray(fromFile.delays)) {
+    config.delays = { ...DEFAULT_CONFIG.delays, ...fromFile.delays };
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid configuration${fs.existsSync(file) ? ` (${file})` : ""}:\n${errors
+        .map((message) => `  - ${message}`)
+        .join("\n")}`
+    );
+  }
+
+  // Paths in the config file are relative to the file, all others to the project
+  const baseDir = fs.existsSync(file) ? path.dirname(file) : PROJECT_DIR;
+  PATH_SETTINGS.forEach((key) => {
+    const relativeTo = key in (options.overrides || {}) ? process.cwd() : baseDir;
+    config[key] = path.resolve(relativeTo, config[key]);
+  });
+  if (config.logFile) {
+    const relativeTo = "logFile" in (options.overrides || {}) ? process.cwd() : baseDir;
+    config.logFile = path.resolve(relativeTo, config.logFile);
+  }
+  config.baseUrl = config.baseUrl.replace(/\/+$/, "");
+  config.configFile = fs.existsSync(file) ? file : null;
+
+  return Object.freeze(config);
+}
+
+/**
+ * Configuration used by the scripts, loaded on first use
+ * @returns {Object} Validated configuration
+ */
+function getConfig() {
+  if (!current) {
+    current = loadConfig();
+  }
+  return current;
+}
+
+/**
+ * Replace the configuration returned by getConfig; cli.js calls this with
+ * its command line overrides before loading the command
+ * @param {Object} config Configuration from loadConfig
+ */
+function setConfig(config) {
+  current = config;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  CONFIG_ENV_VAR,
+  DEFAULT_CONFIG,
+  ENV_OVERRIDES,
+  toFlag,
+  splitConfigArgs,
+  validateConfig,
+  loadConfig,
+  getConfig,
+  setConfig,
+};
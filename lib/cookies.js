@@ -0,0 +1,258 @@
+/**
+ * Session cookie import and export. Cookies come as the Puppeteer JSON
+ * saved by local_scraper.js, as browser-extension JSON (EditThisCookie,
+ * Cookie-Editor) or as a Netscape cookies.txt, either raw or base64-encoded
+ * (the SESSION_DATA secret). They are converted to Puppeteer cookies,
+ * validated and limited to the site's domain.
+ */
+
+const fs = require("fs");
+
+const COOKIE_FORMATS = {
+  PUPPETEER: "puppeteer",
+  EXTENSION: "extension",
+  NETSCAPE: "netscape",
+};
+
+// Browser-extension sameSite values and their Puppeteer equivalents
+const SAME_SITE = {
+  no_restriction: "None",
+  none: "None",
+  lax: "Lax",
+  strict: "Strict",
+};
+
+// Fields only browser-extension exports have
+const EXTENSION_FIELDS = ["expirationDate", "hostOnly", "storeId"];
+
+/**
+ * Decode a cookie payload that may be base64-encoded; JSON and
+ * cookies.txt payloads are returned as they are
+ * @param {String} payload Raw or base64-encoded cookies
+ * @returns {String} Decoded text
+ */
+function decodeCookiePayload(payload) {
+  const text = String(payload).trim();
+  if (/^[[{#]/.test(text) || text.includes("\t")) {
+    return text;
+  }
+  return Buffer.from(text, "base64").toString("utf-8").trim();
+}
+
+/**
+ * Tell which format a decoded cookie export is in
+ * @param {String} text Decoded cookies
+ * @returns {String} One of COOKIE_FORMATS
+ */
+function detectCookieFormat(text) {
+  if (!/^[[{]/.test(text)) {
+    return COOKIE_FORMATS.NETSCAPE;
+  }
+  const list = parseJsonList(text);
+  return list.some(
+    (cookie) => cookie && EXTENSION_FIELDS.some((field) => field in cookie)
+  )
+    ? COOKIE_FORMATS.EXTENSION
+    : COOKIE_FORMATS.PUPPETEER;
+}
+
+/**
+ * Parse a JSON cookie export; some extensions wrap the list in
+ * { "cookies": [...] }
+ * @param {String} text JSON text
+ * @returns {Array} Raw cookie objects
+ */
+function parseJsonList(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Failed to parse cookies: ${error.message}`);
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.cookies;
+  if (!Array.isArray(list)) {
+    throw new Error("Cookie JSON must be an array of cookies");
+  }
+  return list;
+}
+
+/**
+ * Convert a browser-extension cookie to a Puppeteer cookie
+ * @param {Object} cookie Extension cookie
+ * @returns {Object} Puppeteer cookie fields
+ */
+function fromExtension(cookie) {
+  const sameSite = SAME_SITE[String(cookie.sameSite || "").toLowerCase()];
+  return {
+    name: cookie.name,
+    value: cookie.value,
+    domain:
+      cookie.hostOnly && typeof cookie.domain === "string"
+        ? cookie.domain.replace(/^\./, "")
+        : cookie.domain,
+    path: cookie.path,
+    expires:
+      cookie.session || cookie.expirationDate === undefined
+        ? -1
+        : Number(cookie.expirationDate),
+    httpOnly: cookie.httpOnly,
+    secure: cookie.secure,
+    sameSite,
+  };
+}
+
+/**
+ * Parse a Netscape cookies.txt; "#HttpOnly_" in front of the domain marks
+ * HttpOnly cookies and an expiry of 0 a session cookie
+ * @param {String} text File content
+ * @returns {Array} Puppeteer cookie fields, or { error } for lines that
+ *   cannot be read
+ */
+function parseNetscape(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(({ line }) => line.trim() && (!line.startsWith("#") || line.startsWith("#HttpOnly_")))
+    .map(({ line, number }) => {
+      const fields = line.split("\t");
+      if (fields.length < 7) {
+        return { error: `cookies.txt line ${number}: ${fields.length} fields instead of 7` };
+      }
+      const [rawDomain, , path, secure, expiry, name, ...value] = fields;
+      const httpOnly = rawDomain.startsWith("#HttpOnly_");
+      const expires = Number(expiry);
+      return {
+        name,
+        value: value.join("\t"),
+        domain: httpOnly ? rawDomain.slice("#HttpOnly_".length) : rawDomain,
+        path,
+        expires: expires > 0 ? expires : -1,
+        httpOnly,
+        secure: secure.toUpperCase() === "TRUE",
+      };
+    });
+}
+
+/**
+ * Check and clean one converted cookie
+ * @param {Object} cookie Converted cookie
+ * @returns {Object} { cookie } or { error } when a required field is missing
+ */
+function validateCookie(cookie) {
+  if (cookie.error) {
+    return { error: cookie.error };
+  }
+  if (typeof cookie.name !== "string" || cookie.name.trim() === "") {
+    return { error: `cookie without a name (${JSON.stringify(cookie).slice(0, 60)})` };
+  }
+  if (cookie.value === undefined || cookie.value === null || typeof cookie.value === "object") {
+    return { error: `cookie ${cookie.name} has no value` };
+  }
+  if (!cookie.domain && !cookie.url) {
+    return { error: `cookie ${cookie.name} has neither a domain nor a url` };
+  }
+  if (cookie.expires !== undefined && !Number.isFinite(Number(cookie.expires))) {
+    return { error: `cookie ${cookie.name} has an invalid expiry ${JSON.stringify(cookie.expires)}` };
+  }
+
+  const clean = { name: cookie.name, value: String(cookie.value) };
+  if (cookie.url) clean.url = cookie.url;
+  if (cookie.domain) clean.domain = String(cookie.domain).toLowerCase();
+  clean.path = cookie.path || "/";
+  clean.expires = cookie.expires === undefined ? -1 : Number(cookie.expires);
+  clean.httpOnly = Boolean(cookie.httpOnly);
+  clean.secure = Boolean(cookie.secure);
+  if (["Strict", "Lax", "None"].includes(cookie.sameSite)) clean.sameSite = cookie.sameSite;
+  return { cookie: clean };
+}
+
+/**
+ * Check whether a cookie is sent to a host
+ * @param {Object} cookie Puppeteer cookie
+ * @param {String} host Host name of the site
+ * @returns {Boolean} True if the cookie belongs to the host
+ */
+function matchesHost(cookie, host) {
+  if (cookie.url) {
+    try {
+      return new URL(cookie.url).hostname === host;
+    } catch (error) {
+      return false;
+    }
+  }
+  const domain = cookie.domain.replace(/^\./, "");
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Parse cookies in any supported format, keeping the valid cookies of the site
+ * @param {String} payload Raw or base64-encoded cookies
+ * @param {String} baseUrl Site URL; cookies for other domains are dropped
+ * @returns {Object} { format, cookies, dropped } where dropped lists
+ *   { name, reason } of every cookie left out
+ */
+function parseCookies(payload, baseUrl) {
+  const text = decodeCookiePayload(payload);
+  if (!text) {
+    throw new Error("Cookie payload is empty");
+  }
+
+  const format = detectCookieFormat(text);
+  let converted;
+  if (format === COOKIE_FORMATS.NETSCAPE) {
+    converted = parseNetscape(text);
+  } else {
+    const list = parseJsonList(text);
+    converted = format === COOKIE_FORMATS.EXTENSION ? list.map(fromExtension) : list;
+  }
+
+  const host = new URL(baseUrl).hostname;
+  const cookies = [];
+  const dropped = [];
+  converted.forEach((raw) => {
+    const { cookie, error } = validateCookie(raw || {});
+    if (error) {
+      dropped.push({ name: (raw && raw.name) || null, reason: error });
+    } else if (!matchesHost(cookie, host)) {
+      dropped.push({
+        name: cookie.name,
+        reason: `cookie ${cookie.name} is for ${cookie.domain || cookie.url}, not ${host}`,
+      });
+    } else {
+      cookies.push(cookie);
+    }
+  });
+
+  return { format, cookies, dropped };
+}
+
+/**
+ * Read a cookie file in any supported format
+ * @param {String} file Cookie file path
+ * @param {String} baseUrl Site URL
+ * @returns {Object} Result of parseCookies
+ */
+function readCookieFile(file, baseUrl) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Cookie file not found: ${file}`);
+  }
+  return parseCookies(fs.readFileSync(file, "utf-8"), baseUrl);
+}
+
+/**
+ * Encode cookies for the SESSION_DATA secret
+ * @param {Array} cookies Puppeteer cookies
+ * @returns {String} Base64-encoded Puppeteer JSON
+ */
+function encodeCookies(cookies) {
+  return Buffer.from(JSON.stringify(cookies, null, 2)).toString("base64");
+}
+
+module.exports = {
+  COOKIE_FORMATS,
+  decodeCookiePayload,
+  detectCookieFormat,
+  parseCookies,
+  readCookieFile,
+  encodeCookies,
+};
@@ -0,0 +1,181 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const zlib = require("zlib");
+const csv = require("csv-parser");
+const { getConfig } = require("./config");
+const {
+  COMPACTED_DIR,
+  listCompactedArchives,
+  loadCompactionIndex,
+  isCompacted,
+} = require("./compaction");
+
+// Configuration
+const DATA_DIR = getConfig().dataDir;
+
+// Data files have a single extension; failure ledgers (".failures.json")
+// and checkpoints sit next to them and are not data
+const DATA_FILE_PATTERN = /^[^.]+\.(csv|jsonl|json)$/;
+
+/**
+ * Read all data files (CSV, JSON Lines and JSON) in the data directory,
+ * including the per-target subdirectories. Compacted archives
+ * (compact_data.js) are listed instead of the data files they hold.
+ * @param {String} dir Directory to scan
+ * @returns {Promise<Array>} Array of file paths
+ */
+async function getDataFiles(dir = DATA_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const index = entries.some((entry) => entry.isDirectory() && entry.name === COMPACTED_DIR)
+    ? loadCompactionIndex(dir)
+    : null;
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name === "checkpoints") continue;
+      if (entry.name === COMPACTED_DIR) {
+        files.push(...listCompactedArchives(fullPath));
+        continue;
+      }
+      files.push(...(await getDataFiles(fullPath)));
+    } else if (DATA_FILE_PATTERN.test(entry.name)) {
+      if (index && isCompacted(index, entry.name, fs.statSync(fullPath).size)) continue;
+      files.push(fullPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Time a data file was written, from the timestamp in its name
+ * ("data_chunk_0001_2025-10-18T12-45-15-819Z.csv" -> "2025-10-18T12:45:15Z")
+ * @param {String} filePath Path to data file
+ * @returns {String} ISO timestamp, or an empty string
+ */
+function getFileTimestamp(filePath) {
+  const match = path.basename(filePath).match(/(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})/);
+  return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}Z` : "";
+}
+
+/**
+ * Stream the records of a CSV file one at a time; gzip-compressed files
+ * (".csv.gz") are decompressed on the way
+ * @param {String} filePath Path to CSV file
+ * @param {Function} onRecord Called with each record object
+ * @param {Function} [onHeaders] Called once with the header names
+ * @returns {Promise<Number>} Number of records read
+ */
+function streamCsvFile(filePath, onRecord, onHeaders) {
+  return new Promise((resolve, reject) => {
+    let count = 0;
+
+    let input = fs.createReadStream(filePath).on("error", reject);
+    if (filePath.endsWith(".gz")) {
+      input = input.pipe(zlib.createGunzip()).on("error", reject);
+    }
+
+    input
+      .pipe(csv())
+      .on("headers", (headers) => {
+        if (onHeaders) onHeaders(headers);
+      })
+      .on("data", (record) => {
+        count++;
+        onRecord(record);
+      })
+      .on("end", () => resolve(count))
+      .on("error", reject);
+  });
+}
+
+/**
+ * Stream the records of a JSON Lines file one at a time. The headers are
+ * the keys of the first record.
+ * @param {String} filePath Path to JSONL file
+ * @param {Function} onRecord Called with each record object
+ * @param {Function} [onHeaders] Called once with the header names
+ * @returns {Promise<Number>} Number of records read
+ */
+async function streamJsonLinesFile(filePath, onRecord, onHeaders) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity,
+  });
+  let count = 0;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const record = JSON.parse(line);
+    if (count === 0 && onHeaders) onHeaders(Object.keys(record));
+    count++;
+    onRecord(record);
+  }
+
+  return count;
+}
+
+/**
+ * Read the records of a JSON array file one at a time
+ * @param {String} filePath Path to JSON file
+ * @param {Function} onRecord Called with each record object
+ * @param {Function} [onHeaders] Called once with the header names
+ * @returns {Promise<Number>} Number of records read
+ */
+async function streamJsonFile(filePath, onRecord, onHeaders) {
+  const records = JSON.parse(await fs.promises.readFile(filePath, "utf-8"));
+  if (!Array.isArray(records)) {
+    throw new Error(`${filePath} does not contain a JSON array of records`);
+  }
+
+  if (records.length > 0 && onHeaders) onHeaders(Object.keys(records[0]));
+  records.forEach((record) => onRecord(record));
+  return records.length;
+}
+
+/**
+ * Stream the records of a data file in any of the output formats, chosen
+ * by the file extension
+ * @param {String} filePath Path to a .csv, .csv.gz, .jsonl or .json file
+ * @param {Function} onRecord Called with each record object
+ * @param {Function} [onHeaders] Called once with the header names
+ * @returns {Promise<Number>} Number of records read
+ */
+function streamDataFile(filePath, onRecord, onHeaders) {
+  switch (path.extname(filePath)) {
+    case ".jsonl":
+      return streamJsonLinesFile(filePath, onRecord, onHeaders);
+    case ".json":
+      return streamJsonFile(filePath, onRecord, onHeaders);
+    default:
+      return streamCsvFile(filePath, onRecord, onHeaders);
+  }
+}
+
+/**
+ * Read all records of a data file
+ * @param {String} filePath Path to data file
+ * @returns {Promise<Array>} Array of data objects
+ */
+async function readDataFile(filePath) {
+  const results = [];
+  await streamDataFile(filePath, (record) => results.push(record));
+  return results;
+}
+
+module.exports = {
+  DATA_DIR,
+  DATA_FILE_PATTERN,
+  getDataFiles,
+  getFileTimestamp,
+  streamCsvFile,
+  streamDataFile,
+  readDataFile,
+};
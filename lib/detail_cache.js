@@ -0,0 +1,118 @@
+/**
+ * Cache of parsed detail pages, one JSON file per site or IP under
+ * details/<kind>/, so each page is fetched once across chunks and parallel
+ * jobs can commit their results without conflicts.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getConfig } = require("./config");
+const { DETAIL_KINDS, parseDetailUrl } = require("./detail_extractor");
+
+// Configuration
+const DETAILS_DIR = getConfig().detailsDir;
+
+/**
+ * Cache file of one detail page
+ * @param {String} kind One of DETAIL_KINDS
+ * @param {String} key Site ID or IP address
+ * @returns {String} File path (":" of IPv6 addresses becomes "_")
+ */
+function getCachePath(kind, key) {
+  return path.join(DETAILS_DIR, kind, `${String(key).replace(/:/g, "_")}.json`);
+}
+
+/**
+ * Check whether a detail page has been fetched already
+ * @param {String} kind One of DETAIL_KINDS
+ * @param {String} key Site ID or IP address
+ * @returns {Boolean} True if cached
+ */
+function isCached(kind, key) {
+  return fs.existsSync(getCachePath(kind, key));
+}
+
+/**
+ * Save the parsed fields of a detail page
+ * @param {Object} detail Result of extractDetailFromHtml
+ * @param {String} url Page URL
+ * @param {String} [fetchedAt] ISO timestamp of the fetch, defaults to now
+ * @returns {String} Path of the cache file
+ */
+function saveDetail(detail, url, fetchedAt = new Date().toISOString()) {
+  const file = getCachePath(detail.kind, detail.key);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    JSON.stringify({ url, fetchedAt, fields: detail.fields }, null, 2)
+  );
+  return file;
+}
+
+/**
+ * Load every cached detail page
+ * @returns {Map} Kind to a Map of key to parsed fields
+ */
+function loadDetailCache() {
+  const cache = new Map();
+  Object.values(DETAIL_KINDS).forEach((kind) => {
+    const entries = new Map();
+    const dir = path.join(DETAILS_DIR, kind);
+    if (fs.existsSync(dir)) {
+      fs.readdirSync(dir)
+        .filter((name) => name.endsWith(".json"))
+        .forEach((name) => {
+          const entry = JSON.parse(fs.readFileSync(path.join(dir, name), "utf-8"));
+          const detail = parseDetailUrl(entry.url);
+          if (detail) entries.set(detail.key, entry.fields);
+        });
+    }
+    cache.set(kind, entries);
+  });
+  return cache;
+}
+
+/**
+ * Count the cached detail pages
+ * @param {Map} cache Result of loadDetailCache
+ * @returns {Number} Number of cached pages
+ */
+function countDetails(cache) {
+  return Array.from(cache.values()).reduce((sum, entries) => sum + entries.size, 0);
+}
+
+/**
+ * Add the DETAIL_FIELDS of a record from the cache. The site ID comes from
+ * the Domain_URL even when the site page has not been fetched.
+ * @param {Object} record Canonical record
+ * @param {Map} cache Result of loadDetailCache
+ * @returns {Object} Record with the detail fields (empty when unknown)
+ */
+function mergeDetails(record, cache) {
+  const site = parseDetailUrl(record.domainUrl);
+  const siteId = site && site.kind === DETAIL_KINDS.SITE ? site.key : "";
+  const siteFields = (siteId && cache.get(DETAIL_KINDS.SITE).get(siteId)) || {};
+  const ipFields = cache.get(DETAIL_KINDS.IP).get(String(record.ipAddress).toLowerCase()) || {};
+  const history = siteFields.hostingHistory || [];
+
+  return {
+    ...record,
+    siteId,
+    ipv6: siteFields.ipv6 || "",
+    hostingHistory: history.length > 0 ? JSON.stringify(history) : "",
+    whoisNetblock: ipFields.netblock || "",
+    whoisCidr: ipFields.cidr || "",
+    whoisNetName: ipFields.netName || "",
+    whoisOrganization: ipFields.organization || "",
+  };
+}
+
+module.exports = {
+  DETAILS_DIR,
+  getCachePath,
+  isCached,
+  saveDetail,
+  loadDetailCache,
+  countDetails,
+  mergeDetails,
+};
@@ -0,0 +1,214 @@
+/**
+ * Extraction of the myip.ms detail pages rows link to: the site page
+ * (/view/sites/<id>/<domain>) and the IP whois page (/info/whois/<ip>).
+ *
+ * Both are parsed from saved HTML with linkedom. Values are found by their
+ * labels rather than by position, and pages without any recognised field
+ * are reported as an unknown layout.
+ */
+
+const { parseLastUpdate } = require("./validation");
+
+// Kinds of detail page, also the cache directory names
+const DETAIL_KINDS = {
+  SITE: "sites",
+  IP: "ip",
+};
+
+const IPV4_PATTERN = /\b(?:\d{1,3}\.){3}\d{1,3}\b/;
+const IPV6_PATTERN = /\b[0-9a-f]{1,4}(?::[0-9a-f]{0,4}){2,7}(?:\/\d{1,3})?/i;
+
+// Whois keys in ARIN, RIPE/APNIC and myip.ms' own wording
+const WHOIS_FIELDS = {
+  netblock: ["netrange", "inetnum", "ip range", "network range"],
+  cidr: ["cidr", "route"],
+  netName: ["netname", "network name"],
+  organization: ["orgname", "org-name", "organization", "owner name", "descr"],
+};
+
+/**
+ * Read the detail page kind and key from a detail URL
+ * @param {String} url Domain_URL or IP_Address_URL of a row
+ * @returns {Object|null} { kind, key } (site ID or IP address), or null
+ *   for other URLs
+ */
+function parseDetailUrl(url) {
+  const text = String(url || "");
+  const site = text.match(/\/view\/sites\/(\d+)(?:\/|$)/);
+  if (site) {
+    return { kind: DETAIL_KINDS.SITE, key: site[1] };
+  }
+  const whois = text.match(/\/info\/whois\/([0-9a-f.:]+)(?:\/|$)/i);
+  if (whois) {
+    return { kind: DETAIL_KINDS.IP, key: whois[1].toLowerCase() };
+  }
+  return null;
+}
+
+/**
+ * Collapse the whitespace of a text
+ * @param {String} text Text
+ * @returns {String} Trimmed text
+ */
+function clean(text) {
+  return String(text || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Collect "label: value" pairs from two-cell table rows and definition lists
+ * @param {Object} document Parsed document
+ * @returns {Map} Lower-cased label (without trailing colon) to value text
+ */
+function collectLabels(document) {
+  const labels = new Map();
+  const add = (label, value) => {
+    const key = clean(label).toLowerCase().replace(/:$/, "").trim();
+    if (key && !labels.has(key)) labels.set(key, clean(value));
+  };
+
+  document.querySelectorAll("tr").forEach((row) => {
+    const cells = Array.from(row.children).filter((cell) => /^t[dh]$/i.test(cell.tagName));
+    if (cells.length === 2) add(cells[0].textContent, cells[1].textContent);
+  });
+  document.querySelectorAll("dt").forEach((term) => {
+    const definition = term.nextElementSibling;
+    if (definition && /^dd$/i.test(definition.tagName)) {
+      add(term.textContent, definition.textContent);
+    }
+  });
+  return labels;
+}
+
+/**
+ * Find the first label containing one of the given words
+ * @param {Map} labels Result of collectLabels
+ * @param {Array} words Lower-cased words
+ * @returns {String|null} Value of the label
+ */
+function findLabel(labels, words) {
+  for (const [label, value] of labels) {
+    if (words.some((word) => label.includes(word))) return value;
+  }
+  return null;
+}
+
+/**
+ * Read the hosting history table of a site page: the first table with a
+ * date column and an IP address column
+ * @param {Object} document Parsed document
+ * @returns {Array} { date, ip, owner } entries, newest first as shown
+ */
+function extractHostingHistory(document) {
+  for (const table of document.querySelectorAll("table")) {
+    const rows = Array.from(table.querySelectorAll("tr"));
+    if (rows.length < 2) continue;
+
+    const headers = Array.from(rows[0].children).map((cell) => clean(cell.textContent).toLowerCase());
+    const dateColumn = headers.findIndex((header) => /date|since|changed/.test(header));
+    const ipColumn = headers.findIndex((header) => /\bip\b|ip address/.test(header));
+    if (dateColumn === -1 || ipColumn === -1) continue;
+    const ownerColumn = headers.findIndex((header) => /owner|hosting|company/.test(header));
+
+    return rows
+      .slice(1)
+      .map((row) => Array.from(row.children).map((cell) => clean(cell.textContent)))
+      .filter((cells) => IPV4_PATTERN.test(cells[ipColumn] || "") || IPV6_PATTERN.test(cells[ipColumn] || ""))
+      .map((cells) => {
+        const parsedDate = parseLastUpdate(cells[dateColumn] || "");
+        return {
+          date: parsedDate ? parsedDate.slice(0, 10) : cells[dateColumn] || "",
+          ip: cells[ipColumn].split(" ")[0],
+          owner: ownerColumn === -1 ? "" : cells[ownerColumn] || "",
+        };
+      });
+  }
+  return [];
+}
+
+/**
+ * Parse a site page
+ * @param {Object} document Parsed document
+ * @param {String} key Site ID
+ * @returns {Object} { siteId, ipv6, hostingHistory }
+ */
+function extractSiteDetail(document, key) {
+  const labels = collectLabels(document);
+  const ipv6Text = findLabel(labels, ["ipv6"]) || "";
+  const ipv6 = ipv6Text.match(IPV6_PATTERN);
+
+  return {
+    siteId: key,
+    ipv6: ipv6 ? ipv6[0].toLowerCase() : "",
+    hostingHistory: extractHostingHistory(document),
+  };
+}
+
+/**
+ * Parse an IP whois page: the raw whois text (usually in a <pre>) and the
+ * labelled summary table
+ * @param {Object} document Parsed document
+ * @param {String} key IP address
+ * @returns {Object} { ip, netblock, cidr, netName, organization }
+ */
+function extractWhoisDetail(document, key) {
+  const labels = collectLabels(document);
+  const whois = new Map();
+  String(document.body ? document.body.textContent : "")
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const match = line.match(/^\s*([A-Za-z][A-Za-z -]*?)\s*:\s*(.+?)\s*$/);
+      const name = match && match[1].toLowerCase();
+      if (match && !whois.has(name)) whois.set(name, match[2]);
+    });
+
+  const lookup = (names) => {
+    const fromWhois = names.map((name) => whois.get(name)).find(Boolean);
+    return clean(fromWhois || findLabel(labels, names) || "");
+  };
+
+  return {
+    ip: key,
+    netblock: lookup(WHOIS_FIELDS.netblock).replace(/\s*-\s*/, " - "),
+    cidr: lookup(WHOIS_FIELDS.cidr),
+    netName: lookup(WHOIS_FIELDS.netName),
+    organization: lookup(WHOIS_FIELDS.organization),
+  };
+}
+
+/**
+ * Extract the fields of a detail page from its HTML
+ * @param {String} html Page HTML
+ * @param {String} url URL the page was fetched from
+ * @returns {Object} { kind, key, fields }
+ */
+function extractDetailFromHtml(html, url) {
+  const detail = parseDetailUrl(url);
+  if (!detail) {
+    throw new Error(`Not a detail page URL: ${url}`);
+  }
+
+  // Loaded here so the browser-based scrapers do not need it
+  const { parseHTML } = require("linkedom");
+  const { document } = parseHTML(html);
+  const fields =
+    detail.kind === DETAIL_KINDS.SITE
+      ? extractSiteDetail(document, detail.key)
+      : extractWhoisDetail(document, detail.key);
+
+  const found = Object.entries(fields).filter(
+    ([name, value]) => !["siteId", "ip"].includes(name) && value.length > 0
+  );
+  if (found.length === 0) {
+    const error = new Error(`Unknown ${detail.kind} detail page layout: no fields found on ${url}`);
+    error.code = "UNKNOWN_LAYOUT";
+    throw error;
+  }
+
+  return { ...detail, fields };
+}
+
+module.exports = {
+  DETAIL_KINDS,
+  parseDetailUrl,
+  extractDetailFromHtml,
+};
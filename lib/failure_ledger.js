@@ -0,0 +1,114 @@
+const fs = require("fs");
+const path = require("path");
+const { parsePageUrl } = require("./targets");
+
+// Reasons a page can fail with
+const FAILURE_REASONS = {
+  CAPTCHA: "captcha",
+  LOGIN_REDIRECT: "login_redirect",
+  MISSING_TABLE: "missing_table",
+  NAVIGATION_TIMEOUT: "navigation_timeout",
+  EMPTY_TABLE: "empty_table",
+  UNKNOWN_LAYOUT: "unknown_layout",
+  ERROR: "error",
+};
+
+const LEDGER_SUFFIX = ".failures.json";
+
+/**
+ * Path of the failure ledger that belongs to a data file
+ * @param {String} dataFile Path of the chunk data file
+ * @returns {String} Ledger file path
+ */
+function getLedgerPath(dataFile) {
+  return dataFile.replace(/\.(csv|jsonl|json)$/, "") + LEDGER_SUFFIX;
+}
+
+/**
+ * Load a failure ledger
+ * @param {String} ledgerPath Ledger file path
+ * @returns {Object|null} Ledger, or null if there is none
+ */
+function loadLedger(ledgerPath) {
+  if (!fs.existsSync(ledgerPath)) {
+    return null;
+  }
+  const ledger = JSON.parse(fs.readFileSync(ledgerPath, "utf-8"));
+  ledger.failures = ledger.failures || [];
+  return ledger;
+}
+
+/**
+ * Write a failure ledger, or remove it when no failures are left
+ * @param {String} ledgerPath Ledger file path
+ * @param {Object} ledger Ledger data
+ */
+function saveLedger(ledgerPath, ledger) {
+  if (ledger.failures.length === 0) {
+    if (fs.existsSync(ledgerPath)) fs.unlinkSync(ledgerPath);
+    return;
+  }
+
+  fs.writeFileSync(
+    ledgerPath,
+    JSON.stringify({ ...ledger, updatedAt: new Date().toISOString() }, null, 2)
+  );
+}
+
+/**
+ * Replace the ledger entry of a URL with a new failure
+ * @param {Object} ledger Ledger data
+ * @param {String} url Page URL
+ * @param {Object} failure { status, reason, message }
+ */
+function recordFailure(ledger, url, failure) {
+  const parsed = parsePageUrl(url);
+  ledger.failures = ledger.failures.filter((entry) => entry.url !== url);
+  ledger.failures.push({
+    url,
+    page: parsed ? parsed.page : null,
+    status: failure.status,
+    reason: failure.reason,
+    message: failure.message || "",
+    failedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Drop the ledger entry of a URL that has since been scraped
+ * @param {Object} ledger Ledger data
+ * @param {String} url Page URL
+ */
+function resolveFailure(ledger, url) {
+  ledger.failures = ledger.failures.filter((entry) => entry.url !== url);
+}
+
+/**
+ * Find all failure ledgers under a directory
+ * @param {String} dir Directory to scan
+ * @returns {Array} Array of ledger file paths
+ */
+function findLedgers(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .flatMap((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) return findLedgers(fullPath);
+      return entry.name.endsWith(LEDGER_SUFFIX) ? [fullPath] : [];
+    })
+    .sort();
+}
+
+module.exports = {
+  FAILURE_REASONS,
+  getLedgerPath,
+  loadLedger,
+  saveLedger,
+  recordFailure,
+  resolveFailure,
+  findLedgers,
+};
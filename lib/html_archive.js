@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const { getConfig } = require("./config");
+const { parsePageUrl } = require("./targets");
+
+// Configuration
+const ARCHIVE_DIR = getConfig().archiveDir;
+const ARCHIVE_EXTENSION = ".html.gz";
+
+// First line of every archived page; keeps the URL and fetch time with the HTML
+const HEADER_PATTERN = /^<!-- archived url="([^"]*)" fetched_at="([^"]*)" -->\n/;
+
+/**
+ * Directory holding the archived pages of one data file
+ * (archive/<target>/<data file name without extension>/)
+ * @param {String} targetName Target name
+ * @param {String} dataFile Data file name or path
+ * @returns {String} Directory path
+ */
+function getArchiveDir(targetName, dataFile) {
+  const stem = path.basename(dataFile).replace(/\.(csv|jsonl|json)$/, "");
+  return path.join(ARCHIVE_DIR, targetName, stem);
+}
+
+/**
+ * File name of an archived page, e.g. "sites_page_00042_2025-10-18T12-45-15-819Z.html.gz".
+ * URLs that are not browse pages are keyed by a hash of the URL instead.
+ * @param {String} url Page URL
+ * @param {String} fetchedAt ISO timestamp of the fetch
+ * @returns {String} File name
+ */
+function getArchiveName(url, fetchedAt) {
+  const parsed = parsePageUrl(url);
+  const key = parsed
+    ? `${parsed.table}_page_${String(parsed.page).padStart(5, "0")}`
+    : `url_${crypto.createHash("sha1").update(url).digest("hex").slice(0, 12)}`;
+  return `${key}_${fetchedAt.replace(/[:.]/g, "-")}${ARCHIVE_EXTENSION}`;
+}
+
+/**
+ * Save the raw HTML of a page, gzip-compressed
+ * @param {String} dir Archive directory from getArchiveDir
+ * @param {String} url Page URL
+ * @param {String} html Page HTML
+ * @param {String} [fetchedAt] ISO timestamp of the fetch, defaults to now
+ * @returns {String} Path of the archive file
+ */
+function archivePage(dir, url, html, fetchedAt = new Date().toISOString()) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, getArchiveName(url, fetchedAt));
+  const header = `<!-- archived url="${url.replace(/"/g, "%22")}" fetched_at="${fetchedAt}" -->\n`;
+  fs.writeFileSync(file, zlib.gzipSync(header + html));
+  return file;
+}
+
+/**
+ * Read an archived page back
+ * @param {String} file Archive file path
+ * @returns {Object} { url, fetchedAt, html }
+ */
+function readArchive(file) {
+  const content = zlib.gunzipSync(fs.readFileSync(file)).toString("utf-8");
+  const match = content.match(HEADER_PATTERN);
+  if (!match) {
+    throw new Error(`${file} has no archive header`);
+  }
+  return {
+    url: match[1],
+    fetchedAt: match[2],
+    html: content.slice(match[0].length),
+  };
+}
+
+/**
+ * List the archive directories of a target, one per data file
+ * @param {String} targetName Target name
+ * @returns {Array} Directory paths, sorted
+ */
+function listArchiveDirs(targetName) {
+  const targetDir = path.join(ARCHIVE_DIR, targetName);
+  if (!fs.existsSync(targetDir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(targetDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => path.join(targetDir, entry.name))
+    .sort();
+}
+
+/**
+ * List the archived pages in a directory
+ * @param {String} dir Archive directory
+ * @returns {Array} Archive file paths, sorted
+ */
+function listArchives(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(ARCHIVE_EXTENSION))
+    .map((name) => path.join(dir, name))
+    .sort();
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  getArchiveDir,
+  archivePage,
+  readArchive,
+  listArchiveDirs,
+  listArchives,
+};
@@ -0,0 +1,107 @@
+/**
+ * Logging for the scraping scripts. Every call is an event with a name
+ * (e.g. "page.ok") and fields, written either as the familiar emoji lines
+ * (pretty) or as one JSON object per line that can be parsed and aggregated
+ * across jobs. Settings (lib/config.js):
+ *
+ * - logFormat: "pretty", "json", or "auto" for pretty on a terminal and
+ *   JSON otherwise (e.g. in GitHub Actions)
+ * - logLevel: lowest level written, one of LOG_LEVELS
+ * - logFile: file that JSON lines are appended to as well, whatever the format
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const LOG_FORMATS = ["auto", "pretty", "json"];
+
+/**
+ * Format used for a logFormat setting
+ * @param {String} format One of LOG_FORMATS
+ * @param {Object} [stream] Stream that "auto" checks for a terminal
+ * @returns {String} "pretty" or "json"
+ */
+function resolveLogFormat(format, stream = process.stdout) {
+  if (format === "auto") {
+    return stream.isTTY ? "pretty" : "json";
+  }
+  return format;
+}
+
+/**
+ * Message of a JSON line: the first line of the pretty message, without its
+ * emoji; multi-line messages (e.g. the chunk summary) have their details in
+ * the fields
+ * @param {String} message Pretty message
+ * @returns {String} Plain message
+ */
+function plainMessage(message) {
+  return message.trim().split("\n")[0].replace(/^[^\p{L}\p{N}\s]+\s*/u, "");
+}
+
+/**
+ * Create a logger
+ * @param {Object} [context] Fields added to every event (e.g. { target, chunk })
+ * @param {Object} [options] Settings overriding the configuration, for tests
+ * @param {String} [options.format] One of LOG_FORMATS
+ * @param {String} [options.level] One of LOG_LEVELS
+ * @param {String} [options.file] JSON lines file, "" for none
+ * @param {Object} [options.stream] Stream every event is written to, e.g.
+ *   process.stderr when stdout is the output of the command; by default
+ *   JSON lines and info go to stdout, warnings and errors to stderr
+ * @returns {Object} Logger with debug, info, warn and error methods taking
+ *   (event, message, fields), and child(fields) for a logger with more context
+ */
+function createLogger(context = {}, options = {}) {
+  const write = (level, event, message, fields = {}) => {
+    // Required here, as lib/config.js validates against LOG_LEVELS and LOG_FORMATS
+    const config = require("./config").getConfig();
+    const format = resolveLogFormat(options.format || config.logFormat, options.stream);
+    const minimum = options.level || config.logLevel;
+    const file = options.file !== undefined ? options.file : config.logFile;
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minimum)) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      event,
+      msg: plainMessage(message),
+      ...context,
+      ...fields,
+    };
+    const line = JSON.stringify(entry);
+
+    if (options.stream) {
+      options.stream.write(`${format === "json" ? line : message}\n`);
+    } else if (format === "json") {
+      process.stdout.write(`${line}\n`);
+    } else if (level === "error") {
+      console.error(message);
+    } else if (level === "warn") {
+      console.warn(message);
+    } else {
+      console.log(message);
+    }
+
+    if (file) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, `${line}\n`);
+    }
+  };
+
+  const logger = { child: (fields) => createLogger({ ...context, ...fields }, options) };
+  LOG_LEVELS.forEach((level) => {
+    logger[level] = (event, message, fields) => write(level, event, message, fields);
+  });
+  return logger;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  resolveLogFormat,
+  createLogger,
+};
@@ -0,0 +1,159 @@
+const { buildPageUrl } = require("./targets");
+const { extractTable } = require("./table_extractor");
+const { getProfile } = require("./table_profiles");
+const { detectSessionProblem } = require("./session");
+const { loadSessionCookies, setupBrowser } = require("./browser");
+const { getConfig } = require("./config");
+const { createLogger } = require("./logger");
+
+// Configuration (see lib/config.js); discovery waits as long for the table
+// as the worker does at most
+const NAVIGATION_TIMEOUT = getConfig().navigationTimeout;
+const TABLE_TIMEOUT = Math.max(1, Math.floor(getConfig().delays.tableTimeout[1] * getConfig().delayScale));
+
+const log = createLogger();
+
+/**
+ * Read the pagination of a loaded browse page.
+ *
+ * Runs inside the browser through page.evaluate, so it must stay
+ * self-contained.
+ * @param {String} table Browse table type (e.g. "sites")
+ * @param {Object} [root] Document to read from (defaults to `document`)
+ * @returns {Object} { totalRecords, lastPage, morePages }: the record count
+ *   and the page of the "last" pager link (null when not shown), and whether
+ *   any page after the first is linked at all
+ */
+function readPagination(table, root) {
+  const doc = root || document;
+  const pagePattern = new RegExp(`/browse/${table}/(\\d+)(?:/|$)`);
+  const pageLinks = Array.from(doc.querySelectorAll("a[href]"))
+    .map((link) => ({ link, match: link.getAttribute("href").match(pagePattern) }))
+    .filter(({ match }) => match)
+    .map(({ link, match }) => ({
+      page: Number(match[1]),
+      label: [link.textContent, link.getAttribute("title"), link.getAttribute("rel"), link.className]
+        .filter(Boolean)
+        .join(" "),
+    }));
+  // The pager may only link the pages around the current one, so the highest
+  // linked page is no page count; only a "last" link is
+  const lastLink = pageLinks.find(({ label }) => /\blast\b/i.test(label));
+
+  const text = (doc.body?.innerText || doc.body?.textContent || "").replace(/\s+/g, " ");
+  const recordsMatch =
+    text.match(/(?:total|found)[^0-9]{0,40}([\d,]+)\s*(?:records|sites|websites|owners|companies|ranges|results)/i) ||
+    text.match(/([\d,]+)\s*(?:records|sites|websites|owners|companies|ranges|results)\s*(?:found|total)/i) ||
+    text.match(/records\s+[\d,]+\s*-\s*[\d,]+\s+of\s+([\d,]+)/i);
+
+  return {
+    totalRecords: recordsMatch ? Number(recordsMatch[1].replace(/,/g, "")) : null,
+    lastPage: lastLink ? lastLink.page : null,
+    morePages: pageLinks.some(({ page }) => page > 1),
+  };
+}
+
+/**
+ * Load the first page of a target and work out how many pages it has
+ * @param {Object} page Puppeteer page object
+ * @param {Object} target Target specification
+ * @returns {Promise<Object>} { totalPages, totalRecords, rowsPerPage, method }
+ */
+async function discoverTotalPages(page, target) {
+  const url = buildPageUrl(target, 1);
+  log.info("discovery.start", `🔍 Discovering page count for "${target.name}": ${url}`, {
+    target: target.name,
+    url,
+  });
+
+  await page.goto(url, { waitUntil: "domcontentloaded", timeout: NAVIGATION_TIMEOUT });
+
+  // A login page or CAPTCHA has no pagination and would pass for one page
+  const problem = await detectSessionProblem(page);
+  if (problem) {
+    const error = new Error(`${problem.message} (${problem.status})`);
+    error.status = problem.status;
+    throw error;
+  }
+
+  const { table } = getProfile(target.table);
+  await page.waitForSelector(table.selector, { timeout: TABLE_TIMEOUT });
+
+  const rows = await extractTable(page, table);
+  const { totalRecords, lastPage, morePages } = await page.evaluate(
+    readPagination,
+    target.table
+  );
+
+  // A record count is exact; the "last" pager link is the fallback
+  if (totalRecords && rows.length > 0) {
+    return {
+      totalPages: Math.ceil(totalRecords / rows.length),
+      totalRecords,
+      rowsPerPage: rows.length,
+      method: "record_count",
+    };
+  }
+  if (lastPage) {
+    return {
+      totalPages: lastPage,
+      totalRecords: null,
+      rowsPerPage: rows.length,
+      method: "pagination",
+    };
+  }
+  if (rows.length > 0 && !morePages) {
+    // No pagination at all: everything fits on the first page
+    return {
+      totalPages: 1,
+      totalRecords: rows.length,
+      rowsPerPage: rows.length,
+      method: "single_page",
+    };
+  }
+
+  throw new Error(
+    morePages
+      ? "Neither a record count nor a link to the last page was found"
+      : "Neither a record count nor pagination links were found"
+  );
+}
+
+/**
+ * Discover the page count of several targets with one browser session
+ * @param {Array} targets Array of target specifications
+ * @returns {Promise<Map>} Map of target name to discovery result or Error
+ */
+async function discoverPageCounts(targets) {
+  const results = new Map();
+
+  let browser;
+  try {
+    const session = await setupBrowser(loadSessionCookies());
+    browser = session.browser;
+
+    for (const target of targets) {
+      try {
+        results.set(target.name, await discoverTotalPages(session.page, target));
+      } catch (error) {
+        results.set(target.name, error);
+        // The other targets would hit the same login page or CAPTCHA
+        if (error.status) throw error;
+      }
+    }
+  } catch (error) {
+    targets
+      .filter((target) => !results.has(target.name))
+      .forEach((target) => results.set(target.name, error));
+  } finally {
+    if (browser) await browser.close();
+  }
+
+  return results;
+}
+
+module.exports = {
+  readPagination,
+  discoverTotalPages,
+  discoverPageCounts,
+};
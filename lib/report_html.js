@@ -0,0 +1,144 @@
+/**
+ * Self-contained HTML page of the analytics report: inline styles and a
+ * small script that sorts a table by the clicked column, so the file can be
+ * opened from disk or attached anywhere.
+ */
+
+// Client-side sorting; numeric columns sort by their data-value
+const SORT_SCRIPT = `
+document.querySelectorAll("table.sortable").forEach(function (table) {
+  table.querySelectorAll("th").forEach(function (th, column) {
+    th.addEventListener("click", function () {
+      var ascending = th.getAttribute("aria-sort") !== "ascending";
+      table.querySelectorAll("th").forEach(function (other) { other.removeAttribute("aria-sort"); });
+      th.setAttribute("aria-sort", ascending ? "ascending" : "descending");
+      var numeric = th.classList.contains("num");
+      var body = table.querySelector("tbody");
+      var rows = Array.prototype.slice.call(body.querySelectorAll("tr"));
+      rows.sort(function (a, b) {
+        var x = a.children[column].getAttribute("data-value");
+        var y = b.children[column].getAttribute("data-value");
+        var order = numeric
+          ? (x === "" ? Infinity : Number(x)) - (y === "" ? Infinity : Number(y))
+          : x.localeCompare(y);
+        return ascending ? order : -order;
+      });
+      rows.forEach(function (row) { body.appendChild(row); });
+    });
+  });
+});
+`;
+
+const STYLES = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+h1 { margin-bottom: 0.2em; }
+.meta { color: #666; margin-top: 0; }
+.summary { display: flex; flex-wrap: wrap; gap: 1em; margin: 1.5em 0; }
+.summary div { border: 1px solid #ddd; border-radius: 4px; padding: 0.6em 1em; }
+.summary strong { display: block; font-size: 1.4em; }
+nav a { margin-right: 1em; }
+table { border-collapse: collapse; margin-bottom: 0.5em; }
+th, td { border: 1px solid #ddd; padding: 0.3em 0.7em; text-align: left; }
+th { background: #f4f4f4; cursor: pointer; user-select: none; white-space: nowrap; }
+th[aria-sort="ascending"]::after { content: " \\25B2"; }
+th[aria-sort="descending"]::after { content: " \\25BC"; }
+td.num, th.num { text-align: right; }
+tbody tr:nth-child(even) { background: #fafafa; }
+.note { color: #666; font-size: 0.9em; }
+`;
+
+/**
+ * Escape text for HTML
+ * @param {*} value Value
+ * @returns {String} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Render one aggregate table
+ * @param {Object} table { id, title, columns, rows } from createAnalytics
+ * @param {Number} limit Maximum rows shown
+ * @returns {String} HTML section
+ */
+function renderTable(table, limit) {
+  const rows = table.rows.slice(0, limit);
+  const header = table.columns
+    .map((column) => `<th${column.numeric ? ' class="num"' : ""}>${escapeHtml(column.title.replace(/_/g, " "))}</th>`)
+    .join("");
+  const body = rows
+    .map((row) => {
+      const cells = table.columns.map((column) => {
+        const value = row[column.id];
+        const text = column.numeric && typeof value === "number" ? value.toLocaleString("en-US") : value;
+        return `<td${column.numeric ? ' class="num"' : ""} data-value="${escapeHtml(value)}">${escapeHtml(text)}</td>`;
+      });
+      return `<tr>${cells.join("")}</tr>`;
+    })
+    .join("\n");
+  const note =
+    table.rows.length > rows.length
+      ? `<p class="note">Showing the first ${rows.length} of ${table.rows.length} rows; ${escapeHtml(table.id)}.csv has all of them.</p>`
+      : "";
+
+  return `<section id="${escapeHtml(table.id)}">
+<h2>${escapeHtml(table.title)}</h2>
+<table class="sortable">
+<thead><tr>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+${note}
+</section>`;
+}
+
+/**
+ * Render the report page
+ * @param {Object} report { source, generatedAt, summary, tables }
+ * @param {Number} limit Maximum rows shown per table
+ * @returns {String} HTML document
+ */
+function renderReportHtml(report, limit) {
+  const cards = [
+    ["Domains", report.summary.domains],
+    ["IP addresses", report.summary.ips],
+    ["Owners", report.summary.owners],
+    ["Countries", report.summary.countries],
+    ["TLDs", report.summary.tlds],
+  ]
+    .map(([label, value]) => `<div><strong>${value.toLocaleString("en-US")}</strong>${label}</div>`)
+    .join("\n");
+  const nav = report.tables
+    .map((table) => `<a href="#${escapeHtml(table.id)}">${escapeHtml(table.title)}</a>`)
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>MyIP.ms range report</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>MyIP.ms range report</h1>
+<p class="meta">${escapeHtml(report.source)} &middot; generated ${escapeHtml(report.generatedAt)}</p>
+<div class="summary">
+${cards}
+</div>
+<nav>
+${nav}
+</nav>
+${report.tables.map((table) => renderTable(table, limit)).join("\n")}
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderReportHtml };
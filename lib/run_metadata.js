@@ -0,0 +1,257 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { parsePageUrl } = require("./targets");
+const { createLogger } = require("./logger");
+
+const RUN_SUFFIX = ".run.json";
+
+const log = createLogger();
+
+// Columns of the run history written by consolidation and the report
+const RUN_HISTORY_FIELDS = [
+  { id: "target", title: "Target" },
+  { id: "chunkSet", title: "Chunk_Set" },
+  { id: "chunk", title: "Chunk" },
+  { id: "runId", title: "Run_ID" },
+  { id: "status", title: "Status" },
+  { id: "exitCode", title: "Exit_Code" },
+  { id: "startedAt", title: "Started_At" },
+  { id: "endedAt", title: "Ended_At" },
+  { id: "durationSeconds", title: "Duration_Seconds" },
+  { id: "urlCount", title: "URLs" },
+  { id: "skippedCount", title: "Skipped" },
+  { id: "successCount", title: "Succeeded" },
+  { id: "failCount", title: "Failed" },
+  { id: "recordCount", title: "Records" },
+  { id: "quarantineCount", title: "Quarantined" },
+  { id: "userAgent", title: "User_Agent" },
+  { id: "nodeVersion", title: "Node_Version" },
+  { id: "puppeteerVersion", title: "Puppeteer_Version" },
+  { id: "actionsRunId", title: "Actions_Run_ID" },
+  { id: "actionsRunAttempt", title: "Actions_Run_Attempt" },
+  { id: "actionsJob", title: "Actions_Job" },
+  { id: "dataFile", title: "Data_File" },
+];
+
+/**
+ * Path of the run metadata sidecar that belongs to a data file
+ * @param {String} dataFile Path of the chunk data file
+ * @returns {String} Sidecar file path
+ */
+function getRunMetadataPath(dataFile) {
+  return dataFile.replace(/\.(csv|jsonl|json)$/, "") + RUN_SUFFIX;
+}
+
+/**
+ * Installed Puppeteer version
+ * @returns {String|null} Version, or null if Puppeteer is not installed
+ */
+function getPuppeteerVersion() {
+  try {
+    return require("puppeteer/package.json").version;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * GitHub Actions identifiers of the current job
+ * @param {Object} [env] Environment
+ * @returns {Object|null} Run, attempt, job and workflow, or null outside Actions
+ */
+function getActionsContext(env = process.env) {
+  if (env.GITHUB_ACTIONS !== "true") {
+    return null;
+  }
+  return {
+    runId: env.GITHUB_RUN_ID || null,
+    runAttempt: env.GITHUB_RUN_ATTEMPT || null,
+    job: env.GITHUB_JOB || null,
+    workflow: env.GITHUB_WORKFLOW || null,
+    repository: env.GITHUB_REPOSITORY || null,
+    sha: env.GITHUB_SHA || null,
+    runnerName: env.RUNNER_NAME || null,
+  };
+}
+
+/**
+ * Start the metadata of a worker run
+ * @param {Object} options Run options
+ * @param {Number} options.urlCount URLs in the chunk
+ * @param {Number} options.skippedCount URLs already saved by an earlier run
+ * @param {String} [options.userAgent] User agent of the browser
+ * @returns {Object} Run metadata
+ */
+function createRun({ urlCount, skippedCount, userAgent = null }) {
+  return {
+    runId: crypto.randomUUID(),
+    status: "running",
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    durationMs: null,
+    exitCode: null,
+    urlCount,
+    skippedCount,
+    successCount: 0,
+    failCount: 0,
+    recordCount: 0,
+    quarantineCount: 0,
+    userAgent,
+    versions: { node: process.version, puppeteer: getPuppeteerVersion() },
+    actions: getActionsContext(),
+    pages: [],
+  };
+}
+
+/**
+ * Add the outcome of one page to a run
+ * @param {Object} run Run metadata
+ * @param {String} url Page URL
+ * @param {Object} outcome Page outcome from scrapePage
+ * @param {String} startedAt ISO timestamp the page was started at
+ * @param {Number} durationMs Time the page took
+ */
+function recordPage(run, url, outcome, startedAt, durationMs) {
+  const parsed = parsePageUrl(url);
+  const records = outcome.records ? outcome.records.length : 0;
+  const quarantined = outcome.quarantined ? outcome.quarantined.length : 0;
+  run.pages.push({
+    url,
+    page: parsed ? parsed.page : null,
+    status: outcome.status,
+    reason: outcome.reason || null,
+    records,
+    quarantined,
+    startedAt,
+    durationMs,
+  });
+  run.recordCount += records;
+  run.quarantineCount += quarantined;
+}
+
+/**
+ * Close a run
+ * @param {Object} run Run metadata
+ * @param {Object} result { status, exitCode, successCount, failCount }
+ */
+function finishRun(run, { status, exitCode, successCount, failCount }) {
+  run.status = status;
+  run.exitCode = exitCode;
+  run.successCount = successCount;
+  run.failCount = failCount;
+  run.endedAt = new Date().toISOString();
+  run.durationMs = Date.parse(run.endedAt) - Date.parse(run.startedAt);
+}
+
+/**
+ * Load the run metadata sidecar of a data file
+ * @param {String} sidecarPath Sidecar file path
+ * @returns {Object|null} Sidecar, or null if there is none
+ */
+function loadRunMetadata(sidecarPath) {
+  if (!fs.existsSync(sidecarPath)) {
+    return null;
+  }
+  const sidecar = JSON.parse(fs.readFileSync(sidecarPath, "utf-8"));
+  sidecar.runs = sidecar.runs || [];
+  return sidecar;
+}
+
+/**
+ * Write a run into the sidecar of its data file, replacing an earlier
+ * write of the same run; runs of a resumed chunk are appended
+ * @param {String} sidecarPath Sidecar file path
+ * @param {Object} header { target, chunk, chunkSet, dataFile }
+ * @param {Object} run Run metadata
+ */
+function saveRunMetadata(sidecarPath, header, run) {
+  const sidecar = loadRunMetadata(sidecarPath) || { ...header, runs: [] };
+  sidecar.runs = sidecar.runs.filter((entry) => entry.runId !== run.runId).concat(run);
+  fs.writeFileSync(sidecarPath, JSON.stringify(sidecar, null, 2));
+}
+
+/**
+ * Find all run metadata sidecars under a directory
+ * @param {String} dir Directory to scan
+ * @returns {Array} Array of sidecar file paths
+ */
+function findRunMetadata(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .flatMap((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) return findRunMetadata(fullPath);
+      return entry.name.endsWith(RUN_SUFFIX) ? [fullPath] : [];
+    })
+    .sort();
+}
+
+/**
+ * Read every sidecar under a directory into one row per run, oldest first
+ * @param {String} dir Directory to scan, usually the data directory
+ * @returns {Array} Rows with the RUN_HISTORY_FIELDS ids
+ */
+function loadRunHistory(dir) {
+  const rows = [];
+
+  findRunMetadata(dir).forEach((sidecarPath) => {
+    let sidecar;
+    try {
+      sidecar = loadRunMetadata(sidecarPath);
+    } catch (error) {
+      log.warn("runs.unreadable_sidecar", `⚠️ Skipping unreadable run metadata ${sidecarPath}: ${error.message}`, {
+        file: sidecarPath,
+        error: error.message,
+      });
+      return;
+    }
+
+    sidecar.runs.forEach((run) => {
+      const actions = run.actions || {};
+      rows.push({
+        target: sidecar.target,
+        chunkSet: sidecar.chunkSet || "main",
+        chunk: sidecar.chunk,
+        runId: run.runId,
+        status: run.status,
+        exitCode: run.exitCode === null ? "" : run.exitCode,
+        startedAt: run.startedAt,
+        endedAt: run.endedAt || "",
+        durationSeconds: run.durationMs === null ? "" : Math.round(run.durationMs / 1000),
+        urlCount: run.urlCount,
+        skippedCount: run.skippedCount,
+        successCount: run.successCount,
+        failCount: run.failCount,
+        recordCount: run.recordCount,
+        quarantineCount: run.quarantineCount,
+        userAgent: run.userAgent || "",
+        nodeVersion: (run.versions && run.versions.node) || "",
+        puppeteerVersion: (run.versions && run.versions.puppeteer) || "",
+        actionsRunId: actions.runId || "",
+        actionsRunAttempt: actions.runAttempt || "",
+        actionsJob: actions.job || "",
+        dataFile: path.join(path.relative(dir, path.dirname(sidecarPath)), sidecar.dataFile),
+      });
+    });
+  });
+
+  return rows.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+}
+
+module.exports = {
+  RUN_HISTORY_FIELDS,
+  getRunMetadataPath,
+  getActionsContext,
+  createRun,
+  recordPage,
+  finishRun,
+  loadRunMetadata,
+  saveRunMetadata,
+  findRunMetadata,
+  loadRunHistory,
+};
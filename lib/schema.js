@@ -0,0 +1,160 @@
+/**
+ * Canonical record schema shared by the scrapers and consolidation, and the
+ * mapping of every known CSV header variant onto it.
+ *
+ * The functions default to the schema of the sites table; the other browse
+ * tables pass their profile (lib/table_profiles.js), which carries the same
+ * { fields, keyFields }.
+ */
+
+// Canonical fields in output order. Aliases are header names with case,
+// spaces and underscores removed. The provenance fields of the worker (page
+// number, 1-based row position in the table, chunk and run) come last so
+// files written before them keep their column positions.
+const CANONICAL_FIELDS = [
+  { id: "rank", title: "Rank", aliases: ["rank", "no"] },
+  { id: "domain", title: "Domain", aliases: ["domain", "website"] },
+  { id: "domainUrl", title: "Domain_URL", aliases: ["domainurl"] },
+  { id: "ipAddress", title: "IP_Address", aliases: ["ipaddress", "websiteipaddress"] },
+  { id: "ipAddressUrl", title: "IP_Address_URL", aliases: ["ipaddressurl"] },
+  { id: "location", title: "Location", aliases: ["location", "country"] },
+  { id: "city", title: "City", aliases: ["city"] },
+  { id: "owner", title: "Owner", aliases: ["owner", "ipowner"] },
+  { id: "ownerUrl", title: "Owner_URL", aliases: ["ownerurl"] },
+  { id: "lastUpdate", title: "Last_Update", aliases: ["lastupdate"] },
+  { id: "sourceUrl", title: "Source_URL", aliases: ["sourceurl"] },
+  { id: "scrapedAt", title: "Scraped_At", aliases: ["scrapedat"] },
+  { id: "uniqueId", title: "Unique_ID", aliases: ["uniqueid"] },
+  { id: "pageNumber", title: "Page", aliases: ["page", "pagenumber"] },
+  { id: "rowPosition", title: "Row", aliases: ["row", "rowposition"] },
+  { id: "chunkId", title: "Chunk_ID", aliases: ["chunkid"] },
+  { id: "runId", title: "Run_ID", aliases: ["runid"] },
+];
+
+// Schema of the sites table: its fields and the fields identifying a record
+const SITES_SCHEMA = {
+  fields: CANONICAL_FIELDS,
+  keyFields: ["domain"],
+};
+
+// Fields consolidation adds from the cached detail pages (enrich_details.js)
+const DETAIL_FIELDS = [
+  { id: "siteId", title: "Site_ID" },
+  { id: "ipv6", title: "IPv6_Address" },
+  { id: "hostingHistory", title: "Hosting_History" },
+  { id: "whoisNetblock", title: "Whois_Netblock" },
+  { id: "whoisCidr", title: "Whois_CIDR" },
+  { id: "whoisNetName", title: "Whois_Net_Name" },
+  { id: "whoisOrganization", title: "Whois_Organization" },
+];
+
+/**
+ * Reduce a header name to its alias form ("Domain URL" -> "domainurl")
+ * @param {String} header Header name
+ * @returns {String} Alias key
+ */
+function headerKey(header) {
+  return String(header || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Map the header aliases of a schema to their field ids
+ * @param {Array} fields Field definitions ({ id, aliases })
+ * @returns {Map} Alias to field id
+ */
+function aliasMap(fields) {
+  const byAlias = new Map();
+  fields.forEach((field) => {
+    (field.aliases || []).forEach((alias) => byAlias.set(alias, field.id));
+  });
+  return byAlias;
+}
+
+// Files written before the header-aware extractor (no City column; sites
+// table only) read the columns by position: "Location" holds the hosting company, "Owner" the
+// country, "Owner_URL" the country link and "Last_Update" the city.
+const SCHEMA_VARIANTS = [
+  {
+    name: "header_mapped",
+    matches: (fields) => fields.includes("city"),
+    remap: {},
+  },
+  {
+    name: "positional_v1",
+    matches: () => true,
+    remap: { location: "owner", owner: "location", ownerUrl: null, lastUpdate: "city" },
+  },
+];
+
+/**
+ * Work out how the headers of a data file map onto canonical fields
+ * @param {Array} headers Header names of the file
+ * @param {Object} [schema] { fields } of the table, defaults to SITES_SCHEMA
+ * @returns {Object} { variant, columns } where columns maps header to field id
+ */
+function resolveHeaders(headers, schema = SITES_SCHEMA) {
+  const byAlias = aliasMap(schema.fields);
+  const direct = new Map();
+  headers.forEach((header) => {
+    const field = byAlias.get(headerKey(header));
+    if (field) direct.set(header, field);
+  });
+
+  const variant =
+    schema.fields === CANONICAL_FIELDS
+      ? SCHEMA_VARIANTS.find((candidate) => candidate.matches(Array.from(direct.values())))
+      : SCHEMA_VARIANTS[0];
+
+  const columns = new Map();
+  direct.forEach((field, header) => {
+    const mapped = field in variant.remap ? variant.remap[field] : field;
+    if (mapped) columns.set(header, mapped);
+  });
+
+  return { variant: variant.name, columns };
+}
+
+/**
+ * Map a raw record onto the canonical schema
+ * @param {Object} raw Record as read from a data file
+ * @param {Map} columns Header to field id mapping from resolveHeaders
+ * @param {Object} [schema] { fields, keyFields } of the table, defaults to
+ *   SITES_SCHEMA
+ * @returns {Object|null} Canonical record, or null for header, detail and
+ *   empty rows saved by older scrapers
+ */
+function normalizeRecord(raw, columns, schema = SITES_SCHEMA) {
+  const record = {};
+  schema.fields.forEach((field) => {
+    record[field.id] = "";
+  });
+  columns.forEach((field, header) => {
+    // JSON and JSON Lines files keep the integers of validated records
+    record[field] = String(raw[header] ?? "").trim();
+  });
+
+  const headerRow = record.rank === "No" || record.domain === "Web Site";
+  if (headerRow || schema.keyFields.some((field) => !record[field])) {
+    return null;
+  }
+  return record;
+}
+
+/**
+ * Stable deduplication key of a canonical record
+ * @param {Object} record Canonical record
+ * @param {Object} [schema] { keyFields } of the table, defaults to SITES_SCHEMA
+ * @returns {String} Key
+ */
+function recordKey(record, schema = SITES_SCHEMA) {
+  return schema.keyFields.map((field) => String(record[field]).toLowerCase()).join("|");
+}
+
+module.exports = {
+  CANONICAL_FIELDS,
+  SITES_SCHEMA,
+  DETAIL_FIELDS,
+  resolveHeaders,
+  normalizeRecord,
+  recordKey,
+};
@@ -0,0 +1,45 @@
+// Outcome of scraping one page
+const SCRAPE_STATUS = {
+  OK: "ok",
+  EMPTY: "empty",
+  CAPTCHA: "captcha",
+  SESSION_EXPIRED: "session_expired",
+  LAYOUT_CHANGED: "layout_changed",
+  NETWORK_ERROR: "network_error",
+};
+
+// Outcomes that will repeat on every following page, so the chunk stops
+const ABORT_STATUSES = [SCRAPE_STATUS.SESSION_EXPIRED, SCRAPE_STATUS.CAPTCHA];
+
+// Process exit codes of worker_script.js, read by the GitHub Actions workflow
+const EXIT_CODES = {
+  OK: 0,
+  FATAL: 1, // Configuration error or crash
+  PAGE_FAILURES: 2, // Some pages failed; see the failure ledger
+  SESSION_EXPIRED: 3, // Refresh the SESSION_DATA secret
+  CAPTCHA: 4, // Human verification was requested
+  LAYOUT_CHANGED: 5, // Table headers no longer match the extractor
+};
+
+/**
+ * Build a scrapePage outcome
+ * @param {String} status One of SCRAPE_STATUS
+ * @param {Object} [details] { records, reason, message }
+ * @returns {Object} { status, records, reason, message }
+ */
+function createOutcome(status, details = {}) {
+  return {
+    status,
+    records: details.records || [],
+    quarantined: details.quarantined || [],
+    reason: details.reason || null,
+    message: details.message || "",
+  };
+}
+
+module.exports = {
+  SCRAPE_STATUS,
+  ABORT_STATUSES,
+  EXIT_CODES,
+  createOutcome,
+};
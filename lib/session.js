@@ -0,0 +1,118 @@
+/**
+ * Session checks shared by the scrapers and session_check.js: recognising
+ * login and verification pages, and describing the expiry of the saved
+ * session cookies.
+ */
+
+const { SCRAPE_STATUS } = require("./scrape_outcome");
+const { FAILURE_REASONS } = require("./failure_ledger");
+
+// Login form myip.ms shows to visitors without a session
+const LOGIN_BUTTON_SELECTOR = 'input[type="submit"][value="Login"]';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expiry state of a cookie
+const COOKIE_STATES = {
+  OK: "ok",
+  EXPIRING: "expiring",
+  EXPIRED: "expired",
+  SESSION: "session", // No expiry; lasts as long as the browser session
+};
+
+/**
+ * Check whether a loaded page is a verification page or asks to log in
+ * @param {Object} page Puppeteer page object
+ * @returns {Promise<Object|null>} { status, reason, message } with a
+ *   SCRAPE_STATUS status and a FAILURE_REASONS reason, or null if the
+ *   session is fine
+ */
+async function detectSessionProblem(page) {
+  const pageTitle = await page.title();
+  const pageUrl = await page.url();
+
+  if (
+    pageTitle.includes("Verification") ||
+    pageTitle.includes("CAPTCHA") ||
+    pageUrl.includes("verify") ||
+    pageTitle.includes("Bot") ||
+    pageTitle.includes("Security Check")
+  ) {
+    return {
+      status: SCRAPE_STATUS.CAPTCHA,
+      reason: FAILURE_REASONS.CAPTCHA,
+      message: `Verification page: ${pageTitle}`,
+    };
+  }
+
+  if (
+    pageUrl.includes("login") ||
+    pageTitle.includes("Login") ||
+    pageTitle.includes("Sign In")
+  ) {
+    return {
+      status: SCRAPE_STATUS.SESSION_EXPIRED,
+      reason: FAILURE_REASONS.LOGIN_REDIRECT,
+      message: `Redirected to ${pageUrl}`,
+    };
+  }
+
+  if (await page.$(LOGIN_BUTTON_SELECTOR)) {
+    return {
+      status: SCRAPE_STATUS.SESSION_EXPIRED,
+      reason: FAILURE_REASONS.LOGIN_REDIRECT,
+      message: `Login form shown on ${pageUrl}`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Describe the expiry of session cookies
+ * @param {Array} cookies Cookie objects as saved by Puppeteer (expires in
+ *   seconds since the epoch, -1 or missing for session cookies)
+ * @param {Number} warnDays Cookies expiring within this many days are "expiring"
+ * @param {Date} [now] Current time
+ * @returns {Array} { name, domain, expires, daysLeft, state } per cookie,
+ *   soonest expiry first; expires is an ISO date or null
+ */
+function describeCookies(cookies, warnDays, now = new Date()) {
+  return cookies
+    .map((cookie) => {
+      const hasExpiry = typeof cookie.expires === "number" && cookie.expires > 0;
+      if (!hasExpiry) {
+        return {
+          name: cookie.name,
+          domain: cookie.domain || "",
+          expires: null,
+          daysLeft: null,
+          state: COOKIE_STATES.SESSION,
+        };
+      }
+
+      const expires = new Date(cookie.expires * 1000);
+      const daysLeft = (expires - now) / DAY_MS;
+      let state = COOKIE_STATES.OK;
+      if (daysLeft <= 0) {
+        state = COOKIE_STATES.EXPIRED;
+      } else if (daysLeft <= warnDays) {
+        state = COOKIE_STATES.EXPIRING;
+      }
+
+      return {
+        name: cookie.name,
+        domain: cookie.domain || "",
+        expires: expires.toISOString(),
+        daysLeft: Math.floor(daysLeft * 10) / 10,
+        state,
+      };
+    })
+    .sort((a, b) => (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity));
+}
+
+module.exports = {
+  LOGIN_BUTTON_SELECTOR,
+  COOKIE_STATES,
+  detectSessionProblem,
+  describeCookies,
+};
@@ -0,0 +1,50 @@
+const fs = require("fs");
+const path = require("path");
+const { getConfig } = require("./config");
+
+// Configuration
+const SNAPSHOTS_DIR = getConfig().snapshotsDir;
+const SNAPSHOT_PATTERN = /^snapshot_(\d{4}-\d{2}-\d{2})\.csv$/;
+
+/**
+ * Snapshot date (UTC day) of an observation timestamp
+ * @param {String} observedAt ISO timestamp
+ * @returns {String|null} Date as YYYY-MM-DD, or null if unknown
+ */
+function snapshotDate(observedAt) {
+  const match = String(observedAt || "").match(/^(\d{4}-\d{2}-\d{2})/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Path of the snapshot file of a date
+ * @param {String} date Date as YYYY-MM-DD
+ * @returns {String} File path
+ */
+function getSnapshotPath(date) {
+  return path.join(SNAPSHOTS_DIR, `snapshot_${date}.csv`);
+}
+
+/**
+ * List the dates that have a snapshot file, oldest first
+ * @returns {Array} Array of YYYY-MM-DD strings
+ */
+function listSnapshotDates() {
+  if (!fs.existsSync(SNAPSHOTS_DIR)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(SNAPSHOTS_DIR)
+    .map((file) => file.match(SNAPSHOT_PATTERN))
+    .filter(Boolean)
+    .map((match) => match[1])
+    .sort();
+}
+
+module.exports = {
+  SNAPSHOTS_DIR,
+  snapshotDate,
+  getSnapshotPath,
+  listSnapshotDates,
+};
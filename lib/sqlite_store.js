@@ -0,0 +1,294 @@
+/**
+ * Local SQLite store for consolidated data.
+ *
+ * Every data file is loaded once; its rows become observations that point at
+ * normalized domain, IP address and owner rows and keep their provenance
+ * (page, row, chunk and the worker run that scraped them). A file is loaded
+ * again only when its size changed (e.g. a resumed chunk appended rows to it).
+ * Worker runs are keyed by their run ID, so a run spread over several data
+ * files (or a file written by several runs) is one scrape_runs row per run.
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS owners (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    url TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS ip_addresses (
+    id INTEGER PRIMARY KEY,
+    ip TEXT NOT NULL UNIQUE,
+    url TEXT,
+    owner_id INTEGER REFERENCES owners(id),
+    location TEXT,
+    city TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS domains (
+    id INTEGER PRIMARY KEY,
+    domain TEXT NOT NULL UNIQUE,
+    url TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS data_files (
+    id INTEGER PRIMARY KEY,
+    source_file TEXT NOT NULL UNIQUE,
+    target TEXT,
+    chunk TEXT,
+    file_timestamp TEXT,
+    file_size INTEGER NOT NULL,
+    schema_variant TEXT,
+    row_count INTEGER,
+    loaded_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS scrape_runs (
+    run_id TEXT PRIMARY KEY,
+    target TEXT,
+    chunk_set TEXT,
+    chunk TEXT,
+    status TEXT,
+    exit_code INTEGER,
+    started_at TEXT,
+    ended_at TEXT,
+    record_count INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS observations (
+    id INTEGER PRIMARY KEY,
+    file_id INTEGER NOT NULL REFERENCES data_files(id) ON DELETE CASCADE,
+    run_id TEXT REFERENCES scrape_runs(run_id),
+    chunk_id TEXT,
+    page_number INTEGER,
+    row_position INTEGER,
+    domain_id INTEGER NOT NULL REFERENCES domains(id),
+    ip_id INTEGER REFERENCES ip_addresses(id),
+    owner_id INTEGER REFERENCES owners(id),
+    rank INTEGER,
+    rank_text TEXT,
+    location TEXT,
+    city TEXT,
+    last_update TEXT,
+    source_url TEXT,
+    scraped_at TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_observations_domain ON observations(domain_id);
+  CREATE INDEX IF NOT EXISTS idx_observations_ip ON observations(ip_id);
+  CREATE INDEX IF NOT EXISTS idx_observations_file ON observations(file_id);
+  CREATE INDEX IF NOT EXISTS idx_observations_run ON observations(run_id);
+  CREATE INDEX IF NOT EXISTS idx_observations_scraped_at ON observations(scraped_at);
+  CREATE INDEX IF NOT EXISTS idx_ip_addresses_owner ON ip_addresses(owner_id);
+`;
+
+/**
+ * Drop the tables of databases written before runs were keyed by run ID,
+ * when scrape_runs had one row per data file; every file is then loaded
+ * again into the current schema
+ * @param {Object} db better-sqlite3 database
+ */
+function migrate(db) {
+  const columns = db.prepare("PRAGMA table_info(scrape_runs)").all();
+  if (columns.some((column) => column.name === "source_file")) {
+    db.exec("DROP TABLE IF EXISTS observations; DROP TABLE scrape_runs;");
+  }
+}
+
+/**
+ * Integer value of a record field, or null when it is empty or not a number
+ * @param {String|Number} value Field value
+ * @returns {Number|null} Integer
+ */
+function toInteger(value) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) ? number : null;
+}
+
+/**
+ * Open (and create if needed) the SQLite store
+ * @param {String} dbPath Database file path
+ * @returns {Object} Store with saveRuns(), startFile() and close()
+ */
+function openStore(dbPath) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (error) {
+    throw new Error(
+      "SQLite output needs the optional better-sqlite3 package (npm install better-sqlite3)"
+    );
+  }
+
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  migrate(db);
+  db.exec(SCHEMA);
+
+  const statements = {
+    findFile: db.prepare("SELECT id, file_size FROM data_files WHERE source_file = ?"),
+    deleteFile: db.prepare("DELETE FROM data_files WHERE id = ?"),
+    deleteSourceFile: db.prepare("DELETE FROM data_files WHERE source_file = ?"),
+    insertFile: db.prepare(`
+      INSERT INTO data_files (source_file, target, chunk, file_timestamp, file_size, loaded_at)
+      VALUES (@sourceFile, @target, @chunk, @fileTimestamp, @fileSize, @loadedAt)
+    `),
+    finishFile: db.prepare(
+      "UPDATE data_files SET schema_variant = ?, row_count = ? WHERE id = ?"
+    ),
+    upsertRun: db.prepare(`
+      INSERT INTO scrape_runs (
+        run_id, target, chunk_set, chunk, status, exit_code, started_at, ended_at, record_count
+      ) VALUES (
+        @runId, @target, @chunkSet, @chunk, @status, @exitCode, @startedAt, @endedAt, @recordCount
+      )
+      ON CONFLICT(run_id) DO UPDATE SET
+        target = excluded.target,
+        chunk_set = excluded.chunk_set,
+        chunk = excluded.chunk,
+        status = excluded.status,
+        exit_code = excluded.exit_code,
+        started_at = excluded.started_at,
+        ended_at = excluded.ended_at,
+        record_count = excluded.record_count
+    `),
+    // Runs without a metadata sidecar are known from their rows only
+    addRun: db.prepare(
+      "INSERT INTO scrape_runs (run_id, target, chunk) VALUES (?, ?, ?) ON CONFLICT(run_id) DO NOTHING"
+    ),
+    upsertOwner: db.prepare(`
+      INSERT INTO owners (name, url) VALUES (?, ?)
+      ON CONFLICT(name) DO UPDATE SET url = COALESCE(NULLIF(excluded.url, ''), owners.url)
+      RETURNING id
+    `),
+    upsertIp: db.prepare(`
+      INSERT INTO ip_addresses (ip, url, owner_id, location, city) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(ip) DO UPDATE SET
+        url = COALESCE(NULLIF(excluded.url, ''), ip_addresses.url),
+        owner_id = COALESCE(excluded.owner_id, ip_addresses.owner_id),
+        location = COALESCE(NULLIF(excluded.location, ''), ip_addresses.location),
+        city = COALESCE(NULLIF(excluded.city, ''), ip_addresses.city)
+      RETURNING id
+    `),
+    upsertDomain: db.prepare(`
+      INSERT INTO domains (domain, url) VALUES (?, ?)
+      ON CONFLICT(domain) DO UPDATE SET url = COALESCE(NULLIF(excluded.url, ''), domains.url)
+      RETURNING id
+    `),
+    insertObservation: db.prepare(`
+      INSERT INTO observations (
+        file_id, run_id, chunk_id, page_number, row_position, domain_id, ip_id, owner_id,
+        rank, rank_text, location, city, last_update, source_url, scraped_at
+      ) VALUES (
+        @fileId, @runId, @chunkId, @pageNumber, @rowPosition, @domainId, @ipId, @ownerId,
+        @rank, @rankText, @location, @city, @lastUpdate, @sourceUrl, @scrapedAt
+      )
+    `),
+  };
+
+  /**
+   * Record the worker runs of the run history
+   * @param {Array} runs Rows of loadRunHistory (lib/run_metadata.js)
+   */
+  const saveRuns = db.transaction((runs) => {
+    runs.forEach((run) =>
+      statements.upsertRun.run({
+        runId: run.runId,
+        target: run.target,
+        chunkSet: run.chunkSet,
+        chunk: run.chunk,
+        status: run.status,
+        exitCode: toInteger(run.exitCode),
+        startedAt: run.startedAt,
+        endedAt: run.endedAt || null,
+        recordCount: toInteger(run.recordCount),
+      })
+    );
+  });
+
+  /**
+   * Start loading a data file. The observations of the files it replaces
+   * (the data files a compacted archive holds) are deleted with it, so their
+   * rows are not counted twice.
+   * @param {Object} file { sourceFile, target, chunk, fileTimestamp, fileSize,
+   *   replaces }, replaces listing source files
+   * @returns {Object|null} Load with add() and finish(), or null if the file
+   *   is already loaded unchanged
+   */
+  function startFile(file) {
+    const { replaces = [], ...fileRow } = file;
+    const existing = statements.findFile.get(fileRow.sourceFile);
+    if (existing && existing.file_size === fileRow.fileSize) {
+      return null;
+    }
+
+    db.exec("BEGIN");
+    if (existing) {
+      statements.deleteFile.run(existing.id);
+    }
+    replaces.forEach((sourceFile) => statements.deleteSourceFile.run(sourceFile));
+    const fileId = statements.insertFile.run({
+      ...fileRow,
+      loadedAt: new Date().toISOString(),
+    }).lastInsertRowid;
+
+    return {
+      add(record) {
+        const ownerId = record.owner
+          ? statements.upsertOwner.get(record.owner, record.ownerUrl).id
+          : null;
+        const ipId = record.ipAddress
+          ? statements.upsertIp.get(
+              record.ipAddress,
+              record.ipAddressUrl,
+              ownerId,
+              record.location,
+              record.city
+            ).id
+          : null;
+        const domainId = statements.upsertDomain.get(
+          record.domain.toLowerCase(),
+          record.domainUrl
+        ).id;
+        const runId = record.runId || null;
+        if (runId) {
+          statements.addRun.run(runId, file.target, file.chunk);
+        }
+
+        statements.insertObservation.run({
+          fileId,
+          runId,
+          chunkId: record.chunkId || null,
+          pageNumber: toInteger(record.pageNumber),
+          rowPosition: toInteger(record.rowPosition),
+          domainId,
+          ipId,
+          ownerId,
+          rank: toInteger(record.rank),
+          rankText: String(record.rank),
+          location: record.location,
+          city: record.city,
+          lastUpdate: record.lastUpdate,
+          sourceUrl: record.sourceUrl,
+          scrapedAt: record.scrapedAt || file.fileTimestamp,
+        });
+      },
+      finish(variant, rowCount) {
+        statements.finishFile.run(variant, rowCount, fileId);
+        db.exec("COMMIT");
+      },
+      abort() {
+        db.exec("ROLLBACK");
+      },
+    };
+  }
+
+  return {
+    saveRuns,
+    startFile,
+    close: () => db.close(),
+  };
+}
+
+module.exports = { openStore };
@@ -0,0 +1,218 @@
+/**
+ * Header-aware extraction of the myip.ms browse tables.
+ *
+ * Columns are located by their header text instead of by position, so a
+ * reordered table still lands in the right fields and an unrecognised table
+ * is reported instead of silently producing shifted data.
+ */
+
+// Column schema of the #sites_tbl table on /browse/sites/; the specs of the
+// other browse tables are in lib/table_profiles.js.
+// Header aliases are compared lower-cased with whitespace collapsed.
+const SITES_TABLE = {
+  selector: "#sites_tbl",
+  columns: [
+    { field: "rank", headers: ["no", "no.", "#", "rank"], required: true },
+    {
+      field: "domain",
+      link: "domainUrl",
+      preferLinkText: true,
+      headers: ["web site", "website", "domain"],
+      required: true,
+    },
+    {
+      field: "ipAddress",
+      link: "ipAddressUrl",
+      preferLinkText: true,
+      headers: ["website ip address", "ip address", "ip"],
+      required: true,
+    },
+    {
+      field: "owner",
+      link: "ownerUrl",
+      headers: ["web hosting company / ip owner", "ip owner", "owner"],
+      required: true,
+    },
+    {
+      field: "location",
+      headers: ["web hosting / server ip location", "server ip location", "location"],
+      required: true,
+    },
+    { field: "city", headers: ["web hosting city", "city"] },
+    { field: "lastUpdate", headers: ["record update time", "last update"] },
+  ],
+  // Label used inside the expandable detail row that follows each site row
+  detailFields: { lastUpdate: "Record Update Time:" },
+  // Rows with none of these fields are empty
+  valueFields: ["domain", "ipAddress"],
+};
+
+/**
+ * Extract rows from a table described by `spec`.
+ *
+ * Runs inside the browser through page.evaluate, so it must stay
+ * self-contained: no references to anything outside the function body.
+ * @param {Object} spec Table spec (selector, columns, detailFields, valueFields)
+ * @param {String} baseUrl URL used to resolve relative links
+ * @param {Object} [root] Document to read from (defaults to `document`)
+ * @returns {Object} { found, headers, missing, rows }
+ */
+function extractTableRows(spec, baseUrl, root) {
+  const doc = root || document;
+  const normalize = (text) =>
+    (text || "").replace(/\s+/g, " ").trim().toLowerCase();
+  const cellText = (cell) => (cell?.textContent || "").replace(/\s+/g, " ").trim();
+  const resolveHref = (link) => {
+    const href = link?.getAttribute("href");
+    if (!href) return "";
+    try {
+      return new URL(href, baseUrl).href;
+    } catch (error) {
+      return href;
+    }
+  };
+
+  const table = doc.querySelector(spec.selector);
+  if (!table) {
+    return { found: false, headers: [], missing: [], rows: [] };
+  }
+
+  const rows = Array.from(table.querySelectorAll("tr"));
+  const cellsOf = (row) => Array.from(row.querySelectorAll("td, th"));
+
+  // Map header text to column positions for a candidate header row
+  const mapColumns = (cells) => {
+    const headerTexts = cells.map((cell) => normalize(cell.textContent));
+    const positions = {};
+    spec.columns.forEach((column) => {
+      const index = headerTexts.findIndex((text) =>
+        column.headers.includes(text)
+      );
+      if (index !== -1) positions[column.field] = index;
+    });
+    return { headerTexts, positions };
+  };
+
+  // The header row is the first row that carries every required column
+  const requiredFields = spec.columns
+    .filter((column) => column.required)
+    .map((column) => column.field);
+  let headerIndex = -1;
+  let layout = null;
+  for (let i = 0; i < rows.length; i++) {
+    const candidate = mapColumns(cellsOf(rows[i]));
+    if (requiredFields.every((field) => field in candidate.positions)) {
+      headerIndex = i;
+      layout = candidate;
+      break;
+    }
+  }
+
+  if (!layout) {
+    const firstRow = rows.length > 0 ? mapColumns(cellsOf(rows[0])) : null;
+    return {
+      found: true,
+      headers: firstRow ? firstRow.headerTexts : [],
+      missing: requiredFields.filter(
+        (field) => !firstRow || !(field in firstRow.positions)
+      ),
+      rows: [],
+    };
+  }
+
+  const headerKey = layout.headerTexts.join("|");
+  const records = [];
+
+  rows.slice(headerIndex + 1).forEach((row) => {
+    const cells = cellsOf(row);
+
+    // Repeated header rows
+    if (cells.map((cell) => normalize(cell.textContent)).join("|") === headerKey) {
+      return;
+    }
+
+    // Detail and ad rows span the table with fewer cells than the header
+    if (cells.length < layout.headerTexts.length) {
+      const previous = records[records.length - 1];
+      const text = cellText(row);
+      Object.entries(spec.detailFields || {}).forEach(([field, label]) => {
+        const start = text.indexOf(label);
+        if (previous && !previous[field] && start !== -1) {
+          const rest = text.slice(start + label.length).trim();
+          // Detail values run until the next "Label:" in the block
+          const next = rest.search(/\s[A-Z][A-Za-z ()/]+:/);
+          previous[field] = (next === -1 ? rest : rest.slice(0, next)).trim();
+        }
+      });
+      return;
+    }
+
+    const record = {};
+    spec.columns.forEach((column) => {
+      const cell = cells[layout.positions[column.field]];
+      const link = cell?.querySelector("a");
+      const linkText = cellText(link);
+      record[column.field] =
+        (column.preferLinkText && linkText) || cellText(cell) || "";
+      if (column.link) record[column.link] = resolveHref(link);
+    });
+
+    if ((spec.valueFields || []).every((field) => !record[field])) return; // Empty rows
+    if (!record.rank) record.rank = `row-${records.length + 1}`;
+    records.push(record);
+  });
+
+  return { found: true, headers: layout.headerTexts, missing: [], rows: records };
+}
+
+/**
+ * Extract the rows of a browse table from a loaded page
+ * @param {Object} page Puppeteer page object
+ * @param {Object} [spec] Table spec, defaults to SITES_TABLE
+ * @returns {Promise<Array>} Array of row objects (empty if the table is absent)
+ */
+async function extractTable(page, spec = SITES_TABLE) {
+  const result = await page.evaluate(extractTableRows, spec, page.url());
+  return checkExtraction(result, spec);
+}
+
+/**
+ * Extract the rows of a browse table from saved HTML, without a browser
+ * @param {String} html Page HTML
+ * @param {String} baseUrl URL the page was fetched from
+ * @param {Object} [spec] Table spec, defaults to SITES_TABLE
+ * @returns {Array} Array of row objects (empty if the table is absent)
+ */
+function extractTableFromHtml(html, baseUrl, spec = SITES_TABLE) {
+  // Loaded here so the browser-based scrapers do not need it
+  const { parseHTML } = require("linkedom");
+  const { document } = parseHTML(html);
+  return checkExtraction(extractTableRows(spec, baseUrl, document), spec);
+}
+
+/**
+ * Turn an extraction result into rows, failing loudly on an unknown layout
+ * @param {Object} result Result of extractTableRows
+ * @param {Object} spec Table spec used for the extraction
+ * @returns {Array} Array of row objects
+ */
+function checkExtraction(result, spec) {
+  if (result.missing.length > 0) {
+    const error = new Error(
+      `Unknown ${spec.selector} layout: missing column(s) ${result.missing.join(
+        ", "
+      )}; found headers [${result.headers.join(" | ")}]`
+    );
+    error.code = "UNKNOWN_LAYOUT";
+    throw error;
+  }
+  return result.rows;
+}
+
+module.exports = {
+  SITES_TABLE,
+  extractTableRows,
+  extractTable,
+  extractTableFromHtml,
+  checkExtraction,
+};
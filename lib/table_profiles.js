@@ -0,0 +1,172 @@
+/**
+ * Profiles of the myip.ms browse tables a target can scrape. A profile ties
+ * together everything that depends on the table:
+ *
+ * - the URL: /browse/<name>/<page>, plus rankii/<rankLimit> and
+ *   ipID/<from>/ipIDii/<to> when the table supports those filters
+ * - the table spec for lib/table_extractor.js (selector and columns)
+ * - the record schema (fields and CSV headers) and the fields that identify
+ *   a record when consolidating
+ * - the validation rules (lib/validation.js)
+ *
+ * Targets pick a profile with their "table" setting.
+ */
+
+const { CANONICAL_FIELDS, SITES_SCHEMA } = require("./schema");
+const { SITES_TABLE } = require("./table_extractor");
+
+const DEFAULT_PROFILE = "sites";
+
+// Provenance fields every profile ends with
+const PROVENANCE_FIELDS = CANONICAL_FIELDS.filter((field) =>
+  ["sourceUrl", "scrapedAt", "uniqueId", "pageNumber", "rowPosition", "chunkId", "runId"].includes(
+    field.id
+  )
+);
+
+const RANK_COLUMN = { field: "rank", headers: ["no", "no.", "#", "rank"], required: true };
+const RANK_FIELD = CANONICAL_FIELDS.find((field) => field.id === "rank");
+
+const TABLE_PROFILES = {
+  sites: {
+    name: "sites",
+    description: "Websites with their IP address, hosting company and location",
+    url: { rankLimit: true, ipRange: true },
+    table: SITES_TABLE,
+    ...SITES_SCHEMA,
+    validation: { domainField: "domain", ipField: "ipAddress", dateField: "lastUpdate" },
+  },
+
+  ip_owners: {
+    name: "ip_owners",
+    description: "IP address owners with their number of ranges, IPs and websites",
+    url: { rankLimit: false, ipRange: false },
+    table: {
+      selector: "#ip_owners_tbl",
+      columns: [
+        RANK_COLUMN,
+        {
+          field: "owner",
+          link: "ownerUrl",
+          preferLinkText: true,
+          headers: ["ip owner", "ip address owner", "owner", "company"],
+          required: true,
+        },
+        { field: "location", headers: ["ip owner country", "country", "location"] },
+        { field: "ipRanges", headers: ["ip ranges", "total ip ranges", "ranges"] },
+        { field: "ipCount", headers: ["total ips", "ip addresses", "total ip addresses", "ips"] },
+        { field: "siteCount", headers: ["total websites", "websites", "web sites", "sites"] },
+      ],
+      valueFields: ["owner"],
+    },
+    fields: [
+      RANK_FIELD,
+      { id: "owner", title: "Owner", aliases: ["owner", "ipowner"] },
+      { id: "ownerUrl", title: "Owner_URL", aliases: ["ownerurl"] },
+      { id: "location", title: "Location", aliases: ["location", "country"] },
+      { id: "ipRanges", title: "IP_Ranges", aliases: ["ipranges"] },
+      { id: "ipCount", title: "IP_Count", aliases: ["ipcount", "totalips"] },
+      { id: "siteCount", title: "Website_Count", aliases: ["websitecount", "totalwebsites"] },
+      ...PROVENANCE_FIELDS,
+    ],
+    keyFields: ["owner"],
+    validation: { requiredFields: ["owner"], countFields: ["ipRanges", "ipCount", "siteCount"] },
+  },
+
+  web_hosting: {
+    name: "web_hosting",
+    description: "Web hosting companies with their number of websites and IPs",
+    url: { rankLimit: false, ipRange: false },
+    table: {
+      selector: "#web_hosting_tbl",
+      columns: [
+        RANK_COLUMN,
+        {
+          field: "company",
+          link: "companyUrl",
+          preferLinkText: true,
+          headers: ["web hosting company", "hosting company", "hosting provider", "company"],
+          required: true,
+        },
+        { field: "location", headers: ["hosting country", "country", "location"] },
+        { field: "siteCount", headers: ["total websites", "hosted websites", "websites", "web sites"] },
+        { field: "ipCount", headers: ["total ips", "ip addresses", "ips"] },
+      ],
+      valueFields: ["company"],
+    },
+    fields: [
+      RANK_FIELD,
+      { id: "company", title: "Hosting_Company", aliases: ["hostingcompany", "company"] },
+      { id: "companyUrl", title: "Hosting_Company_URL", aliases: ["hostingcompanyurl", "companyurl"] },
+      { id: "location", title: "Location", aliases: ["location", "country"] },
+      { id: "siteCount", title: "Website_Count", aliases: ["websitecount", "totalwebsites"] },
+      { id: "ipCount", title: "IP_Count", aliases: ["ipcount", "totalips"] },
+      ...PROVENANCE_FIELDS,
+    ],
+    keyFields: ["company"],
+    validation: { requiredFields: ["company"], countFields: ["siteCount", "ipCount"] },
+  },
+
+  ip_ranges: {
+    name: "ip_ranges",
+    description: "IP ranges inside the target range with their owner and size",
+    url: { rankLimit: false, ipRange: true },
+    table: {
+      selector: "#ip_ranges_tbl",
+      columns: [
+        RANK_COLUMN,
+        {
+          field: "range",
+          link: "rangeUrl",
+          preferLinkText: true,
+          headers: ["ip range", "ip ranges", "range"],
+          required: true,
+        },
+        {
+          field: "owner",
+          link: "ownerUrl",
+          headers: ["ip range owner", "ip owner", "owner"],
+        },
+        { field: "location", headers: ["ip range country", "country", "location"] },
+        { field: "ipCount", headers: ["total ips", "ips", "range size"] },
+        { field: "siteCount", headers: ["total websites", "websites", "web sites"] },
+      ],
+      valueFields: ["range"],
+    },
+    fields: [
+      RANK_FIELD,
+      { id: "range", title: "IP_Range", aliases: ["iprange", "range"] },
+      { id: "rangeUrl", title: "IP_Range_URL", aliases: ["iprangeurl", "rangeurl"] },
+      { id: "owner", title: "Owner", aliases: ["owner", "ipowner"] },
+      { id: "ownerUrl", title: "Owner_URL", aliases: ["ownerurl"] },
+      { id: "location", title: "Location", aliases: ["location", "country"] },
+      { id: "ipCount", title: "IP_Count", aliases: ["ipcount", "totalips"] },
+      { id: "siteCount", title: "Website_Count", aliases: ["websitecount", "totalwebsites"] },
+      ...PROVENANCE_FIELDS,
+    ],
+    keyFields: ["range"],
+    validation: { ipRangeField: "range", countFields: ["ipCount", "siteCount"] },
+  },
+};
+
+/**
+ * Look up a table profile
+ * @param {String} [name] Profile name (the "table" of a target), defaults
+ *   to the sites table
+ * @returns {Object} Table profile
+ */
+function getProfile(name = DEFAULT_PROFILE) {
+  const profile = TABLE_PROFILES[name];
+  if (!profile) {
+    throw new Error(
+      `Unknown table "${name}". Use one of: ${Object.keys(TABLE_PROFILES).join(", ")}`
+    );
+  }
+  return profile;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  TABLE_PROFILES,
+  getProfile,
+};
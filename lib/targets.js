@@ -0,0 +1,264 @@
+const fs = require("fs");
+const path = require("path");
+const { getConfig } = require("./config");
+const { DEFAULT_PROFILE, getProfile } = require("./table_profiles");
+const { createLogger } = require("./logger");
+
+// Configuration (see lib/config.js)
+const TARGETS_FILE = getConfig().targetsFile;
+// baseUrl (MYIPMS_BASE_URL) points the scrapers elsewhere, e.g. at the local fixture server
+const SITE_BASE_URL = getConfig().baseUrl;
+const CHUNKS_DIR = getConfig().chunksDir;
+const DEFAULT_CHUNK_SIZE = getConfig().defaultChunkSize;
+
+const log = createLogger();
+
+/**
+ * Convert a dotted IPv4 address to an unsigned 32-bit integer
+ * @param {String} ip IPv4 address
+ * @returns {Number} Integer value of the address
+ */
+function ipToInt(ip) {
+  const parts = String(ip).trim().split(".");
+  if (
+    parts.length !== 4 ||
+    parts.some((part) => !/^\d{1,3}$/.test(part) || Number(part) > 255)
+  ) {
+    throw new Error(`Invalid IPv4 address: ${ip}`);
+  }
+  return parts.reduce((acc, part) => acc * 256 + Number(part), 0);
+}
+
+/**
+ * Convert an unsigned 32-bit integer to a dotted IPv4 address
+ * @param {Number} value Integer value of the address
+ * @returns {String} IPv4 address
+ */
+function intToIp(value) {
+  return [24, 16, 8, 0]
+    .map((shift) => Math.floor(value / 2 ** shift) % 256)
+    .join(".");
+}
+
+/**
+ * Parse an IP range written as a CIDR ("23.227.38.0/24") or as a
+ * "first-last" pair ("23.227.38.0-23.227.38.255")
+ * @param {String} range Range specification
+ * @returns {Object} { from, to } dotted IPv4 addresses
+ */
+function parseIpRange(range) {
+  const spec = String(range).trim();
+
+  if (spec.includes("/")) {
+    const [base, bitsText] = spec.split("/");
+    const bits = Number(bitsText);
+    if (!Number.isInteger(bits) || bits < 0 || bits > 32) {
+      throw new Error(`Invalid CIDR prefix length in range: ${range}`);
+    }
+    const size = 2 ** (32 - bits);
+    const start = Math.floor(ipToInt(base) / size) * size;
+    return { from: intToIp(start), to: intToIp(start + size - 1) };
+  }
+
+  if (spec.includes("-")) {
+    const [from, to] = spec.split("-").map((part) => part.trim());
+    if (ipToInt(from) > ipToInt(to)) {
+      throw new Error(`IP range start is after its end: ${range}`);
+    }
+    return { from, to };
+  }
+
+  ipToInt(spec);
+  return { from: spec, to: spec };
+}
+
+/**
+ * Validate a raw target entry and fill in defaults
+ * @param {Object} raw Target entry from the targets file
+ * @returns {Object} Normalized target
+ */
+function normalizeTarget(raw) {
+  if (!raw || !raw.name || !/^[a-z0-9][a-z0-9_-]*$/i.test(raw.name)) {
+    throw new Error(
+      `Every target needs a "name" made of letters, digits, "-" or "_" (got ${JSON.stringify(
+        raw && raw.name
+      )})`
+    );
+  }
+
+  const table = raw.table || DEFAULT_PROFILE;
+  let profile;
+  try {
+    profile = getProfile(table);
+  } catch (error) {
+    throw new Error(`Target "${raw.name}": ${error.message}`);
+  }
+  // Tables without an IP range filter (e.g. ip_owners) list the whole site
+  if (!raw.ipRange && profile.url.ipRange) {
+    throw new Error(`Target "${raw.name}" has no "ipRange"`);
+  }
+
+  const target = {
+    name: raw.name,
+    description: raw.description || "",
+    table,
+    ipRange: raw.ipRange || null,
+    rankLimit: raw.rankLimit || null,
+    totalPages: Number(raw.totalPages),
+    chunkSize: Number(raw.chunkSize || DEFAULT_CHUNK_SIZE),
+    ...(raw.ipRange ? parseIpRange(raw.ipRange) : {}),
+  };
+
+  if (!Number.isInteger(target.totalPages) || target.totalPages < 1) {
+    throw new Error(`Target "${raw.name}" needs a positive "totalPages"`);
+  }
+  if (!Number.isInteger(target.chunkSize) || target.chunkSize < 1) {
+    throw new Error(`Target "${raw.name}" has an invalid "chunkSize"`);
+  }
+
+  return target;
+}
+
+/**
+ * Load and validate all targets from the targets file
+ * @param {String} [filePath] Path to the targets file
+ * @returns {Array} Array of normalized targets
+ */
+function loadTargets(filePath = TARGETS_FILE) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Targets file not found: ${filePath}`);
+  }
+
+  const config = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  const targets = (config.targets || []).map(normalizeTarget);
+  if (targets.length === 0) {
+    throw new Error(`No targets defined in ${filePath}`);
+  }
+
+  const names = new Set();
+  targets.forEach((target) => {
+    if (names.has(target.name)) {
+      throw new Error(`Duplicate target name: ${target.name}`);
+    }
+    names.add(target.name);
+  });
+
+  return targets;
+}
+
+/**
+ * Look up a target by name
+ * @param {String} [name] Target name, defaults to the first configured target
+ * @param {String} [filePath] Path to the targets file
+ * @returns {Object} Normalized target
+ */
+function getTarget(name, filePath = TARGETS_FILE) {
+  const targets = loadTargets(filePath);
+  if (!name) return targets[0];
+
+  const target = targets.find((candidate) => candidate.name === name);
+  if (!target) {
+    throw new Error(
+      `Unknown target "${name}". Configured targets: ${targets
+        .map((candidate) => candidate.name)
+        .join(", ")}`
+    );
+  }
+  return target;
+}
+
+/**
+ * Table profile of each target directory under data/, from the targets file
+ * @param {String} [filePath] Targets file path
+ * @returns {Map} Target name to table profile (empty if the targets file
+ *   cannot be read)
+ */
+function loadTargetProfiles(filePath = TARGETS_FILE) {
+  try {
+    return new Map(loadTargets(filePath).map((target) => [target.name, getProfile(target.table)]));
+  } catch (error) {
+    log.warn(
+      "targets.unreadable",
+      `⚠️ Could not read the targets (${error.message}); treating all data files as ${DEFAULT_PROFILE} tables`,
+      { file: filePath, error: error.message }
+    );
+    return new Map();
+  }
+}
+
+/**
+ * Build the myip.ms browse URL of one page of a target; the rank and IP
+ * range filters are only added for tables whose profile supports them
+ * @param {Object} target Normalized target
+ * @param {Number} page 1-based page number
+ * @returns {String} Page URL
+ */
+function buildPageUrl(target, page) {
+  const { url } = getProfile(target.table);
+  const segments = ["browse", target.table, page];
+  if (url.rankLimit && target.rankLimit) {
+    segments.push("rankii", target.rankLimit);
+  }
+  if (url.ipRange && target.from) {
+    segments.push("ipID", target.from, "ipIDii", target.to);
+  }
+  return `${SITE_BASE_URL}/${segments.join("/")}`;
+}
+
+/**
+ * Normalize a page URL so chunk entries, failure ledgers and Source_URL
+ * values compare equal
+ * @param {String} url Page URL
+ * @returns {String} Normalized URL
+ */
+function normalizeUrl(url) {
+  return String(url || "").trim().replace(/\/+$/, "");
+}
+
+/**
+ * Read the table type, page number and IP range back from a browse URL
+ * @param {String} url Page URL
+ * @returns {Object|null} { table, page, ipRange }, or null for non-browse
+ *   URLs; ipRange is { from, to } or null when the URL has no range
+ */
+function parsePageUrl(url) {
+  const text = String(url || "");
+  const match = text.match(/\/browse\/([^/]+)\/(\d+)(?:\/|$)/);
+  if (!match) return null;
+
+  const range = text.match(/\/ipID\/([\d.]+)\/ipIDii\/([\d.]+)(?:\/|$)/);
+  return {
+    table: match[1],
+    page: Number(match[2]),
+    ipRange: range ? { from: range[1], to: range[2] } : null,
+  };
+}
+
+/**
+ * Directory holding the chunk files and manifest of a target
+ * @param {Object|String} target Target or target name
+ * @param {String} [chunkSet] Chunk set inside the target (e.g., "retry")
+ * @returns {String} Directory path
+ */
+function getChunkDir(target, chunkSet) {
+  const name = typeof target === "string" ? target : target.name;
+  return chunkSet
+    ? path.join(CHUNKS_DIR, name, chunkSet)
+    : path.join(CHUNKS_DIR, name);
+}
+
+module.exports = {
+  TARGETS_FILE,
+  SITE_BASE_URL,
+  CHUNKS_DIR,
+  ipToInt,
+  intToIp,
+  parseIpRange,
+  loadTargets,
+  getTarget,
+  loadTargetProfiles,
+  buildPageUrl,
+  normalizeUrl,
+  parsePageUrl,
+  getChunkDir,
+};
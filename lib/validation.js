@@ -0,0 +1,237 @@
+/**
+ * Validation and normalization of canonical records, shared by the
+ * scrapers and reparse_archive.js (right after extraction) and
+ * consolidation. Records that fail are quarantined with a reason instead of
+ * being saved. Which checks apply depends on the validation rules of the
+ * table profile.
+ */
+
+const { ipToInt, parseIpRange, parsePageUrl } = require("./targets");
+const { getProfile } = require("./table_profiles");
+const { recordKey } = require("./schema");
+
+const QUARANTINE_REASONS = {
+  MISSING_FIELD: "missing_field",
+  INVALID_DOMAIN: "invalid_domain",
+  INVALID_RANK: "invalid_rank",
+  INVALID_IP: "invalid_ip",
+  IP_OUT_OF_RANGE: "ip_out_of_range",
+  INVALID_COUNT: "invalid_count",
+  INVALID_LAST_UPDATE: "invalid_last_update",
+};
+
+/**
+ * Fields of the quarantine files of a table: the record plus why it was
+ * rejected
+ * @param {Object} [profile] Table profile, defaults to the sites table
+ * @returns {Array} Field definitions
+ */
+function getQuarantineFields(profile = getProfile()) {
+  return [
+    ...profile.fields,
+    { id: "quarantineReason", title: "Quarantine_Reason" },
+    { id: "quarantineMessage", title: "Quarantine_Message" },
+    { id: "sourceFile", title: "Source_File" },
+  ];
+}
+
+const QUARANTINE_FIELDS = getQuarantineFields();
+
+const QUARANTINE_SUFFIX = ".quarantine";
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/**
+ * Parse a last-update date as shown on myip.ms ("16 Oct 2025, 00:17") or
+ * an ISO 8601 date from an earlier validation. The site shows no timezone,
+ * so the result has none either.
+ * @param {String} value Raw value
+ * @returns {String|null} ISO 8601 date time, or null if it cannot be parsed
+ */
+function parseLastUpdate(value) {
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?/);
+  const site = value.match(/^(\d{1,2})\s+([a-z]{3})[a-z]*\.?\s+(\d{4})(?:,?\s+(\d{1,2}):(\d{2}))?$/i);
+
+  let parts;
+  if (iso) {
+    parts = [iso[1], iso[2], iso[3], iso[4] || 0, iso[5] || 0, iso[6] || 0].map(Number);
+  } else if (site) {
+    const month = MONTHS.indexOf(site[2].toLowerCase()) + 1;
+    if (month === 0) return null;
+    parts = [site[3], month, site[1], site[4] || 0, site[5] || 0, 0].map(Number);
+  } else {
+    return null;
+  }
+
+  const [year, month, day, hours, minutes, seconds] = parts;
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  if (date.getUTCDate() !== day || hours > 23 || minutes > 59 || seconds > 59) {
+    return null;
+  }
+  return date.toISOString().slice(0, 19);
+}
+
+/**
+ * Validate and normalize a canonical record. The rank becomes an integer;
+ * the other checks come from the validation rules of the table profile:
+ * - requiredFields must not be empty
+ * - domainField is lower-cased and must not contain whitespace
+ * - ipField must be a valid IPv4 address inside the ipID/ipIDii range of
+ *   the page it was scraped from (when the source URL is known)
+ * - ipRangeField must be an IP range overlapping that range
+ * - countFields become integers (empty values stay empty)
+ * - dateField is turned into ISO 8601
+ * @param {Object} record Canonical record
+ * @param {Object} [profile] Table profile, defaults to the sites table
+ * @returns {Object} { record } with the normalized record, or
+ *   { record, reason, message } when the record must be quarantined
+ */
+function validateRecord(record, profile = getProfile()) {
+  const rules = profile.validation;
+  const normalized = { ...record };
+  const reject = (reason, message) => ({ record, reason, message });
+  const pageRange = (parsePageUrl(record.sourceUrl) || {}).ipRange;
+
+  const missing = (rules.requiredFields || []).find((field) => !String(record[field] || "").trim());
+  if (missing) {
+    return reject(QUARANTINE_REASONS.MISSING_FIELD, `${missing} is empty`);
+  }
+
+  if (rules.domainField) {
+    const domain = String(record[rules.domainField] || "").trim().toLowerCase();
+    normalized[rules.domainField] = domain;
+    if (!domain || /\s/.test(domain)) {
+      return reject(QUARANTINE_REASONS.INVALID_DOMAIN, `Invalid domain "${record[rules.domainField]}"`);
+    }
+  }
+
+  const rankText = String(record.rank).replace(/,/g, "").trim();
+  if (!/^\d+$/.test(rankText)) {
+    return reject(QUARANTINE_REASONS.INVALID_RANK, `Rank "${record.rank}" is not a number`);
+  }
+  normalized.rank = parseInt(rankText, 10);
+
+  if (rules.ipField) {
+    let ip;
+    try {
+      ip = ipToInt(record[rules.ipField]);
+    } catch (error) {
+      return reject(QUARANTINE_REASONS.INVALID_IP, error.message);
+    }
+
+    if (pageRange && (ip < ipToInt(pageRange.from) || ip > ipToInt(pageRange.to))) {
+      return reject(
+        QUARANTINE_REASONS.IP_OUT_OF_RANGE,
+        `${record[rules.ipField]} is outside ${pageRange.from}-${pageRange.to}`
+      );
+    }
+  }
+
+  if (rules.ipRangeField) {
+    let range;
+    try {
+      range = parseIpRange(String(record[rules.ipRangeField] || "").replace(/\s+/g, ""));
+    } catch (error) {
+      return reject(QUARANTINE_REASONS.INVALID_IP, error.message);
+    }
+    normalized[rules.ipRangeField] = `${range.from}-${range.to}`;
+
+    if (
+      pageRange &&
+      (ipToInt(range.to) < ipToInt(pageRange.from) || ipToInt(range.from) > ipToInt(pageRange.to))
+    ) {
+      return reject(
+        QUARANTINE_REASONS.IP_OUT_OF_RANGE,
+        `${record[rules.ipRangeField]} is outside ${pageRange.from}-${pageRange.to}`
+      );
+    }
+  }
+
+  for (const field of rules.countFields || []) {
+    const countText = String(record[field] || "").replace(/,/g, "").trim();
+    if (!countText) continue;
+    if (!/^\d+$/.test(countText)) {
+      return reject(QUARANTINE_REASONS.INVALID_COUNT, `${field} "${record[field]}" is not a number`);
+    }
+    normalized[field] = parseInt(countText, 10);
+  }
+
+  const lastUpdate = rules.dateField ? String(record[rules.dateField] || "").trim() : "";
+  if (lastUpdate) {
+    normalized[rules.dateField] = parseLastUpdate(lastUpdate);
+    if (!normalized[rules.dateField]) {
+      return reject(
+        QUARANTINE_REASONS.INVALID_LAST_UPDATE,
+        `Cannot parse last update "${record[rules.dateField]}"`
+      );
+    }
+  }
+
+  return { record: normalized };
+}
+
+/**
+ * Add provenance fields to extracted rows and validate them: the page
+ * number parsed from the source URL, the 1-based position of the row in the
+ * table, and the chunk and run that fetched the page
+ * @param {Array} rows Rows from the table extractor, in table order
+ * @param {Object} provenance { sourceUrl, scrapedAt, chunkId, runId }
+ * @param {Object} [profile] Table profile, defaults to the sites table
+ * @returns {Object} { records, quarantined } valid records and rejected
+ *   validation results
+ */
+function prepareRecords(rows, { sourceUrl, scrapedAt, chunkId = "", runId = "" }, profile = getProfile()) {
+  const parsed = parsePageUrl(sourceUrl);
+  const pageNumber = parsed ? parsed.page : "";
+  const results = rows.map((row, index) =>
+    validateRecord(
+      { ...row, sourceUrl, scrapedAt, pageNumber, rowPosition: index + 1, chunkId, runId },
+      profile
+    )
+  );
+  const records = results
+    .filter((result) => !result.reason)
+    .map(({ record }) => ({
+      ...record,
+      // Add a unique identifier by combining rank and the record key (the domain)
+      uniqueId: `${record.rank}-${recordKey(record, profile)}`.replace(/\s+/g, "-"),
+    }));
+  const quarantined = results.filter((result) => result.reason);
+  return { records, quarantined };
+}
+
+/**
+ * Path of the quarantine file that belongs to a data file; it keeps the
+ * format of the data file ("data_chunk_0001_<ts>.quarantine.csv")
+ * @param {String} dataFile Path of the data file
+ * @returns {String} Quarantine file path
+ */
+function getQuarantinePath(dataFile) {
+  return dataFile.replace(/(\.(csv|jsonl|json))?$/, `${QUARANTINE_SUFFIX}$1`);
+}
+
+/**
+ * Turn a rejected validation result into a quarantine row
+ * @param {Object} result Result of validateRecord with a reason
+ * @param {String} sourceFile Data file the record came from
+ * @returns {Object} Row for a writer using QUARANTINE_FIELDS
+ */
+function toQuarantineRow(result, sourceFile) {
+  return {
+    ...result.record,
+    quarantineReason: result.reason,
+    quarantineMessage: result.message,
+    sourceFile,
+  };
+}
+
+module.exports = {
+  QUARANTINE_REASONS,
+  QUARANTINE_FIELDS,
+  getQuarantineFields,
+  parseLastUpdate,
+  validateRecord,
+  prepareRecords,
+  getQuarantinePath,
+  toQuarantineRow,
+};
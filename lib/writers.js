@@ -0,0 +1,170 @@
+const fs = require("fs");
+const { once } = require("events");
+const { finished } = require("stream/promises");
+const { createObjectCsvWriter } = require("csv-writer");
+const { CANONICAL_FIELDS } = require("./schema");
+
+// Supported output formats and their file extensions
+const OUTPUT_FORMATS = {
+  csv: ".csv",
+  jsonl: ".jsonl",
+  json: ".json",
+};
+const DEFAULT_FORMAT = "csv";
+
+// Formats a file can be appended to page by page; a JSON array is only
+// written whole, by writeDataFile
+const APPEND_FORMATS = ["csv", "jsonl"];
+
+// Records per write when a whole file is written at once
+const WRITE_BATCH_SIZE = 5000;
+
+/**
+ * Check an output format name
+ * @param {String} [format] Format name, defaults to csv
+ * @returns {String} Validated format name
+ */
+function resolveFormat(format) {
+  const name = (format || DEFAULT_FORMAT).toLowerCase();
+  if (!(name in OUTPUT_FORMATS)) {
+    throw new Error(
+      `Unknown output format "${format}". Use one of: ${Object.keys(OUTPUT_FORMATS).join(", ")}`
+    );
+  }
+  return name;
+}
+
+/**
+ * Copy the fields of a record in canonical order, keyed by the same titles
+ * the CSV header uses so every format reads back the same way
+ * @param {Object} record Record object
+ * @param {Array} fields Field definitions ({ id, title })
+ * @returns {Object} Ordered record
+ */
+function orderFields(record, fields) {
+  const ordered = {};
+  fields.forEach(({ id, title }) => {
+    ordered[title] = record[id] === undefined ? "" : record[id];
+  });
+  return ordered;
+}
+
+/**
+ * Create a writer that appends records to a CSV or JSON Lines file, so
+ * output can be written page by page and survive an interrupted run. JSON
+ * arrays cannot be appended to without rewriting them; write those with
+ * writeDataFile.
+ * @param {String} format One of APPEND_FORMATS
+ * @param {String} filePath Output file path
+ * @param {Array} [fields] Field definitions, defaults to the canonical schema
+ * @returns {Object} Writer with path and write(records)
+ */
+function createWriter(format, filePath, fields = CANONICAL_FIELDS) {
+  const name = resolveFormat(format);
+  if (!APPEND_FORMATS.includes(name)) {
+    throw new Error(
+      `${name} files cannot be appended to; use ${APPEND_FORMATS.join(" or ")} for output written page by page`
+    );
+  }
+
+  const writeCsv = (records) =>
+    createObjectCsvWriter({
+      path: filePath,
+      header: fields.map(({ id, title }) => ({ id, title })),
+      append: fs.existsSync(filePath),
+    }).writeRecords(records);
+
+  const writeJsonLines = (records) =>
+    fs.promises.appendFile(
+      filePath,
+      records.map((record) => JSON.stringify(orderFields(record, fields)) + "\n").join("")
+    );
+
+  const writers = { csv: writeCsv, jsonl: writeJsonLines };
+
+  return {
+    path: filePath,
+    format: name,
+    async write(records) {
+      if (records.length === 0) return;
+      await writers[name](records);
+    },
+  };
+}
+
+/**
+ * Stream records into a new pretty-printed JSON array
+ * @param {String} filePath Output file path
+ * @param {Iterable} records Records to write
+ * @param {Array} fields Field definitions
+ * @returns {Promise<Number>} Number of records written; no file is created
+ *   for none
+ */
+async function writeJsonArray(filePath, records, fields) {
+  let stream = null;
+  let count = 0;
+  for (const record of records) {
+    const item = JSON.stringify(orderFields(record, fields), null, 2).replace(/^/gm, "  ");
+    stream = stream || fs.createWriteStream(filePath);
+    if (!stream.write(`${count === 0 ? "[\n" : ",\n"}${item}`)) {
+      await once(stream, "drain");
+    }
+    count++;
+  }
+  if (stream) {
+    stream.end("\n]\n");
+    await finished(stream);
+  }
+  return count;
+}
+
+/**
+ * Write records to a file, replacing any previous one, in batches so large
+ * outputs (e.g. the master file) are not serialized in one go. The file is
+ * written next to the target first and renamed into place, so an
+ * interrupted write leaves the previous file intact; no file is left for
+ * no records.
+ * @param {String} format One of OUTPUT_FORMATS
+ * @param {String} filePath Output file path
+ * @param {Iterable} records Records to write
+ * @param {Array} [fields] Field definitions, defaults to the canonical schema
+ * @returns {Promise<Number>} Number of records written
+ */
+async function writeDataFile(format, filePath, records, fields = CANONICAL_FIELDS) {
+  const name = resolveFormat(format);
+  const tmpFile = `${filePath}.tmp`;
+  fs.rmSync(tmpFile, { force: true });
+
+  let count = 0;
+  if (name === "json") {
+    count = await writeJsonArray(tmpFile, records, fields);
+  } else {
+    const writer = createWriter(name, tmpFile, fields);
+    let batch = [];
+    for (const record of records) {
+      batch.push(record);
+      count++;
+      if (batch.length >= WRITE_BATCH_SIZE) {
+        await writer.write(batch);
+        batch = [];
+      }
+    }
+    await writer.write(batch);
+  }
+
+  if (fs.existsSync(tmpFile)) {
+    fs.renameSync(tmpFile, filePath);
+  } else {
+    fs.rmSync(filePath, { force: true });
+  }
+  return count;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_FORMAT,
+  APPEND_FORMATS,
+  resolveFormat,
+  createWriter,
+  writeDataFile,
+};
@@ -1,22 +1,35 @@
 const puppeteer = require("puppeteer");
 const fs = require("fs");
 const path = require("path");
-const csv = require("csv-writer").createObjectCsvWriter;
-
-// Configuration
-const BASE_URL =
-  "https://myip.ms/browse/sites/2/rankii/15000000/ipID/23.227.38.0/ipIDii/23.227.38.255";
-const LOGIN_URL = "https://myip.ms/";
-const COOKIES_PATH = path.join(__dirname, "session_cookies.json");
-const OUTPUT_DIR = path.join(__dirname, "data");
-
-// Ensure output directory exists
-if (!fs.existsSync(OUTPUT_DIR)) {
-  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-}
+const { parseArgs } = require("./lib/cli_args");
+const { getConfig } = require("./lib/config");
+const { DATA_DIR } = require("./lib/data_files");
+const { detectSessionProblem } = require("./lib/session");
+const { readCookieFile, encodeCookies } = require("./lib/cookies");
+const { extractTable } = require("./lib/table_extractor");
+const { getProfile } = require("./lib/table_profiles");
+const { SITE_BASE_URL, getTarget, buildPageUrl } = require("./lib/targets");
+const { OUTPUT_FORMATS, resolveFormat, writeDataFile } = require("./lib/writers");
+const {
+  getQuarantineFields,
+  prepareRecords,
+  getQuarantinePath,
+  toQuarantineRow,
+} = require("./lib/validation");
+const { createLogger } = require("./lib/logger");
+
+// Configuration (see lib/config.js)
+const LOGIN_URL = `${SITE_BASE_URL}/`;
+const COOKIES_PATH = getConfig().cookiesFile;
+const COOKIES_BASE64_PATH = path.join(
+  path.dirname(COOKIES_PATH),
+  "session_cookies_base64.txt"
+);
+
+const log = createLogger();
 
 async function setupBrowser() {
-  console.log("Launching browser...");
+  log.info("login.launch", "Launching browser...");
   const browser = await puppeteer.launch({
     headless: false, // Set to false for manual login and CAPTCHA solving
     defaultViewport: null,
@@ -28,9 +41,8 @@ async function setupBrowser() {
 
 async function loadCookiesIfExists(page) {
   if (fs.existsSync(COOKIES_PATH)) {
-    console.log("Loading saved cookies...");
-    const cookiesString = fs.readFileSync(COOKIES_PATH);
-    const cookies = JSON.parse(cookiesString);
+    log.info("login.cookies", "Loading saved cookies...", { file: COOKIES_PATH });
+    const { cookies } = readCookieFile(COOKIES_PATH, SITE_BASE_URL);
     await page.setCookie(...cookies);
     return true;
   }
@@ -38,103 +50,82 @@ async function loadCookiesIfExists(page) {
 }
 
 async function manualLogin(page) {
-  console.log("Navigating to login page...");
+  log.info("login.navigate", "Navigating to login page...", { url: LOGIN_URL });
   await page.goto(LOGIN_URL, { waitUntil: "networkidle2" });
 
-  console.log("Please log in manually and solve any CAPTCHA...");
-  console.log("Waiting for navigation to complete after login...");
+  log.info(
+    "login.wait",
+    "Please log in manually and solve any CAPTCHA...\nWaiting for navigation to complete after login..."
+  );
 
   // Wait for user to manually log in and navigate to a page that indicates successful login
   // This could be a dashboard page or any page that appears after successful login
   await page.waitForNavigation({ timeout: 120000 }); // 2 minutes timeout for manual login
 
-  console.log("Login completed. Saving cookies...");
+  log.info("login.completed", "Login completed. Saving cookies...");
   const cookies = await page.cookies();
   fs.writeFileSync(COOKIES_PATH, JSON.stringify(cookies, null, 2));
 }
 
-async function verifyLogin(page) {
-  await page.goto(BASE_URL, { waitUntil: "networkidle2" });
+async function verifyLogin(page, target) {
+  await page.goto(buildPageUrl(target, 2), { waitUntil: "networkidle2" });
 
   // Check if we're still on the login page or if there's a login button visible
-  const loginButton = await page.$('input[type="submit"][value="Login"]');
-  if (loginButton) {
-    console.log(
-      "Not logged in. Please run the script again and log in manually."
-    );
+  if (await detectSessionProblem(page)) {
+    log.warn("login.failed", "Not logged in. Please run the script again and log in manually.");
     return false;
   }
 
-  console.log("Successfully logged in!");
+  log.info("login.ok", "Successfully logged in!");
   return true;
 }
 
-async function scrapePage(page, pageNum) {
-  const url = BASE_URL.replace("/sites/2/", `/sites/${pageNum}/`);
-  console.log(`Scraping page ${pageNum}: ${url}`);
+async function scrapePage(page, target, pageNum) {
+  const { table } = getProfile(target.table);
+  const url = buildPageUrl(target, pageNum);
+  log.info("login.page_start", `Scraping page ${pageNum}: ${url}`, { page: pageNum, url });
 
   await page.goto(url, { waitUntil: "networkidle2" });
 
   // Check for CAPTCHA or verification page
   const pageTitle = await page.title();
   if (pageTitle.includes("Verification") || pageTitle.includes("CAPTCHA")) {
-    console.log("Human verification required. Please solve the CAPTCHA...");
+    log.warn("login.captcha", "Human verification required. Please solve the CAPTCHA...", { page: pageNum, url });
     await page.waitForNavigation({ timeout: 120000 }); // 2 minutes timeout for CAPTCHA solving
   }
 
   // Wait for the table to load
-  await page.waitForSelector("#sites_tbl", { timeout: 30000 });
-
-  // Extract data from the table
-  const tableData = await page.evaluate(() => {
-    const table = document.querySelector("#sites_tbl");
-    if (!table) return [];
-
-    const rows = Array.from(table.querySelectorAll("tr"));
-    // Skip header row
-    const dataRows = rows.slice(1);
-
-    return dataRows.map((row) => {
-      const cells = Array.from(row.querySelectorAll("td"));
-      return {
-        rank: cells[0]?.textContent.trim() || "",
-        domain: cells[1]?.querySelector("a")?.textContent.trim() || "",
-        domainUrl: cells[1]?.querySelector("a")?.href || "",
-        ipAddress: cells[2]?.textContent.trim() || "",
-        ipAddressUrl: cells[2]?.querySelector("a")?.href || "",
-        location: cells[3]?.textContent.trim() || "",
-        owner: cells[4]?.textContent.trim() || "",
-        ownerUrl: cells[4]?.querySelector("a")?.href || "",
-        lastUpdate: cells[5]?.textContent.trim() || "",
-      };
-    });
-  });
-
-  console.log(`Extracted ${tableData.length} rows from page ${pageNum}`);
-  return tableData;
+  await page.waitForSelector(table.selector, { timeout: 30000 });
+
+  // Extract data from the table and validate it like the workers do
+  const tableData = await extractTable(page, table);
+  const { records, quarantined } = prepareRecords(
+    tableData,
+    { sourceUrl: url, scrapedAt: new Date().toISOString() },
+    getProfile(target.table)
+  );
+
+  log.info(
+    "login.page_ok",
+    `Extracted ${tableData.length} rows from page ${pageNum}` +
+      (quarantined.length > 0 ? ` (${quarantined.length} quarantined)` : ""),
+    { page: pageNum, url, rows: tableData.length, quarantined: quarantined.length }
+  );
+  return { records, quarantined };
 }
 
-async function saveToCSV(data, filename) {
-  const csvWriter = csv({
-    path: filename,
-    header: [
-      { id: "rank", title: "Rank" },
-      { id: "domain", title: "Domain" },
-      { id: "domainUrl", title: "Domain URL" },
-      { id: "ipAddress", title: "IP Address" },
-      { id: "ipAddressUrl", title: "IP Address URL" },
-      { id: "location", title: "Location" },
-      { id: "owner", title: "Owner" },
-      { id: "ownerUrl", title: "Owner URL" },
-      { id: "lastUpdate", title: "Last Update" },
-    ],
-  });
+async function main(argv = process.argv.slice(2)) {
+  // Usage: node local_scraper.js [target] [--format csv|jsonl|json]
+  const { positional, flags } = parseArgs(argv, ["format"]);
+  const target = getTarget(positional[0]); // Defaults to the first configured target
+  const format = resolveFormat(flags.format || getConfig().format);
+  const outputDir = path.join(DATA_DIR, target.name);
 
-  await csvWriter.writeRecords(data);
-  console.log(`Data saved to ${filename}`);
-}
+  // Ensure output directory exists
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
 
-async function main() {
   const { browser, page } = await setupBrowser();
 
   try {
@@ -144,7 +135,7 @@ async function main() {
       await manualLogin(page);
     }
 
-    const isLoggedIn = await verifyLogin(page);
+    const isLoggedIn = await verifyLogin(page, target);
     if (!isLoggedIn) {
       await browser.close();
       return;
@@ -153,44 +144,72 @@ async function main() {
     // Save cookies again after verifying login
     const cookies = await page.cookies();
     fs.writeFileSync(COOKIES_PATH, JSON.stringify(cookies, null, 2));
-    console.log("Session cookies saved successfully.");
+    log.info("login.cookies_saved", "Session cookies saved successfully.", { file: COOKIES_PATH });
 
     // Test scraping a few pages
     const pagesToTest = [1, 2, 3]; // Test first 3 pages
     let allData = [];
+    let allQuarantined = [];
 
     for (const pageNum of pagesToTest) {
-      const data = await scrapePage(page, pageNum);
-      allData = [...allData, ...data];
+      const { records, quarantined } = await scrapePage(page, target, pageNum);
+      allData = [...allData, ...records];
+      allQuarantined = [...allQuarantined, ...quarantined];
 
       // Add a delay between requests to be respectful to the server
       if (pageNum < pagesToTest.length) {
-        console.log("Waiting before next request...");
+        log.info("login.delay", "Waiting before next request...", { delayMs: 3000 });
         await new Promise((resolve) => setTimeout(resolve, 3000)); // 3 seconds delay
       }
     }
 
     // Save the test data
     const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const outputFile = path.join(OUTPUT_DIR, `test_data_${timestamp}.csv`);
-    await saveToCSV(allData, outputFile);
+    const outputFile = path.join(
+      outputDir,
+      `test_data_${timestamp}${OUTPUT_FORMATS[format]}`
+    );
+    const profile = getProfile(target.table);
+    await writeDataFile(format, outputFile, allData, profile.fields);
+    log.info("login.saved", `Data saved to ${outputFile}`, { file: outputFile, records: allData.length });
+
+    // Rows that fail validation are kept next to the data file
+    if (allQuarantined.length > 0) {
+      const quarantinePath = getQuarantinePath(outputFile);
+      await writeDataFile(
+        format,
+        quarantinePath,
+        allQuarantined.map((result) => toQuarantineRow(result, path.basename(outputFile))),
+        getQuarantineFields(profile)
+      );
+      log.info("login.quarantined", `Quarantined ${allQuarantined.length} rows to ${quarantinePath}`, {
+        file: quarantinePath,
+        quarantined: allQuarantined.length,
+      });
+    }
 
-    console.log("Test scraping completed successfully!");
-    console.log(`Total records scraped: ${allData.length}`);
+    log.info(
+      "login.summary",
+      ["Test scraping completed successfully!", `Total records scraped: ${allData.length}`].join("\n"),
+      { records: allData.length, quarantined: allQuarantined.length }
+    );
 
     // Export cookies in base64 format for GitHub Actions
-    const cookiesString = fs.readFileSync(COOKIES_PATH);
-    const base64Cookies = Buffer.from(cookiesString).toString("base64");
-    fs.writeFileSync(
-      path.join(__dirname, "session_cookies_base64.txt"),
-      base64Cookies
-    );
-    console.log("Cookies exported in base64 format for GitHub Actions.");
+    const { cookies: siteCookies } = readCookieFile(COOKIES_PATH, SITE_BASE_URL);
+    fs.writeFileSync(COOKIES_BASE64_PATH, encodeCookies(siteCookies));
+    log.info("login.cookies_exported", "Cookies exported in base64 format for GitHub Actions.", {
+      file: COOKIES_BASE64_PATH,
+    });
   } catch (error) {
-    console.error("An error occurred:", error);
+    log.error("login.fatal", `An error occurred: ${error.stack || error}`, { error: error.message });
+    process.exitCode = 1;
   } finally {
     await browser.close();
   }
 }
 
-main();
+module.exports = { main };
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,253 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("./lib/cli_args");
+const { getConfig } = require("./lib/config");
+const { DATA_DIR, streamDataFile } = require("./lib/data_files");
+const { listArchiveDirs, listArchives, readArchive } = require("./lib/html_archive");
+const { extractTableFromHtml } = require("./lib/table_extractor");
+const { getProfile } = require("./lib/table_profiles");
+const { EXIT_CODES } = require("./lib/scrape_outcome");
+const { getTarget } = require("./lib/targets");
+const {
+  getQuarantineFields,
+  getQuarantinePath,
+  prepareRecords,
+  toQuarantineRow,
+} = require("./lib/validation");
+const { OUTPUT_FORMATS, resolveFormat, writeDataFile } = require("./lib/writers");
+const { createLogger } = require("./lib/logger");
+
+const log = createLogger();
+
+/**
+ * Find the data file an archive directory was saved for
+ * @param {String} dir Data directory of the target
+ * @param {String} stem Data file name without extension
+ * @returns {String|null} Data file path, or null if it does not exist
+ */
+function findDataFile(dir, stem) {
+  const extension = Object.values(OUTPUT_FORMATS).find((ext) =>
+    fs.existsSync(path.join(dir, stem + ext))
+  );
+  return extension ? path.join(dir, stem + extension) : null;
+}
+
+/**
+ * Read the archived pages of one data file, keeping the latest fetch of
+ * every URL
+ * @param {String} archiveDir Archive directory
+ * @returns {Array} Archived pages { url, fetchedAt, html }, sorted by file name
+ */
+function loadLatestPages(archiveDir) {
+  const latest = new Map();
+  listArchives(archiveDir).forEach((file) => {
+    const archived = readArchive(file);
+    const existing = latest.get(archived.url);
+    if (!existing || archived.fetchedAt > existing.fetchedAt) {
+      latest.set(archived.url, archived);
+    }
+  });
+  return Array.from(latest.values());
+}
+
+/**
+ * Collect the page URLs a data file has rows for, with the chunk and run
+ * that fetched them
+ * @param {String} file Data file path
+ * @returns {Promise<Map>} Source URL to { chunkId, runId }
+ */
+async function collectSourcePages(file) {
+  const pages = new Map();
+  await streamDataFile(file, (record) => {
+    if (record.Source_URL && !pages.has(record.Source_URL)) {
+      pages.set(record.Source_URL, { chunkId: record.Chunk_ID || "", runId: record.Run_ID || "" });
+    }
+  });
+  return pages;
+}
+
+/**
+ * Re-run the table extraction over the archived pages of one data file and
+ * write the data file (and its quarantine file) again
+ * @param {String} archiveDir Archive directory of the data file
+ * @param {String} dataDir Data directory of the target
+ * @param {Object} options { outDir, format, force, profile, targetName }
+ * @returns {Promise<Object>} Result { stem, status, pages, failed, records, quarantined, outputFile }
+ */
+async function reparseDataFile(archiveDir, dataDir, options) {
+  const stem = path.basename(archiveDir);
+  const existingFile = findDataFile(dataDir, stem);
+  const pages = loadLatestPages(archiveDir);
+  const sourcePages = existingFile ? await collectSourcePages(existingFile) : new Map();
+
+  // Rows keep the chunk and run of the original fetch; without a data file
+  // to read them from, the chunk comes from the data file name
+  const chunkMatch = stem.match(/^data_(.+)_\d{4}-\d{2}-\d{2}T/);
+  const fallbackChunkId = chunkMatch ? `${options.targetName}/${chunkMatch[1]}` : "";
+
+  // Replacing a data file with fewer pages than it has would lose rows
+  if (existingFile && !options.force) {
+    const archivedUrls = new Set(pages.map((archived) => archived.url));
+    const missing = Array.from(sourcePages.keys()).filter(
+      (url) => !archivedUrls.has(url)
+    );
+    if (missing.length > 0) {
+      return {
+        stem,
+        status: "skipped",
+        message: `${missing.length} pages of ${path.basename(existingFile)} are not archived (use --force to rebuild anyway)`,
+      };
+    }
+  }
+
+  const format = existingFile
+    ? path.extname(existingFile).slice(1)
+    : resolveFormat(options.format);
+  const outputFile = path.join(options.outDir || dataDir, stem + OUTPUT_FORMATS[format]);
+  const records = [];
+  const quarantined = [];
+  let failed = 0;
+
+  pages.forEach((archived) => {
+    try {
+      const rows = extractTableFromHtml(archived.html, archived.url, options.profile.table);
+      const source = sourcePages.get(archived.url) || {};
+      const prepared = prepareRecords(
+        rows,
+        {
+          sourceUrl: archived.url,
+          scrapedAt: archived.fetchedAt,
+          chunkId: source.chunkId || fallbackChunkId,
+          runId: source.runId || "",
+        },
+        options.profile
+      );
+      records.push(...prepared.records);
+      quarantined.push(
+        ...prepared.quarantined.map((result) =>
+          toQuarantineRow(result, path.basename(outputFile))
+        )
+      );
+    } catch (error) {
+      failed++;
+      log.warn("reparse.page_failed", `⚠️ ${archived.url}: ${error.message}`, {
+        target: options.targetName,
+        url: archived.url,
+        error: error.message,
+      });
+    }
+  });
+
+  // A run that rebuilt nothing leaves the old file intact
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  if (records.length > 0) {
+    await writeDataFile(format, outputFile, records, options.profile.fields);
+  }
+  await writeDataFile(format, getQuarantinePath(outputFile), quarantined, getQuarantineFields(options.profile));
+
+  return {
+    stem,
+    status: records.length > 0 ? "rebuilt" : "empty",
+    pages: pages.length,
+    failed,
+    records: records.length,
+    quarantined: quarantined.length,
+    outputFile,
+  };
+}
+
+/**
+ * Main function
+ * @param {Array} [argv] Command line arguments, defaults to process.argv
+ */
+async function main(argv = process.argv.slice(2)) {
+  try {
+    // Usage: node reparse_archive.js [target] [--out <dir>] [--format csv|jsonl|json] [--force]
+    // Data files are rebuilt in place unless --out is given; --format is used
+    // for data files that no longer exist
+    const { positional, flags } = parseArgs(argv, ["out", "format"]);
+    const target = getTarget(positional[0]);
+    const dataDir = path.join(DATA_DIR, target.name);
+    const options = {
+      outDir: typeof flags.out === "string" ? path.resolve(flags.out) : null,
+      format: flags.format || getConfig().format,
+      force: Boolean(flags.force),
+      profile: getProfile(target.table),
+      targetName: target.name,
+    };
+
+    const archiveDirs = listArchiveDirs(target.name);
+    if (archiveDirs.length === 0) {
+      log.warn(
+        "reparse.no_archive",
+        `No archived pages for target "${target.name}". Run worker_script.js with --archive-html first.`,
+        { target: target.name }
+      );
+      return;
+    }
+
+    const targetLog = log.child({ target: target.name });
+    targetLog.info("reparse.start", `Re-parsing ${archiveDirs.length} archived data files of target "${target.name}"...`, {
+      archives: archiveDirs.length,
+    });
+    const totals = { rebuilt: 0, skipped: 0, empty: 0, records: 0, quarantined: 0, failed: 0 };
+
+    for (const archiveDir of archiveDirs) {
+      const result = await reparseDataFile(archiveDir, dataDir, options);
+      totals[result.status]++;
+
+      if (result.status === "skipped") {
+        targetLog.warn("reparse.skipped", `⏭️ ${result.stem}: ${result.message}`, {
+          dataFile: result.stem,
+          error: result.message,
+        });
+        continue;
+      }
+
+      totals.records += result.records;
+      totals.quarantined += result.quarantined;
+      totals.failed += result.failed;
+      targetLog.info(
+        "reparse.file",
+        `${result.stem}: ${result.pages} pages, ${result.records} records, ${result.quarantined} quarantined, ${result.failed} failed${
+          result.status === "rebuilt" ? ` -> ${result.outputFile}` : " (nothing written)"
+        }`,
+        {
+          dataFile: result.stem,
+          status: result.status,
+          pages: result.pages,
+          records: result.records,
+          quarantined: result.quarantined,
+          failed: result.failed,
+          outputFile: result.status === "rebuilt" ? result.outputFile : null,
+        }
+      );
+    }
+
+    targetLog.info(
+      "reparse.summary",
+      [
+        "\nRe-parse completed!",
+        `Data files rebuilt: ${totals.rebuilt}`,
+        `Skipped (incomplete archive): ${totals.skipped}`,
+        `Without any rows: ${totals.empty}`,
+        `Records: ${totals.records}`,
+        `Quarantined rows: ${totals.quarantined}`,
+        `Pages that failed to parse: ${totals.failed}`,
+      ].join("\n"),
+      totals
+    );
+    if (totals.failed > 0) {
+      process.exitCode = EXIT_CODES.PAGE_FAILURES;
+    }
+  } catch (error) {
+    log.error("reparse.fatal", `An error occurred: ${error.message}`, { error: error.message });
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+  main();
+}
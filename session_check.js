@@ -0,0 +1,220 @@
+const fs = require("fs");
+const { parseArgs } = require("./lib/cli_args");
+const { getConfig } = require("./lib/config");
+const { SITE_BASE_URL, getTarget, buildPageUrl } = require("./lib/targets");
+const { getProfile } = require("./lib/table_profiles");
+const { SCRAPE_STATUS, EXIT_CODES } = require("./lib/scrape_outcome");
+const { COOKIE_STATES, describeCookies } = require("./lib/session");
+const { readCookieFile } = require("./lib/cookies");
+const { createLogger } = require("./lib/logger");
+const { loadCookiesFromEnv, setupBrowser } = require("./lib/browser");
+const { scrapePage } = require("./worker_script");
+
+// Configuration
+const COOKIES_ENV_VAR = "SESSION_DATA"; // GitHub Secret name
+const DEFAULT_WARN_DAYS = 7;
+
+const log = createLogger();
+
+// Exit code for the outcome of the test page; an empty table still means
+// the session works
+const PAGE_EXIT_CODES = {
+  [SCRAPE_STATUS.OK]: EXIT_CODES.OK,
+  [SCRAPE_STATUS.EMPTY]: EXIT_CODES.OK,
+  [SCRAPE_STATUS.SESSION_EXPIRED]: EXIT_CODES.SESSION_EXPIRED,
+  [SCRAPE_STATUS.CAPTCHA]: EXIT_CODES.CAPTCHA,
+  [SCRAPE_STATUS.LAYOUT_CHANGED]: EXIT_CODES.LAYOUT_CHANGED,
+  [SCRAPE_STATUS.NETWORK_ERROR]: EXIT_CODES.PAGE_FAILURES,
+};
+
+/**
+ * Load the session cookies from SESSION_DATA (decoded like the workers do)
+ * or, when it is not set, from the cookie file written by local_scraper.js
+ * @returns {Object} { cookies, source }, with no cookies when SESSION_DATA
+ *   is empty or holds none for the site
+ */
+function loadCookies() {
+  // An unset secret reaches the workflow as an empty variable
+  if (process.env[COOKIES_ENV_VAR] !== undefined) {
+    try {
+      return { cookies: loadCookiesFromEnv(), source: COOKIES_ENV_VAR };
+    } catch (error) {
+      log.warn("session.no_cookies", `⚠️ ${error.message}`, { source: COOKIES_ENV_VAR, error: error.message });
+      return { cookies: [], source: COOKIES_ENV_VAR };
+    }
+  }
+
+  const file = getConfig().cookiesFile;
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `${COOKIES_ENV_VAR} is not set and ${file} does not exist. Run "node cli.js login" first.`
+    );
+  }
+  const { cookies, dropped } = readCookieFile(file, SITE_BASE_URL);
+  dropped.forEach((entry) =>
+    log.warn("cookies.skipped", `⚠️ Skipping ${entry.reason}`, { reason: entry.reason })
+  );
+  return { cookies, source: file };
+}
+
+/**
+ * Print a GitHub Actions annotation when running in a workflow. Workflow
+ * commands are read from plain stdout lines, so this bypasses the logger.
+ * @param {String} level "warning" or "error"
+ * @param {String} message Annotation text
+ */
+function annotate(level, message) {
+  if (process.env.GITHUB_ACTIONS === "true") {
+    console.log(`::${level}::${message}`);
+  }
+}
+
+/**
+ * Log the domain and expiry of every cookie and warn about the ones that
+ * expire soon or have expired
+ * @param {Array} report Result of describeCookies
+ * @param {Number} warnDays Warning threshold in days
+ * @param {String} source Where the cookies were loaded from
+ */
+function printCookieReport(report, warnDays, source) {
+  const nameWidth = Math.max(...report.map((cookie) => cookie.name.length), 4);
+  const domainWidth = Math.max(...report.map((cookie) => cookie.domain.length), 6);
+
+  const lines = report.map((cookie) => {
+    const expiry =
+      cookie.state === COOKIE_STATES.SESSION
+        ? "session cookie (no expiry)"
+        : `${cookie.expires} (${cookie.daysLeft} days)`;
+    return `   ${cookie.name.padEnd(nameWidth)}  ${cookie.domain.padEnd(domainWidth)}  ${expiry}`;
+  });
+  log.info(
+    "session.cookies",
+    [`🍪 ${report.length} session cookies from ${source}`, ...lines].join("\n"),
+    {
+      source,
+      cookies: report.map(({ name, domain, state, expires, daysLeft }) => ({
+        name,
+        domain,
+        state,
+        expires,
+        daysLeft,
+      })),
+    }
+  );
+
+  report
+    .filter((cookie) => cookie.state === COOKIE_STATES.EXPIRING)
+    .forEach((cookie) => {
+      const message = `Cookie ${cookie.name} (${cookie.domain}) expires in ${cookie.daysLeft} days, on ${cookie.expires}. Refresh SESSION_DATA within ${warnDays} days.`;
+      log.warn("session.cookie_expiring", `⚠️ ${message}`, {
+        cookie: cookie.name,
+        domain: cookie.domain,
+        daysLeft: cookie.daysLeft,
+      });
+      annotate("warning", message);
+    });
+
+  report
+    .filter((cookie) => cookie.state === COOKIE_STATES.EXPIRED)
+    .forEach((cookie) => {
+      const message = `Cookie ${cookie.name} (${cookie.domain}) expired on ${cookie.expires}`;
+      log.warn("session.cookie_expired", `⌛ ${message}`, {
+        cookie: cookie.name,
+        domain: cookie.domain,
+        expires: cookie.expires,
+      });
+      annotate("warning", message);
+    });
+}
+
+/**
+ * Load one page with the cookies and check it is served to a logged-in user
+ * @param {Array} cookies Array of cookie objects
+ * @param {String} url Page URL
+ * @param {Object} profile Table profile of the page
+ * @returns {Promise<Object>} scrapePage outcome
+ */
+async function checkPage(cookies, url, profile) {
+  const { browser, page } = await setupBrowser(cookies);
+  try {
+    return await scrapePage(page, url, { profile });
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Main function
+ * @param {Array} [argv] Command line arguments, defaults to process.argv
+ */
+async function main(argv = process.argv.slice(2)) {
+  try {
+    // Usage: node session_check.js [target] [--warn-days N] [--no-page]
+    // --no-page only reports the cookies, without loading a page of the target
+    const { positional, flags } = parseArgs(argv, ["warn-days"]);
+    const warnDays =
+      flags["warn-days"] === undefined ? DEFAULT_WARN_DAYS : Number(flags["warn-days"]);
+    if (!Number.isFinite(warnDays) || warnDays < 0) {
+      throw new Error("--warn-days needs a non-negative number");
+    }
+    const target = getTarget(positional[0]);
+
+    const { cookies, source } = loadCookies();
+    if (!Array.isArray(cookies) || cookies.length === 0) {
+      const message = `No cookies found in ${source}. Run "node cli.js login" and update the SESSION_DATA secret.`;
+      log.error("session.expired", `🔑 ${message}`, { source, exitCode: EXIT_CODES.SESSION_EXPIRED });
+      annotate("error", message);
+      process.exitCode = EXIT_CODES.SESSION_EXPIRED;
+      return;
+    }
+
+    const report = describeCookies(cookies, warnDays);
+    printCookieReport(report, warnDays, source);
+
+    if (flags["no-page"]) {
+      const valid = report.filter((cookie) => cookie.state !== COOKIE_STATES.EXPIRED);
+      if (valid.length === 0) {
+        annotate("error", "All session cookies have expired.");
+        log.error("session.expired", "🔑 All session cookies have expired.", {
+          source,
+          exitCode: EXIT_CODES.SESSION_EXPIRED,
+        });
+        process.exitCode = EXIT_CODES.SESSION_EXPIRED;
+      }
+      return;
+    }
+
+    const url = buildPageUrl(target, 1);
+    log.info("session.check", `🔍 Checking the session on ${url}`, { target: target.name, url });
+    const outcome = await checkPage(cookies, url, getProfile(target.table));
+    const exitCode = PAGE_EXIT_CODES[outcome.status];
+
+    if (exitCode === EXIT_CODES.OK) {
+      log.info("session.ok", `✅ Logged in: page 1 of "${target.name}" returned ${outcome.records.length} rows`, {
+        target: target.name,
+        status: outcome.status,
+        records: outcome.records.length,
+      });
+    } else {
+      const message = `Session check failed (${outcome.status}): ${outcome.message}`;
+      log.error("session.failed", `❌ ${message}`, {
+        target: target.name,
+        status: outcome.status,
+        reason: outcome.reason,
+        exitCode,
+      });
+      annotate("error", message);
+    }
+    process.exitCode = exitCode;
+  } catch (error) {
+    log.error("session.fatal", `💥 An error occurred: ${error.message}`, { error: error.message });
+    annotate("error", `Session check failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.FATAL;
+  }
+}
+
+module.exports = { loadCookies, main };
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,246 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("./lib/cli_args");
+const { getConfig } = require("./lib/config");
+const { streamDataFile } = require("./lib/data_files");
+const { resolveHeaders, normalizeRecord, recordKey } = require("./lib/schema");
+const {
+  SNAPSHOTS_DIR,
+  getSnapshotPath,
+  listSnapshotDates,
+} = require("./lib/snapshots");
+const { OUTPUT_FORMATS, resolveFormat, writeDataFile } = require("./lib/writers");
+const { createLogger } = require("./lib/logger");
+
+// Configuration
+const DEFAULT_RANK_THRESHOLD = 1000; // Minimum rank move reported
+
+const log = createLogger();
+
+// Columns of the change file
+const CHANGE_FIELDS = [
+  { id: "change", title: "Change" },
+  { id: "domain", title: "Domain" },
+  { id: "oldValue", title: "Old_Value" },
+  { id: "newValue", title: "New_Value" },
+  { id: "oldRank", title: "Old_Rank" },
+  { id: "newRank", title: "New_Rank" },
+];
+
+/**
+ * Resolve a snapshot argument (a date or a file path) to a file path
+ * @param {String} value YYYY-MM-DD or path to a snapshot CSV
+ * @returns {String} File path
+ */
+function resolveSnapshot(value) {
+  const file = /^\d{4}-\d{2}-\d{2}$/.test(value) ? getSnapshotPath(value) : value;
+  if (!fs.existsSync(file)) {
+    throw new Error(`Snapshot not found: ${file}`);
+  }
+  return file;
+}
+
+/**
+ * Load a snapshot into a map keyed by domain
+ * @param {String} file Snapshot file path
+ * @returns {Promise<Map>} Map of domain key to canonical record
+ */
+async function loadSnapshot(file) {
+  const records = new Map();
+  let columns = new Map();
+
+  await streamDataFile(
+    file,
+    (raw) => {
+      const record = normalizeRecord(raw, columns);
+      if (record) records.set(recordKey(record), record);
+    },
+    (headers) => {
+      ({ columns } = resolveHeaders(headers));
+    }
+  );
+
+  return records;
+}
+
+/**
+ * Compare two snapshots
+ * @param {Map} before Older snapshot
+ * @param {Map} after Newer snapshot
+ * @param {Number} rankThreshold Minimum absolute rank move to report
+ * @returns {Array} Array of change objects
+ */
+function diffSnapshots(before, after, rankThreshold) {
+  const changes = [];
+  const change = (type, oldRecord, newRecord, oldValue, newValue) => ({
+    change: type,
+    domain: (newRecord || oldRecord).domain,
+    oldValue,
+    newValue,
+    oldRank: oldRecord ? oldRecord.rank : "",
+    newRank: newRecord ? newRecord.rank : "",
+  });
+
+  after.forEach((record, key) => {
+    const old = before.get(key);
+    if (!old) {
+      changes.push(change("appeared", null, record, "", record.ipAddress));
+      return;
+    }
+
+    if (old.ipAddress !== record.ipAddress) {
+      changes.push(change("ip_changed", old, record, old.ipAddress, record.ipAddress));
+    }
+    if (old.owner !== record.owner) {
+      changes.push(change("owner_changed", old, record, old.owner, record.owner));
+    }
+
+    const oldRank = parseInt(old.rank, 10);
+    const newRank = parseInt(record.rank, 10);
+    if (
+      Number.isInteger(oldRank) &&
+      Number.isInteger(newRank) &&
+      Math.abs(newRank - oldRank) >= rankThreshold
+    ) {
+      changes.push(change("rank_moved", old, record, old.rank, record.rank));
+    }
+  });
+
+  before.forEach((record, key) => {
+    if (!after.has(key)) {
+      changes.push(change("disappeared", record, null, record.ipAddress, ""));
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Build a readable summary of the changes
+ * @param {String} beforeName Older snapshot name
+ * @param {String} afterName Newer snapshot name
+ * @param {Object} sizes { before, after } record counts
+ * @param {Array} changes Changes from diffSnapshots
+ * @param {Number} rankThreshold Rank move threshold used
+ * @returns {String} Summary text
+ */
+function summarize(beforeName, afterName, sizes, changes, rankThreshold) {
+  const byType = (type) => changes.filter((item) => item.change === type);
+  const lines = [
+    `Snapshot diff: ${beforeName} -> ${afterName}`,
+    `Domains: ${sizes.before} -> ${sizes.after}`,
+    "",
+    `Appeared in range:     ${byType("appeared").length}`,
+    `Disappeared from range: ${byType("disappeared").length}`,
+    `Moved to another IP:   ${byType("ip_changed").length}`,
+    `Owner changed:         ${byType("owner_changed").length}`,
+    `Rank moved >= ${rankThreshold}: ${byType("rank_moved").length}`,
+  ];
+
+  // Largest rank moves first, as they are the most interesting ones
+  const topMoves = byType("rank_moved")
+    .map((item) => ({ ...item, delta: Number(item.newValue) - Number(item.oldValue) }))
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .slice(0, 10);
+  if (topMoves.length > 0) {
+    lines.push("", "Largest rank moves:");
+    topMoves.forEach((item) => {
+      lines.push(`  ${item.domain}: ${item.oldValue} -> ${item.newValue} (${item.delta > 0 ? "+" : ""}${item.delta})`);
+    });
+  }
+
+  const ipMoves = byType("ip_changed").slice(0, 10);
+  if (ipMoves.length > 0) {
+    lines.push("", "IP changes (first 10):");
+    ipMoves.forEach((item) => {
+      lines.push(`  ${item.domain}: ${item.oldValue} -> ${item.newValue}`);
+    });
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Main function
+ * @param {Array} [args] Command line arguments, defaults to process.argv
+ */
+async function main(args = process.argv.slice(2)) {
+  try {
+    // Usage: node snapshot_diff.js [older] [newer] [--rank-threshold N] [--format csv|jsonl|json]
+    // Snapshots are dates (YYYY-MM-DD) or file paths; defaults to the two latest.
+    // The changes are written in the format setting unless --format is given
+    const { positional, flags } = parseArgs(args, ["rank-threshold", "format"]);
+    const threshold = flags["rank-threshold"];
+    const rankThreshold = threshold === undefined ? DEFAULT_RANK_THRESHOLD : Number(threshold);
+    if (threshold === true || !Number.isFinite(rankThreshold) || rankThreshold < 0) {
+      throw new Error("--rank-threshold needs a non-negative number");
+    }
+    const format = resolveFormat(flags.format || getConfig().format);
+
+    let [beforeArg, afterArg] = positional;
+    if (!afterArg) {
+      const dates = listSnapshotDates();
+      if (dates.length < 2) {
+        throw new Error(
+          `Need two snapshots to compare; found ${dates.length} in ${SNAPSHOTS_DIR}. Run consolidate_data.js first.`
+        );
+      }
+      [beforeArg, afterArg] = beforeArg ? [beforeArg, dates[dates.length - 1]] : dates.slice(-2);
+    }
+
+    const beforeFile = resolveSnapshot(beforeArg);
+    const afterFile = resolveSnapshot(afterArg);
+    const beforeName = path.basename(beforeFile, ".csv");
+    const afterName = path.basename(afterFile, ".csv");
+
+    log.info("diff.start", `Comparing ${beforeName} with ${afterName}...`, {
+      before: beforeName,
+      after: afterName,
+    });
+    const before = await loadSnapshot(beforeFile);
+    const after = await loadSnapshot(afterFile);
+    const changes = diffSnapshots(before, after, rankThreshold);
+
+    const baseName = `diff_${beforeName.replace(/^snapshot_/, "")}_to_${afterName.replace(/^snapshot_/, "")}`;
+    const changesFile = path.join(SNAPSHOTS_DIR, `${baseName}${OUTPUT_FORMATS[format]}`);
+    const summaryFile = path.join(SNAPSHOTS_DIR, `${baseName}.txt`);
+    fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+    await writeDataFile(format, changesFile, changes, CHANGE_FIELDS);
+
+    const summary = summarize(
+      beforeName,
+      afterName,
+      { before: before.size, after: after.size },
+      changes,
+      rankThreshold
+    );
+    fs.writeFileSync(summaryFile, summary + "\n");
+
+    const counts = {};
+    changes.forEach((item) => {
+      counts[item.change] = (counts[item.change] || 0) + 1;
+    });
+    log.info("diff.summary", `\n${summary}\n`, {
+      before: beforeName,
+      after: afterName,
+      domainsBefore: before.size,
+      domainsAfter: after.size,
+      rankThreshold,
+      changes: changes.length,
+      ...counts,
+    });
+    if (changes.length > 0) {
+      log.info("diff.saved", `Changes saved to ${changesFile}`, { file: changesFile, changes: changes.length });
+    }
+    log.info("diff.saved", `Summary saved to ${summaryFile}`, { file: summaryFile });
+  } catch (error) {
+    log.error("diff.fatal", `An error occurred: ${error.message}`, { error: error.message });
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+  main();
+}
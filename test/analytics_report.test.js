@@ -0,0 +1,60 @@
+/**
+ * Tests of analytics_report.js on master files in every output format.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { analyzeFile, main } = require("../analytics_report");
+const { OUTPUT_FORMATS, writeDataFile } = require("../lib/writers");
+const { CANONICAL_FIELDS, DETAIL_FIELDS } = require("../lib/schema");
+
+// Consolidated records: integer ranks, as validation leaves them
+const RECORDS = [
+  { rank: 1, domain: "shop-1.example.com", ipAddress: "23.227.38.65", owner: "Shopify, Inc", location: "Canada" },
+  { rank: 2, domain: "shop-2.example.co.uk", ipAddress: "23.227.38.65", owner: "Shopify, Inc", location: "Canada" },
+  { rank: 3, domain: "shop-3.example.com", ipAddress: "23.227.38.66", owner: "Cloudflare, Inc", location: "USA" },
+];
+
+describe("analytics_report.js", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "myipms-report-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  Object.keys(OUTPUT_FORMATS).forEach((format) => {
+    it(`analyzes a ${format} master file`, async () => {
+      const file = path.join(tmpDir, `master_data${OUTPUT_FORMATS[format]}`);
+      await writeDataFile(format, file, RECORDS, [...CANONICAL_FIELDS, ...DETAIL_FIELDS]);
+
+      const summary = (await analyzeFile(file)).summary();
+
+      assert.deepEqual(
+        [summary.domains, summary.ips, summary.owners, summary.countries, summary.tlds],
+        [3, 2, 2, 2, 2]
+      );
+    });
+  });
+
+  it("writes the report of a JSON Lines master file", async () => {
+    const outDir = path.join(tmpDir, "reports");
+
+    await main([path.join(tmpDir, "master_data.jsonl"), "--out", outDir]);
+
+    assert.equal(process.exitCode, undefined);
+    assert.ok(fs.readFileSync(path.join(outDir, "report.html"), "utf-8").includes("master_data.jsonl"));
+    const topIps = fs.readFileSync(path.join(outDir, "top_ips.csv"), "utf-8").trim().split("\n");
+    assert.equal(topIps.length, 3);
+    assert.ok(topIps[1].startsWith("23.227.38.65,2,"));
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Tests of compact_data.js: merging the data files of a target into one
+ * archive per scrape date, the compaction index and --remove.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { compactTarget } = require("../compact_data");
+const { createWriter } = require("../lib/writers");
+const { readDataFile } = require("../lib/data_files");
+const { loadCompactionIndex } = require("../lib/compaction");
+const { saveCheckpoint } = require("../lib/chunk_checkpoint");
+const { getProfile } = require("../lib/table_profiles");
+
+const CSV_FILE = "data_chunk_0001_2025-10-18T12-00-00-000Z.csv";
+const JSONL_FILE = "data_chunk_0002_2025-10-19T08-00-00-000Z.jsonl";
+
+/**
+ * Sites records scraped at a given time
+ * @param {Number} firstRank Rank of the first record
+ * @param {Number} count Number of records
+ * @param {String} scrapedAt ISO timestamp, "" for rows without one
+ * @returns {Array} Records with integer ranks, as the worker writes them
+ */
+function sitesRecords(firstRank, count, scrapedAt) {
+  return Array.from({ length: count }, (_, index) => ({
+    rank: firstRank + index,
+    domain: `shop-${firstRank + index}.example.com`,
+    ipAddress: "23.227.38.65",
+    scrapedAt,
+    pageNumber: 1,
+    rowPosition: index + 1,
+  }));
+}
+
+describe("compactTarget", () => {
+  const profile = getProfile();
+  let targetDir;
+
+  beforeEach(async () => {
+    targetDir = fs.mkdtempSync(path.join(os.tmpdir(), "myipms-compact-"));
+    // Two scrape dates in the CSV file; the JSON Lines file has no
+    // Scraped_At and falls back to the timestamp in its name
+    await createWriter("csv", path.join(targetDir, CSV_FILE)).write([
+      ...sitesRecords(1, 2, "2025-10-18T12:00:05.000Z"),
+      ...sitesRecords(3, 1, "2025-10-19T00:10:00.000Z"),
+    ]);
+    await createWriter("jsonl", path.join(targetDir, JSONL_FILE)).write(sitesRecords(51, 2, ""));
+  });
+
+  afterEach(() => {
+    fs.rmSync(targetDir, { recursive: true, force: true });
+  });
+
+  it("merges data files into one archive per scrape date and indexes them", async () => {
+    const result = await compactTarget(targetDir, profile, {});
+
+    assert.deepEqual(result.compacted, [CSV_FILE, JSONL_FILE]);
+    assert.equal(result.rows, 5);
+    assert.deepEqual(Array.from(result.archives.entries()), [
+      ["2025-10-18.csv.gz", 2],
+      ["2025-10-19.csv.gz", 3],
+    ]);
+
+    const archive = await readDataFile(path.join(targetDir, "compacted", "2025-10-19.csv.gz"));
+    assert.deepEqual(
+      archive.map((row) => [row.Rank, row.Scraped_At]),
+      [
+        ["3", "2025-10-19T00:10:00.000Z"],
+        ["51", "2025-10-19T08:00:00Z"],
+        ["52", "2025-10-19T08:00:00Z"],
+      ]
+    );
+
+    const index = loadCompactionIndex(targetDir);
+    assert.deepEqual(index.archives["2025-10-19.csv.gz"], { rows: 3, sources: [CSV_FILE, JSONL_FILE] });
+    assert.deepEqual(index.sources[CSV_FILE].archives, { "2025-10-18.csv.gz": 2, "2025-10-19.csv.gz": 1 });
+    assert.equal(index.sources[JSONL_FILE].size, fs.statSync(path.join(targetDir, JSONL_FILE)).size);
+
+    // A second run has nothing new
+    const again = await compactTarget(targetDir, profile, {});
+    assert.deepEqual([again.compacted, again.rows], [[], 0]);
+  });
+
+  it("appends new data files to existing archives", async () => {
+    await compactTarget(targetDir, profile, {});
+    const newFile = "data_chunk_0003_2025-10-19T09-00-00-000Z.csv";
+    await createWriter("csv", path.join(targetDir, newFile)).write(sitesRecords(101, 1, "2025-10-19T09:00:01.000Z"));
+
+    const result = await compactTarget(targetDir, profile, {});
+
+    assert.deepEqual(result.compacted, [newFile]);
+    const archive = await readDataFile(path.join(targetDir, "compacted", "2025-10-19.csv.gz"));
+    assert.deepEqual(archive.map((row) => row.Rank), ["3", "51", "52", "101"]);
+    assert.deepEqual(loadCompactionIndex(targetDir).archives["2025-10-19.csv.gz"], {
+      rows: 4,
+      sources: [CSV_FILE, JSONL_FILE, newFile],
+    });
+  });
+
+  it("leaves data files that grew after compaction alone", async () => {
+    await compactTarget(targetDir, profile, {});
+    await createWriter("jsonl", path.join(targetDir, JSONL_FILE)).write(sitesRecords(53, 1, ""));
+
+    const result = await compactTarget(targetDir, profile, { remove: true });
+
+    assert.deepEqual(result.compacted, []);
+    assert.deepEqual(result.changed, [JSONL_FILE]);
+    assert.deepEqual(result.removed, [CSV_FILE]);
+    assert.ok(fs.existsSync(path.join(targetDir, JSONL_FILE)));
+  });
+
+  it("removes compacted data files with --remove, but not in a dry run", async () => {
+    const dryRun = await compactTarget(targetDir, profile, { remove: true, dryRun: true });
+    assert.deepEqual(dryRun.compacted, [CSV_FILE, JSONL_FILE]);
+    assert.deepEqual(dryRun.removed, []);
+    assert.ok(!fs.existsSync(path.join(targetDir, "compacted")));
+
+    const result = await compactTarget(targetDir, profile, { remove: true });
+
+    assert.deepEqual(result.removed, [CSV_FILE, JSONL_FILE]);
+    assert.ok(!fs.existsSync(path.join(targetDir, CSV_FILE)));
+    const index = loadCompactionIndex(targetDir);
+    assert.ok(index.sources[CSV_FILE].removedAt);
+    assert.equal(index.archives["2025-10-18.csv.gz"].rows, 2);
+  });
+
+  it("skips data files of chunks in progress, also when the checkpoint is unreadable", async () => {
+    saveCheckpoint(path.join(targetDir, "checkpoints", "chunk_0001.json"), {
+      outputFile: CSV_FILE,
+      completedUrls: [],
+    });
+    fs.writeFileSync(path.join(targetDir, "checkpoints", "chunk_0002.json"), "{ truncated");
+
+    const result = await compactTarget(targetDir, profile, { remove: true });
+
+    assert.deepEqual(result.compacted, []);
+    assert.deepEqual(result.active, [CSV_FILE, JSONL_FILE]);
+    assert.deepEqual(result.unreadable, [path.join("checkpoints", "chunk_0002.json")]);
+    assert.deepEqual(result.removed, []);
+  });
+});
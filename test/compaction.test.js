@@ -0,0 +1,76 @@
+/**
+ * Unit tests of lib/compaction.js: archive names and the compaction index.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  getCompactedDir,
+  getArchiveName,
+  listCompactedArchives,
+  loadCompactionIndex,
+  saveCompactionIndex,
+  isCompacted,
+} = require("../lib/compaction");
+
+describe("compaction", () => {
+  let targetDir;
+
+  before(() => {
+    targetDir = fs.mkdtempSync(path.join(os.tmpdir(), "myipms-compaction-"));
+  });
+
+  after(() => {
+    fs.rmSync(targetDir, { recursive: true, force: true });
+  });
+
+  it("names archives by scrape date", () => {
+    assert.equal(getArchiveName("2025-10-18"), "2025-10-18.csv.gz");
+    assert.equal(getArchiveName(null), "undated.csv.gz");
+    assert.equal(getCompactedDir("/data/shopify"), path.join("/data/shopify", "compacted"));
+  });
+
+  it("starts with an empty index", () => {
+    assert.deepEqual(loadCompactionIndex(targetDir), { archives: {}, sources: {} });
+    assert.deepEqual(listCompactedArchives(getCompactedDir(targetDir)), []);
+  });
+
+  it("saves and loads the index", () => {
+    const index = {
+      archives: { "2025-10-18.csv.gz": { rows: 2, sources: ["data_chunk_0001.csv"] } },
+      sources: { "data_chunk_0001.csv": { size: 120, rows: 2, archives: { "2025-10-18.csv.gz": 2 } } },
+    };
+    saveCompactionIndex(targetDir, index);
+
+    const loaded = loadCompactionIndex(targetDir);
+    assert.deepEqual(loaded.archives, index.archives);
+    assert.deepEqual(loaded.sources, index.sources);
+    assert.ok(loaded.updatedAt);
+  });
+
+  it("lists archives oldest first and nothing else", () => {
+    const dir = getCompactedDir(targetDir);
+    ["2025-10-19.csv.gz", "undated.csv.gz", "2025-10-18.csv.gz", "2025-10-18.csv.gz.tmp", "notes.txt"].forEach(
+      (file) => fs.writeFileSync(path.join(dir, file), "")
+    );
+
+    assert.deepEqual(
+      listCompactedArchives(dir).map((file) => path.basename(file)),
+      ["2025-10-18.csv.gz", "2025-10-19.csv.gz", "undated.csv.gz"]
+    );
+  });
+
+  it("counts a data file as compacted while its size is unchanged", () => {
+    const index = { archives: {}, sources: { "data_chunk_0001.csv": { size: 120 } } };
+
+    assert.equal(isCompacted(index, "data_chunk_0001.csv", 120), true);
+    assert.equal(isCompacted(index, "data_chunk_0001.csv", 180), false);
+    assert.equal(isCompacted(index, "data_chunk_0002.csv", 120), false);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit tests of lib/config.js: the order settings are applied in, path
+ * resolution, validation and the config flags of cli.js.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { DEFAULT_CONFIG, toFlag, splitConfigArgs, validateConfig, loadConfig } = require("../lib/config");
+
+describe("loadConfig", () => {
+  let tmpDir;
+  let configFile;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "myipms-config-"));
+    configFile = path.join(tmpDir, "scraper.config.json");
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({
+        baseUrl: "http://127.0.0.1:8080/",
+        dataDir: "scraped",
+        format: "jsonl",
+        delayScale: 0.5,
+        delays: { betweenPages: [10, 20] },
+      })
+    );
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("applies defaults, the file, the environment and overrides in that order", () => {
+    const config = loadConfig({
+      file: configFile,
+      env: { OUTPUT_FORMAT: "json", SCRAPE_DELAY_SCALE: "0.01", ARCHIVE_HTML: "yes", LOG_LEVEL: "" },
+      overrides: { format: "csv" },
+    });
+
+    assert.equal(config.baseUrl, "http://127.0.0.1:8080");
+    assert.equal(config.format, "csv");
+    assert.equal(config.delayScale, 0.01);
+    assert.equal(config.archiveHtml, true);
+    assert.equal(config.logLevel, DEFAULT_CONFIG.logLevel);
+    assert.equal(config.navigationTimeout, DEFAULT_CONFIG.navigationTimeout);
+    assert.deepEqual(config.delays, { ...DEFAULT_CONFIG.delays, betweenPages: [10, 20] });
+    assert.equal(config.configFile, configFile);
+    assert.ok(Object.isFrozen(config));
+  });
+
+  it("resolves paths in the file against its directory and flag paths against the working directory", () => {
+    const config = loadConfig({ file: configFile, env: {}, overrides: { reportsDir: "out" } });
+
+    assert.equal(config.dataDir, path.join(tmpDir, "scraped"));
+    assert.equal(config.chunksDir, path.join(tmpDir, "chunks"));
+    assert.equal(config.reportsDir, path.resolve("out"));
+    assert.equal(config.logFile, "");
+  });
+
+  it("reads the config file named by SCRAPER_CONFIG and reports a missing one", () => {
+    assert.equal(loadConfig({ env: { SCRAPER_CONFIG: configFile } }).format, "jsonl");
+    assert.throws(
+      () => loadConfig({ env: { SCRAPER_CONFIG: path.join(tmpDir, "missing.json") } }),
+      /Config file not found/
+    );
+  });
+
+  it("reports every invalid setting at once", () => {
+    assert.throws(
+      () => loadConfig({ file: configFile, env: { OUTPUT_FORMAT: "xml", SCRAPE_DELAY_SCALE: "fast" } }),
+      (error) =>
+        error.message.includes('format must be one of csv, jsonl, json (got "xml")') &&
+        error.message.includes('delayScale must be a number of at least 0 (got "fast")')
+    );
+  });
+});
+
+describe("validateConfig", () => {
+  it("accepts the defaults", () => {
+    assert.deepEqual(validateConfig({ ...DEFAULT_CONFIG }), []);
+  });
+
+  it("rejects unknown settings, bad URLs, ranges and log settings", () => {
+    const errors = validateConfig({
+      ...DEFAULT_CONFIG,
+      baseUrl: "ftp://myip.ms",
+      dataDir: " ",
+      defaultChunkSize: 0,
+      delays: { ...DEFAULT_CONFIG.delays, betweenPages: [8000, 3000], jitter: [0, 1] },
+      logFormat: "xml",
+      logLevel: "loud",
+      chunkSize: 50,
+    });
+
+    assert.deepEqual(errors, [
+      'Unknown setting "chunkSize"',
+      'baseUrl must be an http(s) URL (got "ftp://myip.ms")',
+      "dataDir must be a non-empty path",
+      "defaultChunkSize must be a positive integer (got 0)",
+      'logFormat must be one of auto, pretty, json (got "xml")',
+      'logLevel must be one of debug, info, warn, error (got "loud")',
+      "delays.betweenPages must be [min, max] milliseconds with min <= max (got [8000,3000])",
+      'Unknown delay "jitter"',
+    ]);
+  });
+});
+
+describe("splitConfigArgs", () => {
+  it("takes out the config flags and leaves the command arguments", () => {
+    const { file, overrides, rest } = splitConfigArgs([
+      "0001",
+      "shopify",
+      "--config",
+      "other.json",
+      "--data-dir=/tmp/data",
+      "--archive-html",
+      "--delay-scale",
+      "0.1",
+      "--retry",
+    ]);
+
+    assert.equal(file, "other.json");
+    assert.deepEqual(overrides, { dataDir: "/tmp/data", archiveHtml: true, delayScale: 0.1 });
+    assert.deepEqual(rest, ["0001", "shopify", "--retry"]);
+  });
+
+  it("needs a value for settings that take one", () => {
+    assert.throws(() => splitConfigArgs(["--format"]), /--format needs a value/);
+    assert.throws(() => splitConfigArgs(["--format", "--retry"]), /--format needs a value/);
+  });
+
+  it("derives flags from setting names", () => {
+    assert.equal(toFlag("navigationTimeout"), "navigation-timeout");
+    assert.equal(toFlag("baseUrl"), "base-url");
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Tests of consolidate_data.js: the newest observation of every record in
+ * the master file, one snapshot per scrape date and incremental SQLite loads,
+ * also after compaction.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The data, snapshot and output paths are read once, so point the
+// configuration at a temporary project before any project module is loaded
+const PROJECT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "myipms-consolidate-"));
+fs.writeFileSync(
+  path.join(PROJECT_DIR, "scraper.config.json"),
+  JSON.stringify({ targetsFile: "targets.json" })
+);
+fs.writeFileSync(
+  path.join(PROJECT_DIR, "targets.json"),
+  JSON.stringify({
+    targets: [{ name: "fixture", ipRange: "23.227.38.0/24", rankLimit: 15000000, totalPages: 5 }],
+  })
+);
+process.env.SCRAPER_CONFIG = path.join(PROJECT_DIR, "scraper.config.json");
+
+const { main } = require("../consolidate_data");
+const { compactTarget } = require("../compact_data");
+const { getTarget, buildPageUrl } = require("../lib/targets");
+const { createWriter } = require("../lib/writers");
+const { readDataFile } = require("../lib/data_files");
+const { prepareRecords } = require("../lib/validation");
+const { getProfile } = require("../lib/table_profiles");
+const { createRun, getRunMetadataPath, saveRunMetadata } = require("../lib/run_metadata");
+
+const DATA_DIR = path.join(PROJECT_DIR, "data", "fixture");
+const MASTER_FILE = path.join(PROJECT_DIR, "master_data.csv");
+const SNAPSHOTS_DIR = path.join(PROJECT_DIR, "snapshots");
+
+let Database = null;
+try {
+  Database = require("better-sqlite3");
+} catch (error) {
+  // Optional dependency; the SQLite tests are skipped
+}
+
+/**
+ * Write records of page 1 to a data file of the fixture target, as the
+ * worker does
+ * @param {String} name Data file name
+ * @param {Array} ranks Rank of every row; row n is shop-n.example.com
+ * @param {Object} provenance { scrapedAt, runId }
+ * @returns {Promise<String>} Data file path
+ */
+async function writeChunk(name, ranks, { scrapedAt, runId = "" }) {
+  const rows = ranks.map((rank, index) => ({
+    rank: String(rank),
+    domain: `shop-${index + 1}.example.com`,
+    ipAddress: `23.227.38.${index + 1}`,
+  }));
+  const { records } = prepareRecords(rows, {
+    sourceUrl: buildPageUrl(getTarget("fixture"), 1),
+    scrapedAt,
+    chunkId: "fixture/chunk_0001",
+    runId,
+  });
+  const file = path.join(DATA_DIR, name);
+  await createWriter("csv", file).write(records);
+  return file;
+}
+
+/**
+ * Record a worker run in the run metadata sidecar of its data file
+ * @param {String} file Data file path
+ * @param {String} runId Run ID
+ * @param {String} startedAt ISO timestamp the run started at
+ */
+function saveRun(file, runId, startedAt) {
+  const run = { ...createRun({ urlCount: 1, skippedCount: 0 }), runId, startedAt };
+  saveRunMetadata(
+    getRunMetadataPath(file),
+    { target: "fixture", chunk: "0001", chunkSet: "main", dataFile: path.basename(file) },
+    run
+  );
+}
+
+/**
+ * Rank of every domain in a consolidated file
+ * @param {String} file Master file or snapshot
+ * @returns {Promise<Object>} Domain to rank
+ */
+async function ranksByDomain(file) {
+  const rows = await readDataFile(file);
+  return Object.fromEntries(rows.map((row) => [row.Domain, row.Rank]));
+}
+
+describe("consolidate_data.js", () => {
+  beforeEach(() => {
+    ["data", "snapshots"].forEach((dir) =>
+      fs.rmSync(path.join(PROJECT_DIR, dir), { recursive: true, force: true })
+    );
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  });
+
+  after(() => {
+    fs.rmSync(PROJECT_DIR, { recursive: true, force: true });
+  });
+
+  it("keeps the most recently scraped record of every domain", async () => {
+    // The newer scrape is in the file that is read first
+    await writeChunk("data_chunk_0001_2025-10-17T12-00-00-000Z.csv", [7, 8], {
+      scrapedAt: "2025-10-19T12:00:00.000Z",
+    });
+    await writeChunk("data_chunk_0001_2025-10-18T12-00-00-000Z.csv", [1, 2, 3], {
+      scrapedAt: "2025-10-18T12:00:00.000Z",
+    });
+
+    await main([]);
+
+    assert.equal(process.exitCode, undefined);
+    assert.deepEqual(await ranksByDomain(MASTER_FILE), {
+      "shop-1.example.com": "7",
+      "shop-2.example.com": "8",
+      "shop-3.example.com": "3",
+    });
+  });
+
+  it("keeps the record of the run that started later on a Scraped_At tie", async () => {
+    const scrapedAt = "2025-10-18T12:00:00.000Z";
+    const later = await writeChunk("data_chunk_0001_2025-10-18T10-00-00-000Z.csv", [7], {
+      scrapedAt,
+      runId: "00000000-0000-4000-8000-000000000000",
+    });
+    const earlier = await writeChunk("data_chunk_0001_2025-10-18T11-00-00-000Z.csv", [1], {
+      scrapedAt,
+      runId: "ffffffff-ffff-4fff-bfff-ffffffffffff",
+    });
+    saveRun(later, "00000000-0000-4000-8000-000000000000", "2025-10-18T11:00:00.000Z");
+    saveRun(earlier, "ffffffff-ffff-4fff-bfff-ffffffffffff", "2025-10-18T10:00:00.000Z");
+
+    await main([]);
+
+    assert.deepEqual(await ranksByDomain(MASTER_FILE), { "shop-1.example.com": "7" });
+  });
+
+  it("writes the newest record of every domain per scrape date to its snapshot", async () => {
+    await writeChunk("data_chunk_0001_2025-10-18T08-00-00-000Z.csv", [1, 2], {
+      scrapedAt: "2025-10-18T08:00:00.000Z",
+    });
+    await writeChunk("data_chunk_0001_2025-10-18T20-00-00-000Z.csv", [5], {
+      scrapedAt: "2025-10-18T20:00:00.000Z",
+    });
+    await writeChunk("data_chunk_0001_2025-10-19T08-00-00-000Z.csv", [9], {
+      scrapedAt: "2025-10-19T08:00:00.000Z",
+    });
+
+    await main([]);
+
+    assert.deepEqual(fs.readdirSync(SNAPSHOTS_DIR).sort(), [
+      "snapshot_2025-10-18.csv",
+      "snapshot_2025-10-19.csv",
+    ]);
+    assert.deepEqual(await ranksByDomain(path.join(SNAPSHOTS_DIR, "snapshot_2025-10-18.csv")), {
+      "shop-1.example.com": "5",
+      "shop-2.example.com": "2",
+    });
+    assert.deepEqual(await ranksByDomain(path.join(SNAPSHOTS_DIR, "snapshot_2025-10-19.csv")), {
+      "shop-1.example.com": "9",
+    });
+  });
+
+  it("loads new and grown data files into SQLite and skips unchanged ones", async (t) => {
+    if (!Database) return t.skip("better-sqlite3 is not installed");
+    const dbPath = path.join(PROJECT_DIR, "data.sqlite");
+    const countObservations = () => {
+      const db = new Database(dbPath, { readonly: true });
+      try {
+        return db.prepare("SELECT COUNT(*) AS count FROM observations").get().count;
+      } finally {
+        db.close();
+      }
+    };
+    const file = await writeChunk("data_chunk_0001_2025-10-18T12-00-00-000Z.csv", [1, 2], {
+      scrapedAt: "2025-10-18T12:00:00.000Z",
+    });
+
+    await main(["--sqlite", dbPath]);
+    assert.equal(countObservations(), 2);
+
+    await main(["--sqlite", dbPath]);
+    assert.equal(countObservations(), 2);
+
+    // A resumed chunk appends to its file, which is then loaded again as a whole
+    await createWriter("csv", file).write(
+      prepareRecords([{ rank: "3", domain: "shop-3.example.com", ipAddress: "23.227.38.3" }], {
+        sourceUrl: buildPageUrl(getTarget("fixture"), 1),
+        scrapedAt: "2025-10-18T13:00:00.000Z",
+      }).records
+    );
+    await main(["--sqlite", dbPath]);
+    assert.equal(countObservations(), 3);
+  });
+
+  it("replaces the data files of a compacted archive in SQLite", async (t) => {
+    if (!Database) return t.skip("better-sqlite3 is not installed");
+    const dbPath = path.join(PROJECT_DIR, "compacted.sqlite");
+    await writeChunk("data_chunk_0001_2025-10-18T12-00-00-000Z.csv", [1, 2], {
+      scrapedAt: "2025-10-18T12:00:00.000Z",
+    });
+    await writeChunk("data_chunk_0002_2025-10-18T13-00-00-000Z.csv", [3], {
+      scrapedAt: "2025-10-18T13:00:00.000Z",
+    });
+    await main(["--sqlite", dbPath]);
+
+    await compactTarget(DATA_DIR, getProfile(), {});
+    await main(["--sqlite", dbPath]);
+
+    const db = new Database(dbPath, { readonly: true });
+    try {
+      assert.deepEqual(db.prepare("SELECT source_file FROM data_files").all(), [
+        { source_file: path.join("fixture", "compacted", "2025-10-18.csv.gz") },
+      ]);
+      assert.equal(db.prepare("SELECT COUNT(*) AS count FROM observations").get().count, 3);
+    } finally {
+      db.close();
+    }
+  });
+});
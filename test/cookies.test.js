@@ -0,0 +1,108 @@
+/**
+ * Unit tests of lib/cookies.js: the supported export formats, base64
+ * payloads and which cookies are dropped.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  COOKIE_FORMATS,
+  decodeCookiePayload,
+  detectCookieFormat,
+  parseCookies,
+  encodeCookies,
+} = require("../lib/cookies");
+
+const BASE_URL = "https://myip.ms";
+
+const PUPPETEER_COOKIES = [
+  { name: "s2_uGoo", value: "session", domain: ".myip.ms", path: "/", expires: 1790000000, httpOnly: true, secure: true, sameSite: "Lax" },
+  { name: "_ga", value: "GA1.2", domain: ".google.com", path: "/", expires: -1 },
+];
+
+describe("cookie formats", () => {
+  it("decodes base64 payloads and leaves plain ones alone", () => {
+    const json = JSON.stringify(PUPPETEER_COOKIES);
+
+    assert.equal(decodeCookiePayload(Buffer.from(json).toString("base64")), json);
+    assert.equal(decodeCookiePayload(`  ${json}\n`), json);
+  });
+
+  it("tells the formats apart", () => {
+    assert.equal(detectCookieFormat(JSON.stringify(PUPPETEER_COOKIES)), COOKIE_FORMATS.PUPPETEER);
+    assert.equal(
+      detectCookieFormat(JSON.stringify({ cookies: [{ name: "a", value: "b", hostOnly: true }] })),
+      COOKIE_FORMATS.EXTENSION
+    );
+    assert.equal(detectCookieFormat("# Netscape HTTP Cookie File"), COOKIE_FORMATS.NETSCAPE);
+  });
+});
+
+describe("parseCookies", () => {
+  it("keeps the cookies of the site from Puppeteer JSON, also base64-encoded", () => {
+    const { format, cookies, dropped } = parseCookies(encodeCookies(PUPPETEER_COOKIES), BASE_URL);
+
+    assert.equal(format, COOKIE_FORMATS.PUPPETEER);
+    assert.deepEqual(cookies, [PUPPETEER_COOKIES[0]]);
+    assert.deepEqual(dropped, [{ name: "_ga", reason: "cookie _ga is for .google.com, not myip.ms" }]);
+  });
+
+  it("converts browser-extension cookies", () => {
+    const { format, cookies } = parseCookies(
+      JSON.stringify([
+        { name: "s2_uGoo", value: "session", domain: "myip.ms", hostOnly: true, path: "/", expirationDate: 1790000000.5, sameSite: "no_restriction", secure: true },
+        { name: "theme", value: "dark", domain: ".myip.ms", hostOnly: false, path: "/", session: true, sameSite: "unspecified" },
+      ]),
+      BASE_URL
+    );
+
+    assert.equal(format, COOKIE_FORMATS.EXTENSION);
+    assert.deepEqual(cookies, [
+      { name: "s2_uGoo", value: "session", domain: "myip.ms", path: "/", expires: 1790000000.5, httpOnly: false, secure: true, sameSite: "None" },
+      { name: "theme", value: "dark", domain: ".myip.ms", path: "/", expires: -1, httpOnly: false, secure: false },
+    ]);
+  });
+
+  it("reads cookies.txt with HttpOnly and session cookies and reports bad lines", () => {
+    const text = [
+      "# Netscape HTTP Cookie File",
+      "#HttpOnly_.myip.ms\tTRUE\t/\tTRUE\t1790000000\ts2_uGoo\tsession",
+      "myip.ms\tFALSE\t/\tFALSE\t0\ttheme\tdark",
+      "myip.ms\tFALSE\t/",
+    ].join("\n");
+
+    const { format, cookies, dropped } = parseCookies(text, BASE_URL);
+
+    assert.equal(format, COOKIE_FORMATS.NETSCAPE);
+    assert.deepEqual(
+      cookies.map((cookie) => [cookie.name, cookie.domain, cookie.expires, cookie.httpOnly, cookie.secure]),
+      [
+        ["s2_uGoo", ".myip.ms", 1790000000, true, true],
+        ["theme", "myip.ms", -1, false, false],
+      ]
+    );
+    assert.deepEqual(dropped, [{ name: null, reason: "cookies.txt line 4: 3 fields instead of 7" }]);
+  });
+
+  it("drops cookies without a name, value or domain", () => {
+    const { cookies, dropped } = parseCookies(
+      JSON.stringify([{ value: "x", domain: "myip.ms" }, { name: "a", domain: "myip.ms" }, { name: "b", value: "y" }]),
+      BASE_URL
+    );
+
+    assert.deepEqual(cookies, []);
+    assert.deepEqual(
+      dropped.map((entry) => entry.reason),
+      ['cookie without a name ({"value":"x","domain":"myip.ms"})', "cookie a has no value", "cookie b has neither a domain nor a url"]
+    );
+  });
+
+  it("rejects empty payloads and malformed JSON", () => {
+    assert.throws(() => parseCookies("   ", BASE_URL), /Cookie payload is empty/);
+    assert.throws(() => parseCookies("[{", BASE_URL), /Failed to parse cookies/);
+    assert.throws(() => parseCookies('{"name":"a"}', BASE_URL), /must be an array/);
+  });
+});
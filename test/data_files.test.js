@@ -0,0 +1,126 @@
+/**
+ * Tests of reading data files back: every output format of lib/writers.js
+ * must come back through lib/data_files.js and lib/schema.js as the same
+ * canonical records.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { OUTPUT_FORMATS, writeDataFile } = require("../lib/writers");
+const { streamDataFile } = require("../lib/data_files");
+const { resolveHeaders, normalizeRecord } = require("../lib/schema");
+const { getProfile } = require("../lib/table_profiles");
+const { validateRecord, prepareRecords } = require("../lib/validation");
+
+const SOURCE_URL = "https://myip.ms/browse/sites/3/ipID/23.227.38.0/ipIDii/23.227.38.255";
+
+/**
+ * Read a data file into canonical records
+ * @param {String} file Data file path
+ * @param {Object} profile Table profile
+ * @returns {Promise<Array>} Canonical records
+ */
+async function readCanonical(file, profile) {
+  const records = [];
+  let columns = new Map();
+  await streamDataFile(
+    file,
+    (raw) => {
+      const record = normalizeRecord(raw, columns, profile);
+      if (record) records.push(record);
+    },
+    (headers) => {
+      ({ columns } = resolveHeaders(headers, profile));
+    }
+  );
+  return records;
+}
+
+describe("data files", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "myipms-data-files-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Validated records hold integers (rank, counts, page and row), which
+  // JSON keeps
+  const row = {
+    domain: "Shop-1201.example.com",
+    ipAddress: "23.227.38.65",
+    owner: "Shopify, Inc",
+    location: "Canada",
+    city: "Ottawa",
+    lastUpdate: "18 Oct 2025, 00:17",
+  };
+  const { records: sites } = prepareRecords(
+    [
+      { ...row, rank: "1,201" },
+      { ...row, rank: "1202", domain: "Shop-1202.example.com" },
+    ],
+    {
+      sourceUrl: SOURCE_URL,
+      scrapedAt: "2025-10-18T12:45:15.819Z",
+      chunkId: "shopify/chunk_0001",
+      runId: "run-1",
+    }
+  );
+  const owners = validateRecord(
+    {
+      rank: "7",
+      owner: "Cloudflare, Inc",
+      location: "USA",
+      ipRanges: "1,024",
+      ipCount: "0",
+      siteCount: "",
+      sourceUrl: "https://myip.ms/browse/ip_owners/1",
+    },
+    getProfile("ip_owners")
+  ).record;
+
+  Object.keys(OUTPUT_FORMATS).forEach((format) => {
+    it(`reads back what the ${format} writer wrote`, async () => {
+      const sitesFile = path.join(tmpDir, `sites${OUTPUT_FORMATS[format]}`);
+      await writeDataFile(format, sitesFile, sites);
+
+      const records = await readCanonical(sitesFile, getProfile());
+      assert.deepEqual(
+        records.map((record) => [
+          record.rank,
+          record.domain,
+          record.lastUpdate,
+          record.scrapedAt,
+          record.pageNumber,
+          record.rowPosition,
+          record.chunkId,
+          record.runId,
+          record.uniqueId,
+        ]),
+        [
+          ["1201", "shop-1201.example.com", "2025-10-18T00:17:00", "2025-10-18T12:45:15.819Z", "3", "1", "shopify/chunk_0001", "run-1", "1201-shop-1201.example.com"],
+          ["1202", "shop-1202.example.com", "2025-10-18T00:17:00", "2025-10-18T12:45:15.819Z", "3", "2", "shopify/chunk_0001", "run-1", "1202-shop-1202.example.com"],
+        ]
+      );
+
+      const profile = getProfile("ip_owners");
+      const ownersFile = path.join(tmpDir, `owners${OUTPUT_FORMATS[format]}`);
+      await writeDataFile(format, ownersFile, [owners], profile.fields);
+
+      const [owner] = await readCanonical(ownersFile, profile);
+      assert.deepEqual(
+        [owner.rank, owner.owner, owner.ipRanges, owner.ipCount, owner.siteCount],
+        ["7", "Cloudflare, Inc", "1024", "0", ""]
+      );
+    });
+  });
+});
@@ -0,0 +1,337 @@
+/**
+ * Local stand-in for myip.ms, serving /browse/sites/ pages with a realistic
+ * #sites_tbl table plus the pages the worker has to recognise: login,
+ * human verification, a page without the table, an empty table and a slow
+ * page. The site and whois detail pages the rows link to are served too.
+ *
+ * Run it on its own with `node test/fixtures/myipms_server.js [port]` and
+ * point the scrapers at it with MYIPMS_BASE_URL=http://127.0.0.1:<port>.
+ */
+
+const http = require("http");
+const { ipToInt, intToIp } = require("../../lib/targets");
+
+// Configuration
+const ROWS_PER_PAGE = 50;
+const DEFAULT_RANGE = { from: "23.227.38.0", to: "23.227.38.255" };
+const DEFAULT_SLOW_DELAY = 5000;
+const TOTAL_RECORDS = 748210;
+
+// What a browse page serves, by page number; all other pages are "sites"
+const SCENARIOS = ["sites", "login", "verification", "missing_table", "empty", "slow"];
+
+const HEADERS = [
+  "No",
+  "Web Site",
+  "Website IP Address",
+  "Web Hosting Company / IP Owner",
+  "Web Hosting / Server IP Location",
+  "Web Hosting City",
+];
+
+/**
+ * Wrap a page body in the site layout
+ * @param {String} title Page title
+ * @param {String} body Body HTML
+ * @returns {String} HTML document
+ */
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${title}</title></head>
+<body>
+<div id="header"><a href="/">MyIP.ms</a> <a href="/logout">Logout</a></div>
+<div id="content">
+${body}
+</div>
+</body>
+</html>`;
+}
+
+/**
+ * Render the site rows of one browse page. Every row is followed by the
+ * expandable detail row the real site uses.
+ * @param {Number} pageNumber Page number
+ * @param {Object} range { from, to } IP range of the page
+ * @param {Number} rowCount Number of rows
+ * @returns {String} Table body HTML
+ */
+function renderRows(pageNumber, range, rowCount) {
+  const first = ipToInt(range.from);
+  const size = ipToInt(range.to) - first + 1;
+  const rows = [];
+
+  for (let i = 0; i < rowCount; i++) {
+    const rank = (pageNumber - 1) * ROWS_PER_PAGE + i + 1;
+    const domain = `Shop-${rank}.example.com`;
+    const ip = intToIp(first + (rank % size));
+    const day = String((rank % 28) + 1).padStart(2, "0");
+    rows.push(`<tr>
+  <td class="row_name">${rank}</td>
+  <td><a href="/view/sites/${900000 + rank}/${domain.toLowerCase()}">${domain}</a></td>
+  <td><a href="/info/whois/${ip}">${ip}</a> <span class="ipv">IPv4</span></td>
+  <td><a href="/view/web_hosting/376714/Shopify_Inc.html">Shopify, Inc</a></td>
+  <td><a href="/view/best_hosting/Canada">Canada</a></td>
+  <td>Ottawa</td>
+</tr>
+<tr class="expand"><td colspan="6"><div>Website Popularity: ${1000 - (rank % 1000)} visitors per day Record Update Time: ${day} Oct 2025, 00:17 Website Status: Online</div></td></tr>`);
+  }
+
+  return rows.join("\n");
+}
+
+/**
+ * Render a browse page with the sites table
+ * @param {Number} pageNumber Page number
+ * @param {Object} range { from, to } IP range of the page
+ * @param {Number} rowCount Number of rows
+ * @returns {String} HTML document
+ */
+function renderSitesPage(pageNumber, range, rowCount) {
+  const from = (pageNumber - 1) * ROWS_PER_PAGE + 1;
+  return layout(
+    `Websites on IP Range ${range.from} - ${range.to} - Page ${pageNumber} - MyIP.ms`,
+    `<h1>Websites on ${range.from} - ${range.to}</h1>
+<div class="aqPaging">Records ${from} - ${from + ROWS_PER_PAGE - 1} of ${TOTAL_RECORDS}</div>
+<table id="sites_tbl" class="sites_tbl">
+<thead><tr>${HEADERS.map((header) => `<th>${header}</th>`).join("")}</tr></thead>
+<tbody>
+${renderRows(pageNumber, range, rowCount)}
+</tbody>
+</table>`
+  );
+}
+
+/**
+ * Render the detail page of a site linked from a row
+ * @param {Number} siteId Site ID
+ * @param {String} domain Domain name
+ * @returns {String} HTML document
+ */
+function renderSiteDetailPage(siteId, domain) {
+  const rank = siteId - 900000;
+  const first = ipToInt(DEFAULT_RANGE.from);
+  const ip = intToIp(first + (rank % 256));
+  const previousIp = intToIp(first + ((rank + 1) % 256));
+  return layout(
+    `${domain} - Website Info - MyIP.ms`,
+    `<h1>${domain}</h1>
+<table class="site_info">
+<tr><td>Web Site:</td><td>${domain}</td></tr>
+<tr><td>Website IPv4 Address:</td><td>${ip}</td></tr>
+<tr><td>Website IPv6 Address:</td><td>2620:127:f00f:${(rank % 0xffff).toString(16)}::1</td></tr>
+<tr><td>Web Hosting Company:</td><td>Shopify, Inc</td></tr>
+</table>
+<h2>Hosting History</h2>
+<table class="hosting_history">
+<tr><th>Date</th><th>IP Address</th><th>Hosting Company / IP Owner</th></tr>
+<tr><td>12 Mar 2025</td><td>${ip}</td><td>Shopify, Inc</td></tr>
+<tr><td>04 Jan 2021</td><td>${previousIp}</td><td>Cloudflare, Inc</td></tr>
+</table>`
+  );
+}
+
+/**
+ * Render the whois page of an IP address linked from a row
+ * @param {String} ip IP address
+ * @returns {String} HTML document
+ */
+function renderWhoisPage(ip) {
+  return layout(
+    `${ip} Whois - MyIP.ms`,
+    `<h1>Whois ${ip}</h1>
+<pre>
+NetRange:       ${DEFAULT_RANGE.from} - ${DEFAULT_RANGE.to}
+CIDR:           23.227.38.0/24
+NetName:        SHOPIFY-CA
+OrgName:        Shopify, Inc.
+Country:        CA
+</pre>`
+  );
+}
+
+/**
+ * Create the fixture server
+ * @param {Object} [options] Server options
+ * @param {Object} [options.scenarios] Map of page number to one of SCENARIOS
+ * @param {Number} [options.slowDelay] Response delay of "slow" pages in ms
+ * @param {String} [options.requireCookie] Cookie name that must be sent;
+ *   requests without it are redirected to the login page
+ * @returns {Object} Server with start(), stop(), pageUrl(), setScenario()
+ *   and the list of requested paths in `requests`
+ */
+function createFixtureServer(options = {}) {
+  const scenarios = new Map();
+  const setScenario = (pageNumber, scenario) => {
+    if (!SCENARIOS.includes(scenario)) {
+      throw new Error(`Unknown fixture scenario: ${scenario}`);
+    }
+    scenarios.set(Number(pageNumber), scenario);
+  };
+  Object.entries(options.scenarios || {}).forEach(([page, scenario]) =>
+    setScenario(page, scenario)
+  );
+
+  const slowDelay = options.slowDelay ?? DEFAULT_SLOW_DELAY;
+  const requests = [];
+  const timers = new Set();
+  let baseUrl = null;
+
+  const send = (res, status, html, headers = {}) => {
+    res.writeHead(status, { "Content-Type": "text/html; charset=utf-8", ...headers });
+    res.end(html);
+  };
+
+  const hasSession = (req) =>
+    !options.requireCookie ||
+    (req.headers.cookie || "")
+      .split(";")
+      .some((cookie) => cookie.trim().startsWith(`${options.requireCookie}=`));
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    requests.push(pathname);
+
+    if (pathname === "/login") {
+      send(
+        res,
+        200,
+        layout(
+          "Login - MyIP.ms",
+          `<form method="post" action="/login">
+<input type="text" name="email"> <input type="password" name="password">
+<input type="submit" value="Login">
+</form>`
+        )
+      );
+      return;
+    }
+
+    if (pathname === "/verify") {
+      send(
+        res,
+        200,
+        layout(
+          "Security Check - Human Verification - MyIP.ms",
+          `<p>Please confirm you are a human.</p><div class="captcha"></div>`
+        )
+      );
+      return;
+    }
+
+    const siteMatch = pathname.match(/^\/view\/sites\/(\d+)\/([^/]+)/);
+    const whoisMatch = pathname.match(/^\/info\/whois\/([\d.]+)$/);
+    if ((siteMatch || whoisMatch) && !hasSession(req)) {
+      send(res, 302, "", { Location: `/login?return=${encodeURIComponent(pathname)}` });
+      return;
+    }
+    if (siteMatch) {
+      send(res, 200, renderSiteDetailPage(Number(siteMatch[1]), siteMatch[2]));
+      return;
+    }
+    if (whoisMatch) {
+      send(res, 200, renderWhoisPage(whoisMatch[1]));
+      return;
+    }
+
+    const match = pathname.match(/^\/browse\/sites\/(\d+)(?:\/|$)/);
+    if (!match) {
+      send(res, 404, layout("Not Found - MyIP.ms", "<p>Page not found</p>"));
+      return;
+    }
+
+    const pageNumber = Number(match[1]);
+    const rangeMatch = pathname.match(/\/ipID\/([\d.]+)\/ipIDii\/([\d.]+)/);
+    const range = rangeMatch ? { from: rangeMatch[1], to: rangeMatch[2] } : DEFAULT_RANGE;
+    const scenario = scenarios.get(pageNumber) || "sites";
+
+    if (scenario === "login" || !hasSession(req)) {
+      send(res, 302, "", { Location: `/login?return=${encodeURIComponent(pathname)}` });
+    } else if (scenario === "verification") {
+      send(res, 302, "", { Location: "/verify" });
+    } else if (scenario === "missing_table") {
+      send(
+        res,
+        200,
+        layout("Websites - MyIP.ms", "<h1>Websites</h1><p>This list is temporarily unavailable.</p>")
+      );
+    } else if (scenario === "empty") {
+      send(res, 200, renderSitesPage(pageNumber, range, 0));
+    } else if (scenario === "slow") {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        send(res, 200, renderSitesPage(pageNumber, range, ROWS_PER_PAGE));
+      }, slowDelay);
+      timers.add(timer);
+    } else {
+      send(res, 200, renderSitesPage(pageNumber, range, ROWS_PER_PAGE));
+    }
+  });
+
+  return {
+    requests,
+
+    /**
+     * Start listening on 127.0.0.1
+     * @param {Number} [port] Port, defaults to a free one
+     * @returns {Promise<String>} Base URL of the server
+     */
+    start(port = 0) {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", () => {
+          baseUrl = `http://127.0.0.1:${server.address().port}`;
+          resolve(baseUrl);
+        });
+      });
+    },
+
+    /**
+     * Stop the server, dropping slow responses still waiting
+     * @returns {Promise} Resolves once the server is closed
+     */
+    stop() {
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+      if (server.closeAllConnections) server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+
+    /**
+     * URL of a browse page, in the same form buildPageUrl produces
+     * @param {Number} pageNumber Page number
+     * @param {Object} [range] { from, to } IP range
+     * @returns {String} Page URL
+     */
+    pageUrl(pageNumber, range = DEFAULT_RANGE) {
+      return `${baseUrl}/browse/sites/${pageNumber}/ipID/${range.from}/ipIDii/${range.to}`;
+    },
+
+    /**
+     * Change what a page serves
+     * @param {Number} pageNumber Page number
+     * @param {String} scenario One of SCENARIOS
+     */
+    setScenario,
+  };
+}
+
+module.exports = {
+  ROWS_PER_PAGE,
+  SCENARIOS,
+  DEFAULT_RANGE,
+  createFixtureServer,
+  renderSitesPage,
+};
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 8080;
+  // Pages 2-6 show the other scenarios when run by hand
+  const server = createFixtureServer({
+    scenarios: { 2: "login", 3: "verification", 4: "missing_table", 5: "empty", 6: "slow" },
+  });
+  server.start(port).then((baseUrl) => {
+    console.log(`myip.ms fixture server listening on ${baseUrl}`);
+    console.log(`Try ${server.pageUrl(1)}`);
+  });
+}
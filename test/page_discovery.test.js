@@ -0,0 +1,114 @@
+/**
+ * Tests of lib/page_discovery.js on fixture HTML, with a page object that
+ * runs the in-browser functions against linkedom instead of Chromium.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseHTML } = require("linkedom");
+
+const { readPagination, discoverTotalPages } = require("../lib/page_discovery");
+const { SCRAPE_STATUS } = require("../lib/scrape_outcome");
+const { renderSitesPage, DEFAULT_RANGE, ROWS_PER_PAGE } = require("./fixtures/myipms_server");
+
+const TARGET = { name: "fixture", table: "sites", from: DEFAULT_RANGE.from, to: DEFAULT_RANGE.to };
+
+/**
+ * A browse page with a pager instead of the record count
+ * @param {Array} links [page, label] of every pager link
+ * @returns {String} HTML document
+ */
+function pagerPage(links) {
+  const pager = links
+    .map(([page, label]) => `<a href="/browse/sites/${page}/ipID/${DEFAULT_RANGE.from}">${label}</a>`)
+    .join(" ");
+  return renderSitesPage(1, DEFAULT_RANGE, ROWS_PER_PAGE).replace(
+    /<div class="aqPaging">[^<]*<\/div>/,
+    `<div class="aqPaging">${pager}</div>`
+  );
+}
+
+/**
+ * Page object serving fixed HTML, enough for discoverTotalPages
+ * @param {String} html HTML document every navigation loads
+ * @param {Object} [options] { title, url } overriding the loaded page's
+ * @returns {Object} Fake Puppeteer page
+ */
+function fakePage(html, options = {}) {
+  const { document } = parseHTML(html);
+  let currentUrl = "about:blank";
+  return {
+    async goto(url) {
+      currentUrl = options.url || url;
+    },
+    async title() {
+      return options.title || document.title;
+    },
+    url: () => currentUrl,
+    async $(selector) {
+      return document.querySelector(selector);
+    },
+    async waitForSelector(selector) {
+      if (!document.querySelector(selector)) throw new Error(`No ${selector}`);
+    },
+    async evaluate(fn, ...args) {
+      return fn(...args, document);
+    },
+  };
+}
+
+describe("readPagination", () => {
+  it("reads the record count", () => {
+    const { document } = parseHTML(renderSitesPage(1, DEFAULT_RANGE, ROWS_PER_PAGE));
+
+    assert.deepEqual(readPagination("sites", document), {
+      totalRecords: 748210,
+      lastPage: null,
+      morePages: false,
+    });
+  });
+
+  it("takes the page of the last link, not the highest nearby page", () => {
+    const pager = (links) => readPagination("sites", parseHTML(pagerPage(links)).document);
+
+    assert.deepEqual(pager([[2, "2"], [3, "3"], [2, "Next"], [14964, "Last »"]]), {
+      totalRecords: null,
+      lastPage: 14964,
+      morePages: true,
+    });
+    assert.equal(pager([[2, "2"], [3, "3"], [4, "4"]]).lastPage, null);
+  });
+});
+
+describe("discoverTotalPages", () => {
+  it("sizes the plan from the record count", async () => {
+    const page = fakePage(renderSitesPage(1, DEFAULT_RANGE, ROWS_PER_PAGE));
+
+    assert.deepEqual(await discoverTotalPages(page, TARGET), {
+      totalPages: Math.ceil(748210 / ROWS_PER_PAGE),
+      totalRecords: 748210,
+      rowsPerPage: ROWS_PER_PAGE,
+      method: "record_count",
+    });
+  });
+
+  it("fails when the pager only links nearby pages", async () => {
+    const page = fakePage(pagerPage([[2, "2"], [3, "3"], [2, "Next"]]));
+
+    await assert.rejects(discoverTotalPages(page, TARGET), /link to the last page/);
+  });
+
+  it("fails on an expired session instead of finding one page", async () => {
+    const page = fakePage(renderSitesPage(1, DEFAULT_RANGE, ROWS_PER_PAGE), {
+      title: "Login - MyIP.ms",
+      url: "https://myip.ms/login",
+    });
+
+    await assert.rejects(discoverTotalPages(page, TARGET), (error) => {
+      assert.equal(error.status, SCRAPE_STATUS.SESSION_EXPIRED);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests of lib/schema.js: header variants, record normalization and
+ * deduplication keys.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CANONICAL_FIELDS, resolveHeaders, normalizeRecord, recordKey } = require("../lib/schema");
+const { getProfile } = require("../lib/table_profiles");
+
+describe("resolveHeaders", () => {
+  it("maps header spellings of every scraper onto the canonical fields", () => {
+    const { variant, columns } = resolveHeaders([
+      "Rank",
+      "Domain",
+      "Domain URL",
+      "IP_Address",
+      "Location",
+      "City",
+      "Owner",
+      "Last Update",
+      "Scraped_At",
+      "Page",
+      "Row",
+      "Unknown",
+    ]);
+
+    assert.equal(variant, "header_mapped");
+    assert.deepEqual(Array.from(columns.entries()), [
+      ["Rank", "rank"],
+      ["Domain", "domain"],
+      ["Domain URL", "domainUrl"],
+      ["IP_Address", "ipAddress"],
+      ["Location", "location"],
+      ["City", "city"],
+      ["Owner", "owner"],
+      ["Last Update", "lastUpdate"],
+      ["Scraped_At", "scrapedAt"],
+      ["Page", "pageNumber"],
+      ["Row", "rowPosition"],
+    ]);
+  });
+
+  it("swaps the columns of files from before the City column back", () => {
+    const { variant, columns } = resolveHeaders(["Rank", "Domain", "Location", "Owner", "Owner_URL", "Last_Update"]);
+
+    assert.equal(variant, "positional_v1");
+    assert.deepEqual(Array.from(columns.entries()), [
+      ["Rank", "rank"],
+      ["Domain", "domain"],
+      ["Location", "owner"],
+      ["Owner", "location"],
+      ["Last_Update", "city"],
+    ]);
+  });
+
+  it("maps the headers of other tables without variants", () => {
+    const { variant, columns } = resolveHeaders(["Rank", "Owner", "Location"], getProfile("ip_owners"));
+
+    assert.equal(variant, "header_mapped");
+    assert.deepEqual(Array.from(columns.values()), ["rank", "owner", "location"]);
+  });
+});
+
+describe("normalizeRecord", () => {
+  const { columns } = resolveHeaders(["Rank", "Domain", "City", "Page"]);
+
+  it("fills every field, trims text and turns numbers into text", () => {
+    const record = normalizeRecord({ Rank: 7, Domain: " shop.example.com ", City: null, Page: 0 }, columns);
+
+    assert.deepEqual(Object.keys(record), CANONICAL_FIELDS.map((field) => field.id));
+    assert.deepEqual([record.rank, record.domain, record.city, record.pageNumber, record.owner], [
+      "7",
+      "shop.example.com",
+      "",
+      "0",
+      "",
+    ]);
+  });
+
+  it("skips header rows and rows without a key", () => {
+    assert.equal(normalizeRecord({ Rank: "No", Domain: "Web Site" }, columns), null);
+    assert.equal(normalizeRecord({ Rank: "8", Domain: "" }, columns), null);
+  });
+});
+
+describe("recordKey", () => {
+  it("is the lower-cased key fields of the table", () => {
+    assert.equal(recordKey({ domain: "Shop.Example.com" }), "shop.example.com");
+    assert.equal(recordKey({ range: "23.227.38.0-23.227.38.127" }, getProfile("ip_ranges")), "23.227.38.0-23.227.38.127");
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Tests of session_check.js without a browser: the exit code when
+ * SESSION_DATA holds no usable cookies.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadCookies, main } = require("../session_check");
+const { EXIT_CODES } = require("../lib/scrape_outcome");
+
+const SESSION_COOKIES = [
+  { name: "s2_uGoo", value: "session", domain: ".myip.ms", path: "/", expires: -1 },
+];
+
+describe("session_check.js", () => {
+  const saved = process.env.SESSION_DATA;
+
+  afterEach(() => {
+    if (saved === undefined) delete process.env.SESSION_DATA;
+    else process.env.SESSION_DATA = saved;
+    process.exitCode = undefined;
+  });
+
+  it("loads the cookies of SESSION_DATA", () => {
+    process.env.SESSION_DATA = Buffer.from(JSON.stringify(SESSION_COOKIES)).toString("base64");
+
+    const { cookies, source } = loadCookies();
+    assert.equal(source, "SESSION_DATA");
+    assert.deepEqual(cookies.map((cookie) => cookie.name), ["s2_uGoo"]);
+  });
+
+  ["", "not a cookie export"].forEach((payload) => {
+    it(`exits with SESSION_EXPIRED for SESSION_DATA=${JSON.stringify(payload)}`, async () => {
+      process.env.SESSION_DATA = payload;
+
+      await main(["--no-page"]);
+      assert.equal(process.exitCode, EXIT_CODES.SESSION_EXPIRED);
+    });
+  });
+});
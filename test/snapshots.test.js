@@ -0,0 +1,49 @@
+/**
+ * Unit tests of lib/snapshots.js: snapshot dates and file names.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The snapshots directory is read once, so point the configuration at a
+// temporary one before any project module is loaded
+const PROJECT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "myipms-snapshots-"));
+fs.writeFileSync(path.join(PROJECT_DIR, "scraper.config.json"), JSON.stringify({ snapshotsDir: "snapshots" }));
+process.env.SCRAPER_CONFIG = path.join(PROJECT_DIR, "scraper.config.json");
+
+const { SNAPSHOTS_DIR, snapshotDate, getSnapshotPath, listSnapshotDates } = require("../lib/snapshots");
+
+describe("snapshots", () => {
+  after(() => {
+    fs.rmSync(PROJECT_DIR, { recursive: true, force: true });
+  });
+
+  it("dates an observation by its UTC day", () => {
+    assert.equal(snapshotDate("2025-10-18T23:59:59.999Z"), "2025-10-18");
+    assert.equal(snapshotDate("2025-10-18"), "2025-10-18");
+    assert.equal(snapshotDate(""), null);
+    assert.equal(snapshotDate(undefined), null);
+    assert.equal(snapshotDate("18 Oct 2025"), null);
+  });
+
+  it("names one file per date in the snapshots directory", () => {
+    assert.equal(SNAPSHOTS_DIR, path.join(PROJECT_DIR, "snapshots"));
+    assert.equal(getSnapshotPath("2025-10-18"), path.join(PROJECT_DIR, "snapshots", "snapshot_2025-10-18.csv"));
+  });
+
+  it("lists the snapshot dates oldest first", () => {
+    assert.deepEqual(listSnapshotDates(), []);
+
+    fs.mkdirSync(SNAPSHOTS_DIR);
+    ["snapshot_2025-10-19.csv", "snapshot_2025-10-18.csv", "snapshot_latest.csv", "notes.txt"].forEach((file) =>
+      fs.writeFileSync(path.join(SNAPSHOTS_DIR, file), "")
+    );
+
+    assert.deepEqual(listSnapshotDates(), ["2025-10-18", "2025-10-19"]);
+  });
+});
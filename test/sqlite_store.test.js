@@ -0,0 +1,182 @@
+/**
+ * Tests of lib/sqlite_store.js: provenance of the observations, runs keyed
+ * by run ID, incremental loads and archives replacing their data files. Skipped when the optional better-sqlite3
+ * package is not installed.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { openStore } = require("../lib/sqlite_store");
+
+let Database = null;
+try {
+  Database = require("better-sqlite3");
+} catch (error) {
+  // Optional dependency; the tests below are skipped
+}
+
+/**
+ * Sites records of a run, as the worker writes them
+ * @param {String} runId Run ID
+ * @param {Number} pageNumber Page number
+ * @param {Number} count Number of rows
+ * @returns {Array} Records
+ */
+function runRecords(runId, pageNumber, count) {
+  return Array.from({ length: count }, (_, index) => ({
+    rank: (pageNumber - 1) * 50 + index + 1,
+    domain: `shop-${pageNumber}-${index + 1}.example.com`,
+    ipAddress: "23.227.38.65",
+    owner: "Shopify, Inc",
+    scrapedAt: "2025-10-18T12:00:00.000Z",
+    pageNumber: String(pageNumber),
+    rowPosition: String(index + 1),
+    chunkId: "shopify/chunk_0001",
+    runId,
+  }));
+}
+
+/**
+ * Load records into the store as one data file
+ * @param {Object} store Store from openStore
+ * @param {String} sourceFile Data file path relative to data/
+ * @param {Array} records Records of the file
+ * @param {Number} fileSize Size the file has
+ * @returns {Boolean} True if the file was loaded
+ */
+function loadFile(store, sourceFile, records, fileSize) {
+  const load = store.startFile({ sourceFile, target: "shopify", chunk: "0001", fileTimestamp: null, fileSize });
+  if (!load) return false;
+  records.forEach((record) => load.add(record));
+  load.finish("canonical", records.length);
+  return true;
+}
+
+describe("SQLite store", () => {
+  let tmpDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "myipms-sqlite-"));
+    dbPath = path.join(tmpDir, "master_data.sqlite");
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Skip a test when better-sqlite3 is not installed
+   * @param {Object} t Test context
+   * @returns {Boolean} True if the test was skipped
+   */
+  const skipWithoutSqlite = (t) => {
+    if (!Database) t.skip("better-sqlite3 is not installed");
+    return !Database;
+  };
+
+  it("keeps page, row, chunk and run of every observation, one run row per run", (t) => {
+    if (skipWithoutSqlite(t)) return;
+
+    const store = openStore(dbPath);
+    store.saveRuns([
+      { runId: "run-1", target: "shopify", chunkSet: "main", chunk: "0001", status: "interrupted", exitCode: "", startedAt: "2025-10-18T11:00:00.000Z", endedAt: "", recordCount: 2 },
+    ]);
+    // run-1 was interrupted and run-2 resumed the chunk into a second file
+    loadFile(store, "shopify/data_chunk_0001_a.csv", runRecords("run-1", 1, 2), 100);
+    loadFile(store, "shopify/data_chunk_0001_b.csv", [...runRecords("run-2", 2, 1), ...runRecords("run-2", 3, 1)], 100);
+    store.close();
+
+    const db = new Database(dbPath, { readonly: true });
+    try {
+      assert.deepEqual(
+        db.prepare("SELECT run_id, status, exit_code, record_count FROM scrape_runs ORDER BY run_id").all(),
+        [
+          { run_id: "run-1", status: "interrupted", exit_code: null, record_count: 2 },
+          { run_id: "run-2", status: null, exit_code: null, record_count: null },
+        ]
+      );
+      assert.deepEqual(
+        db.prepare("SELECT run_id, chunk_id, page_number, row_position, rank, rank_text FROM observations ORDER BY id").all(),
+        [
+          { run_id: "run-1", chunk_id: "shopify/chunk_0001", page_number: 1, row_position: 1, rank: 1, rank_text: "1" },
+          { run_id: "run-1", chunk_id: "shopify/chunk_0001", page_number: 1, row_position: 2, rank: 2, rank_text: "2" },
+          { run_id: "run-2", chunk_id: "shopify/chunk_0001", page_number: 2, row_position: 1, rank: 51, rank_text: "51" },
+          { run_id: "run-2", chunk_id: "shopify/chunk_0001", page_number: 3, row_position: 1, rank: 101, rank_text: "101" },
+        ]
+      );
+      assert.equal(db.prepare("SELECT COUNT(*) AS count FROM data_files").get().count, 2);
+    } finally {
+      db.close();
+    }
+  });
+
+  it("reloads a data file only when its size changed", (t) => {
+    if (skipWithoutSqlite(t)) return;
+
+    const store = openStore(dbPath);
+    assert.equal(loadFile(store, "shopify/data_chunk_0001_a.csv", runRecords("run-1", 1, 1), 100), true);
+    assert.equal(loadFile(store, "shopify/data_chunk_0001_a.csv", runRecords("run-1", 1, 1), 100), false);
+    assert.equal(loadFile(store, "shopify/data_chunk_0001_a.csv", runRecords("run-1", 1, 3), 300), true);
+    store.close();
+
+    const db = new Database(dbPath, { readonly: true });
+    try {
+      assert.equal(db.prepare("SELECT COUNT(*) AS count FROM observations").get().count, 3);
+    } finally {
+      db.close();
+    }
+  });
+
+  it("deletes the observations of the data files an archive replaces", (t) => {
+    if (skipWithoutSqlite(t)) return;
+
+    const store = openStore(dbPath);
+    loadFile(store, "shopify/data_chunk_0001_a.csv", runRecords("run-1", 1, 2), 100);
+    loadFile(store, "shopify/data_chunk_0001_b.csv", runRecords("run-2", 2, 1), 100);
+    const load = store.startFile({
+      sourceFile: "shopify/compacted/2025-10-18.csv.gz",
+      target: "shopify",
+      chunk: null,
+      fileTimestamp: null,
+      fileSize: 80,
+      replaces: ["shopify/data_chunk_0001_a.csv", "shopify/data_chunk_0001_b.csv"],
+    });
+    [...runRecords("run-1", 1, 2), ...runRecords("run-2", 2, 1)].forEach((record) => load.add(record));
+    load.finish("canonical", 3);
+    store.close();
+
+    const db = new Database(dbPath, { readonly: true });
+    try {
+      assert.deepEqual(
+        db.prepare("SELECT source_file FROM data_files").all(),
+        [{ source_file: "shopify/compacted/2025-10-18.csv.gz" }]
+      );
+      assert.equal(db.prepare("SELECT COUNT(*) AS count FROM observations").get().count, 3);
+    } finally {
+      db.close();
+    }
+  });
+
+  it("replaces the tables of a database with one run row per data file", (t) => {
+    if (skipWithoutSqlite(t)) return;
+
+    const old = new Database(dbPath);
+    old.exec(`
+      CREATE TABLE scrape_runs (id INTEGER PRIMARY KEY, source_file TEXT NOT NULL UNIQUE, file_size INTEGER NOT NULL, loaded_at TEXT NOT NULL);
+      CREATE TABLE observations (id INTEGER PRIMARY KEY, run_id INTEGER NOT NULL REFERENCES scrape_runs(id));
+      INSERT INTO scrape_runs VALUES (1, 'shopify/data_chunk_0001_a.csv', 100, '2025-10-18T12:00:00.000Z');
+    `);
+    old.close();
+
+    const store = openStore(dbPath);
+    assert.equal(loadFile(store, "shopify/data_chunk_0001_a.csv", runRecords("run-1", 1, 1), 100), true);
+    store.close();
+  });
+});
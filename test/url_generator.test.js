@@ -0,0 +1,118 @@
+/**
+ * Tests of the refresh planner of url_generator.js: the page history read
+ * from the data files of a target and the pages chosen to scrape again.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The data directory and targets are read once, so point the configuration
+// at a temporary project before any project module is loaded
+const PROJECT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "myipms-refresh-"));
+fs.writeFileSync(
+  path.join(PROJECT_DIR, "scraper.config.json"),
+  JSON.stringify({ dataDir: "data", targetsFile: "targets.json" })
+);
+fs.writeFileSync(
+  path.join(PROJECT_DIR, "targets.json"),
+  JSON.stringify({
+    targets: [{ name: "fixture", ipRange: "23.227.38.0/24", rankLimit: 15000000, totalPages: 5 }],
+  })
+);
+process.env.SCRAPER_CONFIG = path.join(PROJECT_DIR, "scraper.config.json");
+
+const { collectPageHistory, planRefresh } = require("../url_generator");
+const { getTarget, buildPageUrl } = require("../lib/targets");
+const { createWriter, writeDataFile } = require("../lib/writers");
+const { prepareRecords } = require("../lib/validation");
+
+const NOW = new Date("2025-10-20T12:00:00Z");
+
+/**
+ * Validated records of one page, as the worker writes them
+ * @param {Object} target Target
+ * @param {Number} page Page number
+ * @param {String} scrapedAt ISO timestamp
+ * @returns {Array} Records
+ */
+function pageRecords(target, page, scrapedAt) {
+  const rows = [0, 1].map((index) => ({
+    rank: String((page - 1) * 50 + index + 1),
+    domain: `shop-${page}-${index}.example.com`,
+    ipAddress: `23.227.38.${page * 10 + index}`,
+  }));
+  return prepareRecords(rows, { sourceUrl: buildPageUrl(target, page), scrapedAt }).records;
+}
+
+describe("refresh planning", () => {
+  let target;
+
+  before(async () => {
+    target = getTarget("fixture");
+    const dataDir = path.join(PROJECT_DIR, "data", "fixture");
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    // Page 1 fresh, page 2 stale in one file, and page 2 again, older, in a
+    // JSON file; pages 3 to 5 never scraped
+    await createWriter("jsonl", path.join(dataDir, "data_chunk_0001_2025-10-18T12-00-00-000Z.jsonl")).write([
+      ...pageRecords(target, 1, "2025-10-18T12:00:00.000Z"),
+      ...pageRecords(target, 2, "2025-10-10T12:00:00.000Z"),
+    ]);
+    await writeDataFile(
+      "json",
+      path.join(dataDir, "data_chunk_0001_2025-10-01T12-00-00-000Z.json"),
+      pageRecords(target, 2, "2025-10-01T12:00:00.000Z")
+    );
+  });
+
+  after(() => {
+    fs.rmSync(PROJECT_DIR, { recursive: true, force: true });
+  });
+
+  it("collects the last scrape, row count and best rank of each page", async () => {
+    const history = await collectPageHistory(target);
+
+    assert.deepEqual(Array.from(history.entries()).sort(([a], [b]) => a - b), [
+      [1, { lastScrapedAt: "2025-10-18T12:00:00.000Z", rows: 2, bestRank: 1 }],
+      [2, { lastScrapedAt: "2025-10-10T12:00:00.000Z", rows: 4, bestRank: 51 }],
+    ]);
+  });
+
+  it("plans stale and never scraped pages in page order and skips fresh ones", async () => {
+    const history = await collectPageHistory(target);
+    const { pages, fresh } = planRefresh(target, history, 7, NOW);
+
+    assert.equal(fresh, 1);
+    assert.deepEqual(
+      pages.map((entry) => [entry.page, entry.reason, entry.lastScrapedAt, entry.ageDays, entry.bestRank]),
+      [
+        [2, "stale", "2025-10-10T12:00:00.000Z", 10, 51],
+        [3, "never_scraped", null, null, null],
+        [4, "never_scraped", null, null, null],
+        [5, "never_scraped", null, null, null],
+      ]
+    );
+    assert.equal(pages[0].url, buildPageUrl(target, 2));
+  });
+
+  it("treats a page exactly maxAgeDays old as stale", () => {
+    const history = new Map([[1, { lastScrapedAt: "2025-10-13T12:00:00.000Z", rows: 50, bestRank: 1 }]]);
+    const { pages, fresh } = planRefresh({ ...target, totalPages: 1 }, history, 7, NOW);
+
+    assert.equal(fresh, 0);
+    assert.deepEqual(pages.map((entry) => [entry.reason, entry.ageDays]), [["stale", 7]]);
+  });
+
+  it("plans nothing when every page is fresh", () => {
+    const history = new Map(
+      [1, 2, 3, 4, 5].map((page) => [page, { lastScrapedAt: "2025-10-20T00:00:00.000Z", rows: 50, bestRank: page }])
+    );
+
+    assert.deepEqual(planRefresh(target, history, 7, NOW), { pages: [], fresh: 5 });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests of lib/validation.js: normalization, quarantine reasons and
+ * the provenance fields prepareRecords adds.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  QUARANTINE_REASONS,
+  parseLastUpdate,
+  validateRecord,
+  prepareRecords,
+  getQuarantinePath,
+  toQuarantineRow,
+} = require("../lib/validation");
+const { getProfile } = require("../lib/table_profiles");
+
+const SITES_URL = "https://myip.ms/browse/sites/3/ipID/23.227.38.0/ipIDii/23.227.38.255";
+const RANGES_URL = "https://myip.ms/browse/ip_ranges/1/ipID/23.227.38.0/ipIDii/23.227.38.255";
+
+const SITE = {
+  rank: "1,201",
+  domain: "Shop.Example.com",
+  ipAddress: "23.227.38.65",
+  lastUpdate: "16 Oct 2025, 00:17",
+  sourceUrl: SITES_URL,
+};
+
+describe("parseLastUpdate", () => {
+  it("reads the site format and ISO 8601", () => {
+    assert.equal(parseLastUpdate("16 Oct 2025, 00:17"), "2025-10-16T00:17:00");
+    assert.equal(parseLastUpdate("16 October 2025"), "2025-10-16T00:00:00");
+    assert.equal(parseLastUpdate("2025-10-16T00:17:00"), "2025-10-16T00:17:00");
+  });
+
+  it("rejects impossible dates and unknown months", () => {
+    assert.equal(parseLastUpdate("31 Feb 2025"), null);
+    assert.equal(parseLastUpdate("16 Foo 2025"), null);
+    assert.equal(parseLastUpdate("yesterday"), null);
+  });
+});
+
+describe("validateRecord", () => {
+  it("normalizes a sites record", () => {
+    const { record, reason } = validateRecord(SITE);
+
+    assert.equal(reason, undefined);
+    assert.deepEqual(
+      [record.rank, record.domain, record.lastUpdate],
+      [1201, "shop.example.com", "2025-10-16T00:17:00"]
+    );
+  });
+
+  it("quarantines sites records with a reason", () => {
+    const reasonOf = (changes) => validateRecord({ ...SITE, ...changes }).reason;
+
+    assert.equal(reasonOf({ domain: "" }), QUARANTINE_REASONS.INVALID_DOMAIN);
+    assert.equal(reasonOf({ domain: "shop example.com" }), QUARANTINE_REASONS.INVALID_DOMAIN);
+    assert.equal(reasonOf({ rank: "n/a" }), QUARANTINE_REASONS.INVALID_RANK);
+    assert.equal(reasonOf({ ipAddress: "999.1.1.1" }), QUARANTINE_REASONS.INVALID_IP);
+    assert.equal(reasonOf({ ipAddress: "23.227.39.1" }), QUARANTINE_REASONS.IP_OUT_OF_RANGE);
+    assert.equal(reasonOf({ lastUpdate: "31 Feb 2025" }), QUARANTINE_REASONS.INVALID_LAST_UPDATE);
+  });
+
+  it("keeps the IP range check to pages with a range", () => {
+    const { reason } = validateRecord({ ...SITE, ipAddress: "10.0.0.1", sourceUrl: "" });
+    assert.equal(reason, undefined);
+  });
+
+  it("applies the rules of other table profiles", () => {
+    const ranges = getProfile("ip_ranges");
+    const { record } = validateRecord(
+      { rank: "2", range: "23.227.38.0 - 23.227.38.127", ipCount: "128", sourceUrl: RANGES_URL },
+      ranges
+    );
+    assert.deepEqual([record.range, record.ipCount], ["23.227.38.0-23.227.38.127", 128]);
+    assert.equal(
+      validateRecord({ rank: "3", range: "10.0.0.0-10.0.0.255", sourceUrl: RANGES_URL }, ranges).reason,
+      QUARANTINE_REASONS.IP_OUT_OF_RANGE
+    );
+
+    const owners = getProfile("ip_owners");
+    assert.equal(validateRecord({ rank: "1", owner: " " }, owners).reason, QUARANTINE_REASONS.MISSING_FIELD);
+    assert.equal(
+      validateRecord({ rank: "1", owner: "Shopify", ipCount: "12a" }, owners).reason,
+      QUARANTINE_REASONS.INVALID_COUNT
+    );
+  });
+});
+
+describe("prepareRecords", () => {
+  it("adds provenance to valid rows and splits off the rejected ones", () => {
+    const { records, quarantined } = prepareRecords(
+      [
+        { rank: "101", domain: "Shop-101.example.com", ipAddress: "23.227.38.101" },
+        { rank: "102", domain: "shop-102.example.com", ipAddress: "23.227.39.1" },
+        { rank: "103", domain: "shop-103.example.com", ipAddress: "23.227.38.103" },
+      ],
+      { sourceUrl: SITES_URL, scrapedAt: "2025-10-18T12:00:00.000Z", chunkId: "shopify/chunk_0001", runId: "run-1" }
+    );
+
+    assert.deepEqual(
+      records.map((record) => [record.uniqueId, record.pageNumber, record.rowPosition, record.chunkId, record.runId]),
+      [
+        ["101-shop-101.example.com", 3, 1, "shopify/chunk_0001", "run-1"],
+        ["103-shop-103.example.com", 3, 3, "shopify/chunk_0001", "run-1"],
+      ]
+    );
+    assert.deepEqual(
+      quarantined.map((result) => [result.record.rank, result.record.rowPosition, result.reason]),
+      [["102", 2, QUARANTINE_REASONS.IP_OUT_OF_RANGE]]
+    );
+  });
+});
+
+describe("quarantine files", () => {
+  it("sit next to their data file in the same format", () => {
+    assert.equal(
+      getQuarantinePath("/data/shopify/data_chunk_0001_2025-10-18T12-00-00-000Z.jsonl"),
+      "/data/shopify/data_chunk_0001_2025-10-18T12-00-00-000Z.quarantine.jsonl"
+    );
+    assert.equal(getQuarantinePath("/data/master_data"), "/data/master_data.quarantine");
+  });
+
+  it("record why a row was rejected", () => {
+    const result = validateRecord({ ...SITE, rank: "n/a" });
+
+    assert.deepEqual(toQuarantineRow(result, "data_chunk_0001.csv"), {
+      ...SITE,
+      rank: "n/a",
+      quarantineReason: QUARANTINE_REASONS.INVALID_RANK,
+      quarantineMessage: 'Rank "n/a" is not a number',
+      sourceFile: "data_chunk_0001.csv",
+    });
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * Integration tests of worker_script.js against the local myip.ms fixture
+ * server. Browser tests are skipped when Chromium cannot be launched.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the human-like delays and timeouts short and collect the log events;
+// the configuration is read once, so set them before any project module is loaded
+const LOG_FILE = path.join(os.tmpdir(), `myipms-worker-${process.pid}.log.jsonl`);
+process.env.SCRAPE_DELAY_SCALE = "0.01";
+process.env.NAVIGATION_TIMEOUT_MS = "2000";
+process.env.LOG_FILE = LOG_FILE;
+const {
+  createFixtureServer,
+  renderSitesPage,
+  DEFAULT_RANGE,
+  ROWS_PER_PAGE,
+} = require("./fixtures/myipms_server");
+
+const {
+  SCRAPE_STATUS,
+  EXIT_CODES,
+  FAILURE_REASONS,
+  setupBrowser,
+  scrapePage,
+  processChunk,
+} = require("../worker_script");
+const { extractTableFromHtml } = require("../lib/table_extractor");
+const { loadLedger } = require("../lib/failure_ledger");
+const { loadRunMetadata } = require("../lib/run_metadata");
+const { readDataFile } = require("../lib/data_files");
+
+const SESSION_COOKIE = "s2_uGoo";
+
+describe("fixture pages", () => {
+  it("parse with the table extractor without a browser", () => {
+    const html = renderSitesPage(3, DEFAULT_RANGE, ROWS_PER_PAGE);
+    const rows = extractTableFromHtml(html, "http://127.0.0.1/browse/sites/3");
+
+    assert.equal(rows.length, ROWS_PER_PAGE);
+    assert.deepEqual(rows[0], {
+      rank: "101",
+      domain: "Shop-101.example.com",
+      domainUrl: "http://127.0.0.1/view/sites/900101/shop-101.example.com",
+      ipAddress: "23.227.38.101",
+      ipAddressUrl: "http://127.0.0.1/info/whois/23.227.38.101",
+      owner: "Shopify, Inc",
+      ownerUrl: "http://127.0.0.1/view/web_hosting/376714/Shopify_Inc.html",
+      location: "Canada",
+      city: "Ottawa",
+      lastUpdate: "18 Oct 2025, 00:17",
+    });
+  });
+});
+
+describe("worker_script.js against the fixture server", () => {
+  const server = createFixtureServer({
+    requireCookie: SESSION_COOKIE,
+    slowDelay: 5000,
+    scenarios: { 2: "login", 3: "verification", 4: "missing_table", 5: "empty", 6: "slow" },
+  });
+  let baseUrl;
+  let cookies;
+  let browser = null;
+  let page = null;
+  let launchError = null;
+  let tmpDir;
+
+  before(async () => {
+    baseUrl = await server.start();
+    cookies = [{ name: SESSION_COOKIE, value: "fixture-session", url: baseUrl }];
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "myipms-worker-"));
+    try {
+      ({ browser, page } = await setupBrowser(cookies));
+    } catch (error) {
+      launchError = error;
+    }
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    fs.rmSync(LOG_FILE, { force: true });
+  });
+
+  /**
+   * Skip a browser test when Chromium is not available
+   * @param {Object} t Test context
+   * @returns {Boolean} True if the test was skipped
+   */
+  const skipWithoutBrowser = (t) => {
+    if (!browser) t.skip(`Chromium not available: ${launchError.message.split("\n")[0]}`);
+    return !browser;
+  };
+
+  it("setupBrowser sets the session cookies and hides webdriver", async (t) => {
+    if (skipWithoutBrowser(t)) return;
+
+    const pageCookies = await page.cookies(baseUrl);
+    assert.ok(pageCookies.some((cookie) => cookie.name === SESSION_COOKIE));
+
+    await page.goto(server.pageUrl(1));
+    assert.equal(await page.evaluate(() => navigator.webdriver), undefined);
+  });
+
+  it("scrapes a sites page into validated records", async (t) => {
+    if (skipWithoutBrowser(t)) return;
+
+    const outcome = await scrapePage(page, server.pageUrl(1));
+
+    assert.equal(outcome.status, SCRAPE_STATUS.OK);
+    assert.equal(outcome.records.length, ROWS_PER_PAGE);
+    assert.equal(outcome.quarantined.length, 0);
+    const [first] = outcome.records;
+    assert.equal(first.rank, 1);
+    assert.equal(first.domain, "shop-1.example.com");
+    assert.equal(first.ipAddress, "23.227.38.1");
+    assert.equal(first.lastUpdate, "2025-10-02T00:17:00");
+    assert.equal(first.sourceUrl, server.pageUrl(1));
+    assert.equal(first.uniqueId, "1-shop-1.example.com");
+    assert.equal(first.pageNumber, 1);
+    assert.deepEqual(
+      outcome.records.slice(0, 3).map((record) => record.rowPosition),
+      [1, 2, 3]
+    );
+  });
+
+  it("reports a login redirect as an expired session", async (t) => {
+    if (skipWithoutBrowser(t)) return;
+
+    const outcome = await scrapePage(page, server.pageUrl(2));
+
+    assert.equal(outcome.status, SCRAPE_STATUS.SESSION_EXPIRED);
+    assert.equal(outcome.reason, FAILURE_REASONS.LOGIN_REDIRECT);
+  });
+
+  it("reports a verification page as a CAPTCHA", async (t) => {
+    if (skipWithoutBrowser(t)) return;
+
+    const outcome = await scrapePage(page, server.pageUrl(3));
+
+    assert.equal(outcome.status, SCRAPE_STATUS.CAPTCHA);
+    assert.equal(outcome.reason, FAILURE_REASONS.CAPTCHA);
+  });
+
+  it("reports a page without the table as a layout change", async (t) => {
+    if (skipWithoutBrowser(t)) return;
+
+    const outcome = await scrapePage(page, server.pageUrl(4));
+
+    assert.equal(outcome.status, SCRAPE_STATUS.LAYOUT_CHANGED);
+    assert.equal(outcome.reason, FAILURE_REASONS.MISSING_TABLE);
+  });
+
+  it("reports a table without rows as empty", async (t) => {
+    if (skipWithoutBrowser(t)) return;
+
+    const outcome = await scrapePage(page, server.pageUrl(5));
+
+    assert.equal(outcome.status, SCRAPE_STATUS.EMPTY);
+    assert.equal(outcome.reason, FAILURE_REASONS.EMPTY_TABLE);
+  });
+
+  it("reports a slow page as a navigation timeout", async (t) => {
+    if (skipWithoutBrowser(t)) return;
+
+    const outcome = await scrapePage(page, server.pageUrl(6));
+
+    assert.equal(outcome.status, SCRAPE_STATUS.NETWORK_ERROR);
+    assert.equal(outcome.reason, FAILURE_REASONS.NAVIGATION_TIMEOUT);
+  });
+
+  it("processChunk saves rows, records failures and resumes", async (t) => {
+    if (skipWithoutBrowser(t)) return;
+
+    const outputDir = path.join(tmpDir, "resume");
+    const urls = [server.pageUrl(10), server.pageUrl(4), server.pageUrl(11)];
+    const options = {
+      target: { name: "fixture" },
+      chunkNumber: "0001",
+      urls,
+      cookies,
+      outputDir,
+    };
+
+    const first = await processChunk(options);
+
+    assert.equal(first.exitCode, EXIT_CODES.PAGE_FAILURES);
+    assert.equal((await readDataFile(first.outputFile)).length, 2 * ROWS_PER_PAGE);
+    assert.deepEqual(
+      loadLedger(first.ledgerPath).failures.map((entry) => entry.url),
+      [server.pageUrl(4)]
+    );
+    assert.ok(fs.existsSync(first.checkpointPath));
+
+    // Only the failed page is fetched again, into the same data file
+    server.setScenario(4, "sites");
+    const requestsBefore = server.requests.length;
+    const second = await processChunk(options);
+
+    assert.equal(second.exitCode, EXIT_CODES.OK);
+    assert.equal(second.outputFile, first.outputFile);
+    assert.deepEqual(
+      server.requests.slice(requestsBefore).filter((request) => request.startsWith("/browse/")),
+      [new URL(server.pageUrl(4)).pathname]
+    );
+    assert.equal((await readDataFile(second.outputFile)).length, 3 * ROWS_PER_PAGE);
+    assert.equal(loadLedger(second.ledgerPath), null);
+    assert.ok(!fs.existsSync(second.checkpointPath));
+
+    // Both runs are kept in the sidecar, each with its own pages
+    const { runs } = loadRunMetadata(second.runMetadataPath);
+    assert.deepEqual(
+      runs.map((run) => [run.status, run.exitCode, run.skippedCount, run.pages.length]),
+      [
+        ["completed", EXIT_CODES.PAGE_FAILURES, 0, 3],
+        ["completed", EXIT_CODES.OK, 2, 1],
+      ]
+    );
+    assert.deepEqual(
+      runs[0].pages.map((entry) => [entry.page, entry.status, entry.records]),
+      [
+        [10, SCRAPE_STATUS.OK, ROWS_PER_PAGE],
+        [4, SCRAPE_STATUS.LAYOUT_CHANGED, 0],
+        [11, SCRAPE_STATUS.OK, ROWS_PER_PAGE],
+      ]
+    );
+
+    // Every row points back at its chunk, run, page and position
+    const rows = await readDataFile(second.outputFile);
+    assert.deepEqual(
+      [rows[0].Chunk_ID, rows[0].Run_ID, rows[0].Page, rows[0].Row],
+      ["fixture/chunk_0001", runs[0].runId, "10", "1"]
+    );
+    assert.equal(rows[rows.length - 1].Run_ID, runs[1].runId);
+    server.setScenario(4, "missing_table");
+  });
+
+  it("processChunk stops at an expired session", async (t) => {
+    if (skipWithoutBrowser(t)) return;
+
+    const outputDir = path.join(tmpDir, "abort");
+    const urls = [server.pageUrl(20), server.pageUrl(2), server.pageUrl(21)];
+    const requestsBefore = server.requests.length;
+
+    const result = await processChunk({
+      target: { name: "fixture" },
+      chunkNumber: "0002",
+      urls,
+      cookies,
+      outputDir,
+      format: "jsonl",
+    });
+
+    assert.equal(result.exitCode, EXIT_CODES.SESSION_EXPIRED);
+    assert.equal(path.extname(result.outputFile), ".jsonl");
+    assert.equal(result.successCount, 1);
+    assert.ok(
+      !server.requests.slice(requestsBefore).includes(new URL(server.pageUrl(21)).pathname)
+    );
+
+    // Each page and the chunk totals are logged as events of the run
+    const events = fs
+      .readFileSync(LOG_FILE, "utf-8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line))
+      .filter((event) => event.chunk === "chunk_0002" && event.runId);
+    assert.deepEqual(
+      events
+        .filter((event) => ["page.ok", "page.failed"].includes(event.event))
+        .map((event) => [event.event, event.page, event.status, event.reason]),
+      [
+        ["page.ok", 20, SCRAPE_STATUS.OK, undefined],
+        ["page.failed", 2, SCRAPE_STATUS.SESSION_EXPIRED, FAILURE_REASONS.LOGIN_REDIRECT],
+      ]
+    );
+    const summary = events.find((event) => event.event === "chunk.summary");
+    assert.equal(summary.target, "fixture");
+    assert.equal(summary.exitCode, EXIT_CODES.SESSION_EXPIRED);
+    assert.deepEqual([summary.succeeded, summary.failed, summary.records], [1, 1, ROWS_PER_PAGE]);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit tests of lib/writers.js: format names, appending to CSV and JSON
+ * Lines files and replacing a whole file in every format.
+ *
+ * Run with `npm test`.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  OUTPUT_FORMATS,
+  DEFAULT_FORMAT,
+  resolveFormat,
+  createWriter,
+  writeDataFile,
+} = require("../lib/writers");
+
+const FIELDS = [
+  { id: "rank", title: "Rank" },
+  { id: "domain", title: "Domain" },
+  { id: "note", title: "Note" },
+];
+
+describe("resolveFormat", () => {
+  it("defaults to csv and ignores case", () => {
+    assert.equal(resolveFormat(), DEFAULT_FORMAT);
+    assert.equal(resolveFormat("JSONL"), "jsonl");
+  });
+
+  it("rejects unknown formats", () => {
+    assert.throws(() => resolveFormat("xml"), /Unknown output format "xml"/);
+  });
+});
+
+describe("createWriter", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "myipms-writers-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("writes the CSV header once and appends rows", async () => {
+    const file = path.join(tmpDir, `append${OUTPUT_FORMATS.csv}`);
+    await createWriter("csv", file, FIELDS).write([{ rank: 1, domain: "a.example.com", note: "x, y" }]);
+    await createWriter("csv", file, FIELDS).write([{ rank: 2, domain: "b.example.com" }]);
+
+    assert.equal(
+      fs.readFileSync(file, "utf-8"),
+      'Rank,Domain,Note\n1,a.example.com,"x, y"\n2,b.example.com,\n'
+    );
+  });
+
+  it("writes JSON Lines keyed by the column titles in field order", async () => {
+    const file = path.join(tmpDir, `append${OUTPUT_FORMATS.jsonl}`);
+    await createWriter("jsonl", file, FIELDS).write([{ domain: "a.example.com", rank: 1, extra: true }]);
+    await createWriter("jsonl", file, FIELDS).write([{ rank: 2, domain: "b.example.com" }]);
+
+    assert.deepEqual(
+      fs.readFileSync(file, "utf-8").trim().split("\n"),
+      ['{"Rank":1,"Domain":"a.example.com","Note":""}', '{"Rank":2,"Domain":"b.example.com","Note":""}']
+    );
+  });
+
+  it("refuses to append to a JSON array", () => {
+    assert.throws(
+      () => createWriter("json", path.join(tmpDir, `append${OUTPUT_FORMATS.json}`), FIELDS),
+      /json files cannot be appended to/
+    );
+  });
+
+  it("creates no file for an empty write", async () => {
+    const file = path.join(tmpDir, `empty${OUTPUT_FORMATS.jsonl}`);
+    const writer = createWriter("jsonl", file, FIELDS);
+
+    await writer.write([]);
+
+    assert.deepEqual([writer.path, writer.format, fs.existsSync(file)], [file, "jsonl", false]);
+  });
+});
+
+describe("writeDataFile", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "myipms-writers-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("replaces the previous file, in batches", async () => {
+    const file = path.join(tmpDir, `master${OUTPUT_FORMATS.jsonl}`);
+    await writeDataFile("jsonl", file, [{ rank: 1, domain: "old.example.com" }], FIELDS);
+
+    const records = Array.from({ length: 5001 }, (_, index) => ({ rank: index + 1 }));
+    assert.equal(await writeDataFile("jsonl", file, records, FIELDS), 5001);
+
+    const lines = fs.readFileSync(file, "utf-8").trim().split("\n");
+    assert.equal(lines.length, 5001);
+    assert.deepEqual(JSON.parse(lines[5000]), { Rank: 5001, Domain: "", Note: "" });
+  });
+
+  it("writes a JSON array in one pass and leaves no temporary file", async () => {
+    const file = path.join(tmpDir, `master${OUTPUT_FORMATS.json}`);
+    const records = [{ rank: 1, domain: "a.example.com" }, { rank: 2, domain: "b.example.com" }];
+
+    assert.equal(await writeDataFile("json", file, records, FIELDS), 2);
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf-8")), [
+      { Rank: 1, Domain: "a.example.com", Note: "" },
+      { Rank: 2, Domain: "b.example.com", Note: "" },
+    ]);
+    assert.deepEqual(fs.readdirSync(tmpDir).filter((name) => name.endsWith(".tmp")), []);
+  });
+
+  it("removes the previous file when there are no records", async () => {
+    const file = path.join(tmpDir, `empty${OUTPUT_FORMATS.json}`);
+    await writeDataFile("json", file, [{ rank: 1 }], FIELDS);
+
+    assert.equal(await writeDataFile("json", file, [], FIELDS), 0);
+    assert.equal(fs.existsSync(file), false);
+  });
+});
@@ -1,34 +1,92 @@
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('./lib/cli_args');
+const { getConfig } = require('./lib/config');
+const { loadTargets, buildPageUrl, normalizeUrl, parsePageUrl, getChunkDir } = require('./lib/targets');
+const { discoverPageCounts } = require('./lib/page_discovery');
+const { findLedgers, loadLedger } = require('./lib/failure_ledger');
+const { DATA_DIR, getDataFiles, getFileTimestamp, streamDataFile } = require('./lib/data_files');
+const { resolveHeaders, normalizeRecord } = require('./lib/schema');
+const { getProfile } = require('./lib/table_profiles');
+const { createLogger } = require('./lib/logger');
 
-// Configuration
-const BASE_URL = 'https://myip.ms/browse/sites/{page}/rankii/15000000/ipID/23.227.38.0/ipIDii/23.227.38.255';
-const TOTAL_PAGES = 15000; // Adjust based on actual number of pages
-const CHUNK_SIZE = 50; // Maximum pages per IP per day
-const OUTPUT_DIR = path.join(__dirname, 'chunks');
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-// Ensure output directory exists
-if (!fs.existsSync(OUTPUT_DIR)) {
-  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-}
+const log = createLogger();
 
 /**
- * Generate a list of all URLs to scrape
+ * Generate a list of all URLs to scrape for a target
+ * @param {Object} target Target specification
  * @returns {Array} Array of URL strings
  */
-function generateUrlList() {
-  console.log(`Generating URL list for ${TOTAL_PAGES} pages...`);
+function generateUrlList(target) {
   const urls = [];
-  
-  for (let page = 1; page <= TOTAL_PAGES; page++) {
-    const url = BASE_URL.replace('{page}', page);
-    urls.push(url);
+
+  for (let page = 1; page <= target.totalPages; page++) {
+    urls.push(buildPageUrl(target, page));
   }
-  
-  console.log(`Generated ${urls.length} URLs.`);
+
+  log.info('generate.urls', `Generated ${urls.length} URLs for target "${target.name}"`, {
+    target: target.name,
+    urls: urls.length
+  });
   return urls;
 }
 
+/**
+ * Apply discovered page counts to the targets, falling back to the
+ * configured totalPages when discovery failed
+ * @param {Array} targets Array of target specifications
+ * @param {Map} discovered Map of target name to discovery result or Error
+ * @returns {Array} Targets with totalPages and pageCount details set
+ */
+function applyPageCounts(targets, discovered) {
+  return targets.map(target => {
+    const result = discovered.get(target.name);
+
+    if (!result) {
+      return { ...target, pageCount: { source: 'configured' } };
+    }
+
+    if (result instanceof Error) {
+      log.warn(
+        'generate.discovery_failed',
+        `⚠️ Page count discovery failed for "${target.name}" (${result.message}). ` +
+        `Falling back to configured totalPages (${target.totalPages}).`,
+        { target: target.name, error: result.message, totalPages: target.totalPages }
+      );
+      return {
+        ...target,
+        pageCount: { source: 'configured', discoveryError: result.message }
+      };
+    }
+
+    log.info(
+      'generate.discovered',
+      `Discovered ${result.totalPages} pages for "${target.name}" ` +
+      `(configured: ${target.totalPages}, via ${result.method})`,
+      {
+        target: target.name,
+        totalPages: result.totalPages,
+        configuredTotalPages: target.totalPages,
+        method: result.method
+      }
+    );
+    return {
+      ...target,
+      totalPages: result.totalPages,
+      pageCount: {
+        source: 'discovered',
+        method: result.method,
+        totalRecords: result.totalRecords,
+        rowsPerPage: result.rowsPerPage,
+        configuredTotalPages: target.totalPages,
+        discoveredAt: new Date().toISOString()
+      }
+    };
+  });
+}
+
 /**
  * Split URLs into chunks of specified size
  * @param {Array} urls List of URLs to chunk
@@ -36,70 +94,339 @@ function generateUrlList() {
  * @returns {Array} Array of URL chunks
  */
 function chunkUrls(urls, chunkSize) {
-  console.log(`Splitting ${urls.length} URLs into chunks of ${chunkSize}...`);
   const chunks = [];
-  
+
   for (let i = 0; i < urls.length; i += chunkSize) {
     chunks.push(urls.slice(i, i + chunkSize));
   }
-  
-  console.log(`Created ${chunks.length} chunks.`);
+
+  log.debug('generate.chunks', `Split ${urls.length} URLs into ${chunks.length} chunks of ${chunkSize}`, {
+    urls: urls.length,
+    chunks: chunks.length,
+    chunkSize
+  });
   return chunks;
 }
 
 /**
- * Save URL chunks to files
+ * Collect the failed URLs of a target from the worker failure ledgers,
+ * leaving out pages that have been scraped successfully since
+ * @param {Object} target Target specification
+ * @returns {Promise<Object>} { urls, reasons, ledgers }
+ */
+async function collectFailedUrls(target) {
+  const targetDataDir = path.join(DATA_DIR, target.name);
+  const ledgers = findLedgers(targetDataDir);
+  log.info('generate.ledgers', `Found ${ledgers.length} failure ledgers for target "${target.name}"`, {
+    target: target.name,
+    ledgers: ledgers.length
+  });
+
+  const failures = new Map();
+  ledgers.forEach(ledgerPath => {
+    loadLedger(ledgerPath).failures.forEach(entry => failures.set(entry.url, entry));
+  });
+
+  // Pages that another run has saved rows for no longer need a retry
+  const scraped = new Set();
+  for (const file of await getDataFiles(targetDataDir)) {
+    await streamDataFile(file, record => scraped.add(normalizeUrl(record.Source_URL)));
+  }
+
+  const reasons = {};
+  const urls = Array.from(failures.values())
+    .filter(entry => !scraped.has(normalizeUrl(entry.url)))
+    .map(entry => {
+      reasons[entry.reason] = (reasons[entry.reason] || 0) + 1;
+      return entry.url;
+    })
+    .sort((a, b) => (parsePageUrl(a)?.page || 0) - (parsePageUrl(b)?.page || 0));
+
+  log.info('generate.retry_urls', `Collected ${urls.length} URLs to retry (${failures.size - urls.length} already scraped since).`, {
+    target: target.name,
+    urls: urls.length,
+    scrapedSince: failures.size - urls.length
+  });
+  return { urls, reasons, ledgers: ledgers.map(file => path.relative(__dirname, file)) };
+}
+
+/**
+ * Read when each page of a target was last scraped successfully, from the
+ * Source_URL and Scraped_At (else the filename timestamp) of the rows under
+ * data/<target>/. Rows from another table or IP range than the target's
+ * current one do not count.
+ * @param {Object} target Target specification
+ * @returns {Promise<Map>} Page number to { lastScrapedAt, rows, bestRank }
+ */
+async function collectPageHistory(target) {
+  const profile = getProfile(target.table);
+  const history = new Map();
+  const files = await getDataFiles(path.join(DATA_DIR, target.name));
+
+  for (const file of files) {
+    const fileScrapedAt = getFileTimestamp(file);
+    let columns = new Map();
+
+    await streamDataFile(
+      file,
+      raw => {
+        const record = normalizeRecord(raw, columns, profile);
+        const source = record && parsePageUrl(normalizeUrl(record.sourceUrl));
+        if (!source || source.table !== target.table) return;
+        if (target.ipRange && (!source.ipRange || source.ipRange.from !== target.from || source.ipRange.to !== target.to)) {
+          return;
+        }
+
+        const scrapedAt = record.scrapedAt || fileScrapedAt;
+        const rank = parseInt(String(record.rank).replace(/,/g, ''), 10);
+        const entry = history.get(source.page) || { lastScrapedAt: '', rows: 0, bestRank: null };
+        if (scrapedAt > entry.lastScrapedAt) entry.lastScrapedAt = scrapedAt;
+        if (Number.isInteger(rank) && (entry.bestRank === null || rank < entry.bestRank)) entry.bestRank = rank;
+        entry.rows++;
+        history.set(source.page, entry);
+      },
+      headers => {
+        ({ columns } = resolveHeaders(headers, profile));
+      }
+    );
+  }
+
+  log.info('generate.history', `Read ${files.length} data files of target "${target.name}": ${history.size} pages scraped before`, {
+    target: target.name,
+    files: files.length,
+    pages: history.size
+  });
+  return history;
+}
+
+/**
+ * Choose the pages of a target to scrape again: pages never scraped and
+ * pages last scraped more than maxAgeDays ago. The table is ordered by rank,
+ * so pages are planned in page order, top-ranked first.
+ * @param {Object} target Target specification
+ * @param {Map} history Page history from collectPageHistory
+ * @param {Number} maxAgeDays Age in days at which a page is stale
+ * @param {Date} [now] Current time
+ * @returns {Object} { pages, fresh } with one { page, url, reason,
+ *   lastScrapedAt, ageDays, bestRank } per planned page
+ */
+function planRefresh(target, history, maxAgeDays, now = new Date()) {
+  const pages = [];
+  let fresh = 0;
+
+  for (let page = 1; page <= target.totalPages; page++) {
+    const entry = history.get(page);
+    const scrapedAt = entry ? Date.parse(entry.lastScrapedAt) : NaN;
+    const ageDays = Number.isNaN(scrapedAt) ? null : Math.floor(((now - scrapedAt) / DAY_MS) * 10) / 10;
+
+    if (ageDays !== null && ageDays < maxAgeDays) {
+      fresh++;
+      continue;
+    }
+
+    pages.push({
+      page,
+      url: buildPageUrl(target, page),
+      reason: ageDays === null ? 'never_scraped' : 'stale',
+      lastScrapedAt: entry ? entry.lastScrapedAt || null : null,
+      ageDays,
+      bestRank: entry ? entry.bestRank : null
+    });
+  }
+
+  return { pages, fresh };
+}
+
+/**
+ * Save URL chunks of a target to its own chunk directory
+ * @param {Object} target Target specification
  * @param {Array} chunks Array of URL chunks
+ * @param {String} [chunkSet] Chunk set inside the target (e.g., "retry")
+ * @param {Object} [details] Extra manifest fields
+ * @returns {String} Directory the chunks were written to
  */
-function saveChunks(chunks) {
-  console.log(`Saving ${chunks.length} chunks to files...`);
-  
+function saveChunks(target, chunks, chunkSet = null, details = {}) {
+  const outputDir = getChunkDir(target, chunkSet);
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
   // Clear existing chunk files
-  fs.readdirSync(OUTPUT_DIR)
+  fs.readdirSync(outputDir)
     .filter(file => file.startsWith('chunk_') && file.endsWith('.txt'))
-    .forEach(file => fs.unlinkSync(path.join(OUTPUT_DIR, file)));
-  
+    .forEach(file => fs.unlinkSync(path.join(outputDir, file)));
+
   // Save new chunks
   chunks.forEach((chunk, index) => {
     const chunkNum = index + 1;
-    const filename = path.join(OUTPUT_DIR, `chunk_${chunkNum.toString().padStart(4, '0')}.txt`);
+    const filename = path.join(outputDir, `chunk_${chunkNum.toString().padStart(4, '0')}.txt`);
     fs.writeFileSync(filename, chunk.join('\n'));
   });
-  
+
   // Create a manifest file with chunk information
   const manifest = {
-    totalPages: TOTAL_PAGES,
-    chunkSize: CHUNK_SIZE,
+    target: target.name,
+    chunkSet: chunkSet || 'main',
+    table: target.table,
+    ipRange: target.ipRange ? { from: target.from, to: target.to } : null,
+    rankLimit: target.rankLimit,
+    totalPages: target.totalPages,
+    pageCount: target.pageCount,
+    chunkSize: target.chunkSize,
     totalChunks: chunks.length,
+    ...details,
     generatedAt: new Date().toISOString()
   };
-  
+
   fs.writeFileSync(
-    path.join(OUTPUT_DIR, 'manifest.json'),
+    path.join(outputDir, 'manifest.json'),
     JSON.stringify(manifest, null, 2)
   );
-  
-  console.log(`Saved ${chunks.length} chunk files to ${OUTPUT_DIR}`);
-  console.log(`Manifest saved to ${path.join(OUTPUT_DIR, 'manifest.json')}`);
+
+  log.info('generate.saved', `Saved ${chunks.length} chunk files and manifest.json to ${outputDir}`, {
+    target: target.name,
+    chunkSet: manifest.chunkSet,
+    chunks: chunks.length,
+    outputDir
+  });
+  return outputDir;
 }
 
 /**
  * Main function
+ * @param {Array} [args] Command line arguments, defaults to process.argv
  */
-function main() {
+async function main(args = process.argv.slice(2)) {
   try {
-    const urls = generateUrlList();
-    const chunks = chunkUrls(urls, CHUNK_SIZE);
-    saveChunks(chunks);
-    
-    console.log('URL generation and chunking completed successfully!');
-    console.log(`Total URLs: ${urls.length}`);
-    console.log(`Total chunks: ${chunks.length}`);
-    console.log(`Chunk size: ${CHUNK_SIZE}`);
-    console.log(`Output directory: ${OUTPUT_DIR}`);
+    // Optional target names on the command line restrict generation;
+    // --no-discover skips loading the first page and uses totalPages as configured;
+    // --retry builds retry chunks from the worker failure ledgers instead;
+    // --refresh builds refresh chunks of the pages not scraped within
+    // --max-age days (default: the refreshAfterDays setting)
+    const { positional: requested, flags } = parseArgs(args, ['max-age']);
+    const retry = Boolean(flags.retry);
+    const refresh = Boolean(flags.refresh);
+    const discover = !retry && !flags['no-discover'];
+    const maxAgeDays = flags['max-age'] === undefined ? getConfig().refreshAfterDays : Number(flags['max-age']);
+    if (!(maxAgeDays > 0)) {
+      throw new Error('--max-age needs a positive number of days');
+    }
+    const configured = loadTargets().filter(
+      target => requested.length === 0 || requested.includes(target.name)
+    );
+
+    const unknown = requested.filter(name => !configured.some(target => target.name === name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown target(s): ${unknown.join(', ')}`);
+    }
+
+    if (retry) {
+      for (const target of configured) {
+        const { urls, reasons, ledgers } = await collectFailedUrls(target);
+        const chunks = chunkUrls(urls, target.chunkSize);
+        const outputDir = saveChunks(target, chunks, 'retry', {
+          totalPages: urls.length,
+          failureReasons: reasons,
+          sourceLedgers: ledgers
+        });
+
+        log.info(
+          'generate.summary',
+          [
+            `Retry chunk generation completed for target "${target.name}"!`,
+            `Total URLs: ${urls.length}`,
+            `Total chunks: ${chunks.length}`,
+            `Output directory: ${outputDir}`
+          ].join('\n'),
+          { target: target.name, chunkSet: 'retry', urls: urls.length, chunks: chunks.length, outputDir }
+        );
+      }
+      return;
+    }
+
+    const discovered = discover ? await discoverPageCounts(configured) : new Map();
+    const targets = applyPageCounts(configured, discovered);
+
+    if (refresh) {
+      for (const target of targets) {
+        const history = await collectPageHistory(target);
+        const { pages, fresh } = planRefresh(target, history, maxAgeDays);
+        const chunks = chunkUrls(pages.map(entry => entry.url), target.chunkSize);
+
+        const reasons = {};
+        pages.forEach(entry => {
+          reasons[entry.reason] = (reasons[entry.reason] || 0) + 1;
+        });
+        const outputDir = saveChunks(target, chunks, 'refresh', {
+          totalPages: pages.length,
+          targetTotalPages: target.totalPages,
+          maxAgeDays,
+          freshPages: fresh,
+          refreshReasons: reasons,
+          pages: pages.map((entry, index) => ({
+            chunk: Math.floor(index / target.chunkSize) + 1,
+            ...entry
+          }))
+        });
+
+        log.info(
+          'generate.summary',
+          [
+            `Refresh chunk generation completed for target "${target.name}"!`,
+            `Pages scraped within ${maxAgeDays} days: ${fresh} of ${target.totalPages}`,
+            `Stale pages: ${reasons.stale || 0}`,
+            `Never scraped: ${reasons.never_scraped || 0}`,
+            `Total chunks: ${chunks.length}`,
+            `Output directory: ${outputDir}`
+          ].join('\n'),
+          {
+            target: target.name,
+            chunkSet: 'refresh',
+            maxAgeDays,
+            freshPages: fresh,
+            stalePages: reasons.stale || 0,
+            neverScraped: reasons.never_scraped || 0,
+            chunks: chunks.length,
+            outputDir
+          }
+        );
+      }
+      return;
+    }
+
+    targets.forEach(target => {
+      const urls = generateUrlList(target);
+      const chunks = chunkUrls(urls, target.chunkSize);
+      const outputDir = saveChunks(target, chunks);
+
+      log.info(
+        'generate.summary',
+        [
+          `URL generation and chunking completed for target "${target.name}"!`,
+          `Total URLs: ${urls.length}`,
+          `Total chunks: ${chunks.length}`,
+          `Chunk size: ${target.chunkSize}`,
+          `Output directory: ${outputDir}`
+        ].join('\n'),
+        {
+          target: target.name,
+          chunkSet: 'main',
+          urls: urls.length,
+          chunks: chunks.length,
+          chunkSize: target.chunkSize,
+          outputDir
+        }
+      );
+    });
   } catch (error) {
-    console.error('An error occurred:', error);
+    log.error('generate.fatal', `An error occurred: ${error.stack || error}`, { error: error.message });
+    process.exitCode = 1;
   }
 }
 
-main();
\ No newline at end of file
+module.exports = { collectPageHistory, planRefresh, main };
+
+if (require.main === module) {
+  main();
+}
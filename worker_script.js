@@ -1,67 +1,110 @@
-const puppeteer = require("puppeteer");
 const fs = require("fs");
 const path = require("path");
-const { createObjectCsvWriter } = require("csv-writer");
+const { parseArgs } = require("./lib/cli_args");
+const { getConfig } = require("./lib/config");
+const { OUTPUT_FORMATS, APPEND_FORMATS, resolveFormat, createWriter } = require("./lib/writers");
+const { extractTable } = require("./lib/table_extractor");
+const { getProfile } = require("./lib/table_profiles");
+const { getTarget, getChunkDir, parsePageUrl } = require("./lib/targets");
+const {
+  getCheckpointPath,
+  loadCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint,
+} = require("./lib/chunk_checkpoint");
+const {
+  FAILURE_REASONS,
+  getLedgerPath,
+  loadLedger,
+  saveLedger,
+  recordFailure,
+  resolveFailure,
+} = require("./lib/failure_ledger");
+const {
+  SCRAPE_STATUS,
+  ABORT_STATUSES,
+  EXIT_CODES,
+  createOutcome,
+} = require("./lib/scrape_outcome");
+const {
+  getQuarantineFields,
+  prepareRecords,
+  getQuarantinePath,
+  toQuarantineRow,
+} = require("./lib/validation");
+const { getArchiveDir, archivePage } = require("./lib/html_archive");
+const {
+  getRunMetadataPath,
+  createRun,
+  recordPage,
+  finishRun,
+  saveRunMetadata,
+} = require("./lib/run_metadata");
+const { detectSessionProblem } = require("./lib/session");
+const { loadCookiesFromEnv, setupBrowser } = require("./lib/browser");
+const { createLogger } = require("./lib/logger");
+
+// Configuration (see lib/config.js)
+const OUTPUT_DIR = getConfig().dataDir;
+const NAVIGATION_TIMEOUT = getConfig().navigationTimeout;
+const DELAY_SCALE = getConfig().delayScale;
+
+// Random delays in milliseconds as [min, max]
+const DELAYS = getConfig().delays;
+
+const log = createLogger();
 
-// Configuration
-const COOKIES_ENV_VAR = "SESSION_DATA"; // GitHub Secret name
-const OUTPUT_DIR = path.join(__dirname, "data");
-
-// Ensure output directory exists
-if (!fs.existsSync(OUTPUT_DIR)) {
-  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+/**
+ * Fields identifying a page in log events
+ * @param {String} url Page URL
+ * @returns {Object} { url, page } with the page number, if the URL has one
+ */
+function pageFields(url) {
+  const parsed = parsePageUrl(url);
+  return { url, page: parsed ? parsed.page : null };
 }
 
 /**
- * Get random delay between requests (3-8 seconds)
+ * Wait for a delay, logged as a page.delay event
+ * @param {Number} delayMs Delay in milliseconds
+ * @param {String} kind Name of the DELAYS range
+ * @param {Object} logger Logger of the page
+ * @param {String} level Log level of the event
+ * @param {String} message Pretty message
  */
-function getRandomDelay() {
-  return Math.floor(Math.random() * (8000 - 3000 + 1)) + 3000;
+async function wait(delayMs, kind, logger, level, message) {
+  logger[level]("page.delay", message, { delay: kind, delayMs });
+  await new Promise((resolve) => setTimeout(resolve, delayMs));
 }
 
 /**
- * Get random user agent
+ * Get a random delay from a DELAYS range, scaled by the delayScale setting
+ * (e.g. 0.01 against the local fixture server)
+ * @param {Array} range [min, max] in milliseconds
+ * @returns {Number} Delay in milliseconds (at least 1)
  */
-function getRandomUserAgent() {
-  const userAgents = [
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36",
-    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0",
-    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15",
-  ];
-  return userAgents[Math.floor(Math.random() * userAgents.length)];
+function randomDelay([min, max]) {
+  const delay = (min + Math.random() * (max - min)) * DELAY_SCALE;
+  return Math.max(1, Math.floor(delay));
 }
 
 /**
- * Load cookies from base64 encoded environment variable
- * @returns {Array} Array of cookie objects
+ * Get random delay between requests (3-8 seconds)
  */
-function loadCookiesFromEnv() {
-  const base64Cookies = process.env[COOKIES_ENV_VAR];
-  if (!base64Cookies) {
-    throw new Error(`${COOKIES_ENV_VAR} environment variable not found`);
-  }
-
-  try {
-    const cookiesString = Buffer.from(base64Cookies, "base64").toString(
-      "utf-8"
-    );
-    return JSON.parse(cookiesString);
-  } catch (error) {
-    throw new Error(`Failed to parse cookies: ${error.message}`);
-  }
+function getRandomDelay() {
+  return randomDelay(DELAYS.betweenPages);
 }
 
 /**
  * Load URLs from chunk file
  * @param {String} chunkNumber Chunk number (e.g., "1", "2", etc.)
+ * @param {Object} target Target whose chunk set to read
+ * @param {String} [chunkSet] Chunk set inside the target (e.g., "retry")
  * @returns {Array} Array of URLs
  */
-function loadUrlsFromChunk(chunkNumber) {
+function loadUrlsFromChunk(chunkNumber, target, chunkSet) {
   const chunkFilePath = path.join(
-    __dirname,
-    "chunks",
+    getChunkDir(target, chunkSet),
     `chunk_${chunkNumber}.txt`
   );
 
@@ -80,100 +123,47 @@ function loadUrlsFromChunk(chunkNumber) {
 }
 
 /**
- * Setup browser with authentication cookies and stealth options
- * @param {Array} cookies Array of cookie objects
- * @returns {Object} Browser and page objects
+ * Save the HTML of the current page to the archive, without failing the
+ * scrape if that goes wrong
+ * @param {Object} page Puppeteer page object
+ * @param {String} archiveDir Archive directory
+ * @param {Object} logger Logger of the page
  */
-async function setupBrowser(cookies) {
-  console.log("🚀 Launching stealth browser...");
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-accelerated-2d-canvas",
-      "--no-first-run",
-      "--no-zygote",
-      "--disable-gpu",
-      "--disable-blink-features=AutomationControlled",
-      "--disable-features=VizDisplayCompositor",
-      "--disable-background-timer-throttling",
-      "--disable-backgrounding-occluded-windows",
-      "--disable-renderer-backgrounding",
-    ],
-  });
-
-  const page = await browser.newPage();
-
-  // Set random user agent
-  const userAgent = getRandomUserAgent();
-  await page.setUserAgent(userAgent);
-  console.log(`🤖 Using User Agent: ${userAgent.substring(0, 50)}...`);
-
-  // Set viewport to look more human
-  await page.setViewport({
-    width: 1920,
-    height: 1080,
-    deviceScaleFactor: 1,
-    hasTouch: false,
-    isLandscape: true,
-    isMobile: false,
-  });
-
-  // Stealth evasions
-  await page.evaluateOnNewDocument(() => {
-    // Override webdriver property
-    Object.defineProperty(navigator, "webdriver", {
-      get: () => undefined,
-    });
-
-    // Override languages
-    Object.defineProperty(navigator, "languages", {
-      get: () => ["en-US", "en"],
-    });
-
-    // Override plugins
-    Object.defineProperty(navigator, "plugins", {
-      get: () => [1, 2, 3, 4, 5],
-    });
-
-    // Override permissions
-    Object.defineProperty(navigator, "permissions", {
-      get: () => ({
-        query: () => Promise.resolve({ state: "denied" }),
-      }),
+async function archiveCurrentPage(page, archiveDir, logger) {
+  try {
+    const file = archivePage(archiveDir, page.url(), await page.content());
+    logger.info("page.archived", `🗄️ HTML archived to ${file}`, { file });
+  } catch (error) {
+    logger.warn("page.archive_failed", `⚠️ Could not archive page HTML: ${error.message}`, {
+      error: error.message,
     });
-  });
-
-  // Set cookies for authentication
-  if (cookies && cookies.length > 0) {
-    await page.setCookie(...cookies);
-    console.log(`🔑 Set ${cookies.length} authentication cookies`);
-  } else {
-    console.log("⚠️ No cookies found for authentication");
   }
-
-  return { browser, page };
 }
 
 /**
  * Human-like scraping with random behaviors
  * @param {Object} page Puppeteer page object
  * @param {String} url URL to scrape
- * @returns {Array} Array of scraped data objects
+ * @param {Object} [options] { archiveDir } to save the raw HTML of the page,
+ *   { profile } for a table other than sites, { chunkId, runId } for the
+ *   provenance of the rows, { log } for a logger with the chunk context
+ * @returns {Object} Outcome { status, records, quarantined, reason, message }
+ *   with a SCRAPE_STATUS status and, for failures, a FAILURE_REASONS reason
  */
-async function scrapePage(page, url) {
-  console.log(`📄 Scraping: ${url}`);
+async function scrapePage(page, url, options = {}) {
+  const profile = options.profile || getProfile();
+  const { selector } = profile.table;
+  const pageLog = (options.log || log).child(pageFields(url));
+  pageLog.info("page.start", `📄 Scraping: ${url}`);
 
   try {
     // Random pre-navigation delay (1-3 seconds)
-    const preNavDelay = Math.floor(Math.random() * 2000) + 1000;
-    await new Promise((resolve) => setTimeout(resolve, preNavDelay));
+    const preNavDelay = randomDelay(DELAYS.beforeNavigation);
+    await wait(preNavDelay, "beforeNavigation", pageLog, "debug", `⏳ Waiting ${preNavDelay}ms before navigating`);
 
     await page.goto(url, {
       waitUntil: "domcontentloaded", // More reliable than networkidle2
-      timeout: 500000,
+      timeout: NAVIGATION_TIMEOUT,
     });
 
     // Simulate human-like behavior
@@ -187,232 +177,538 @@ async function scrapePage(page, url) {
       window.scrollTo(0, Math.floor(Math.random() * 400));
     });
 
-    // Check for CAPTCHA or verification page
-    const pageTitle = await page.title();
-    const pageUrl = await page.url();
-
-    if (
-      pageTitle.includes("Verification") ||
-      pageTitle.includes("CAPTCHA") ||
-      pageUrl.includes("verify") ||
-      pageTitle.includes("Bot") ||
-      pageTitle.includes("Security Check")
-    ) {
-      console.error(
-        "❌ Human verification required. Cannot proceed in headless mode."
+    // Check for a CAPTCHA / verification page or the login page (session expired)
+    const problem = await detectSessionProblem(page);
+    if (problem) {
+      pageLog.error(
+        "page.session_problem",
+        problem.status === SCRAPE_STATUS.CAPTCHA
+          ? "❌ Human verification required. Cannot proceed in headless mode."
+          : "❌ Session expired or not logged in. Please update SESSION_DATA secret.",
+        { status: problem.status, reason: problem.reason }
       );
-      return null;
+      return createOutcome(problem.status, problem);
     }
 
-    // Check if we're on login page (session expired)
-    if (
-      pageUrl.includes("login") ||
-      pageTitle.includes("Login") ||
-      pageTitle.includes("Sign In")
-    ) {
-      console.error(
-        "❌ Session expired or not logged in. Please update SESSION_DATA secret."
-      );
-      return null;
+    // Wait for the table with random timeout
+    const tableTimeout = randomDelay(DELAYS.tableTimeout); // 10-20 seconds
+    const tableFound = await page
+      .waitForSelector(selector, { timeout: tableTimeout })
+      .then(() => true)
+      .catch(() => false);
+
+    // Archive pages with and without the table, so layout changes can be
+    // looked at and re-parsed later
+    if (options.archiveDir) {
+      await archiveCurrentPage(page, options.archiveDir, pageLog);
     }
 
-    // Wait for the table with random timeout
-    const tableTimeout = Math.floor(Math.random() * 10000) + 10000; // 10-20 seconds
-    try {
-      await page.waitForSelector("#sites_tbl", { timeout: tableTimeout });
-    } catch (error) {
-      console.error(`❌ Table #sites_tbl not found on page: ${url}`);
-      return null;
+    if (!tableFound) {
+      pageLog.error("page.missing_table", `❌ Table ${selector} not found on page: ${url}`, {
+        selector,
+        timeoutMs: tableTimeout,
+      });
+      return createOutcome(SCRAPE_STATUS.LAYOUT_CHANGED, {
+        reason: FAILURE_REASONS.MISSING_TABLE,
+        message: `${selector} not found within ${tableTimeout}ms`,
+      });
     }
 
     // Add small delay before extracting data
-    await new Promise((resolve) =>
-      setTimeout(resolve, 1000 + Math.random() * 2000)
-    );
+    const extractionDelay = randomDelay(DELAYS.beforeExtraction);
+    await wait(extractionDelay, "beforeExtraction", pageLog, "debug", `⏳ Waiting ${extractionDelay}ms before extracting`);
+
+    // Extract data from the table, then add provenance fields and validate;
+    // rows that fail validation are quarantined
+    const tableData = await extractTable(page, profile.table);
+
+    if (tableData.length === 0) {
+      return createOutcome(SCRAPE_STATUS.EMPTY, {
+        reason: FAILURE_REASONS.EMPTY_TABLE,
+        message: "Table has no data rows",
+      });
+    }
 
-    // Extract data from the table
-    const tableData = await page.evaluate(() => {
-      const table = document.querySelector("#sites_tbl");
-      if (!table) return [];
-
-      const rows = Array.from(table.querySelectorAll("tr"));
-      // Skip header row if it exists
-      const dataRows = rows.slice(1);
-
-      return dataRows
-        .map((row, index) => {
-          const cells = Array.from(row.querySelectorAll("td, th"));
-
-          // Extract data with fallbacks
-          const rank = cells[0]?.textContent?.trim() || `row-${index + 1}`;
-          const domainLink = cells[1]?.querySelector("a");
-          const ipLink = cells[2]?.querySelector("a");
-          const ownerLink = cells[4]?.querySelector("a");
-
-          return {
-            rank: rank,
-            domain:
-              cells[1]?.textContent?.trim() ||
-              domainLink?.textContent?.trim() ||
-              "",
-            domainUrl: domainLink?.href || "",
-            ipAddress:
-              cells[2]?.textContent?.trim() ||
-              ipLink?.textContent?.trim() ||
-              "",
-            ipAddressUrl: ipLink?.href || "",
-            location: cells[3]?.textContent?.trim() || "",
-            owner:
-              cells[4]?.textContent?.trim() ||
-              ownerLink?.textContent?.trim() ||
-              "",
-            ownerUrl: ownerLink?.href || "",
-            lastUpdate: cells[5]?.textContent?.trim() || "",
-            sourceUrl: window.location.href,
-            scrapedAt: new Date().toISOString(),
-            // Add a unique identifier by combining rank and domain
-            uniqueId: `${rank}-${cells[1]?.textContent?.trim() || ""}`.replace(
-              /\s+/g,
-              "-"
-            ),
-          };
-        })
-        .filter((row) => row.domain || row.ipAddress); // Filter out empty rows
-    });
+    const { records, quarantined } = prepareRecords(
+      tableData,
+      {
+        sourceUrl: page.url(),
+        scrapedAt: new Date().toISOString(),
+        chunkId: options.chunkId,
+        runId: options.runId,
+      },
+      profile
+    );
 
-    console.log(`✅ Extracted ${tableData.length} rows from ${url}`);
-    return tableData;
+    pageLog.info(
+      "page.extracted",
+      `✅ Extracted ${tableData.length} rows from ${url}${
+        quarantined.length > 0 ? ` (${quarantined.length} quarantined)` : ""
+      }`,
+      { rows: tableData.length, quarantined: quarantined.length }
+    );
+    return createOutcome(SCRAPE_STATUS.OK, { records, quarantined });
   } catch (error) {
-    console.error(`❌ Error scraping ${url}:`, error.message);
-    return null;
+    if (error.code === "UNKNOWN_LAYOUT") {
+      pageLog.error("page.unknown_layout", `❌ ${error.message}`, { error: error.message });
+      return createOutcome(SCRAPE_STATUS.LAYOUT_CHANGED, {
+        reason: FAILURE_REASONS.UNKNOWN_LAYOUT,
+        message: error.message,
+      });
+    }
+    pageLog.error("page.error", `❌ Error scraping ${url}: ${error.message}`, {
+      error: error.message,
+      errorName: error.name,
+    });
+    return createOutcome(SCRAPE_STATUS.NETWORK_ERROR, {
+      reason:
+        error.name === "TimeoutError"
+          ? FAILURE_REASONS.NAVIGATION_TIMEOUT
+          : FAILURE_REASONS.ERROR,
+      message: error.message,
+    });
   }
 }
 
 /**
- * Save data to CSV file
- * @param {Array} data Array of data objects
- * @param {String} filename Output filename
+ * Scrape the pages of one chunk into a data file, resuming from its
+ * checkpoint, recording failed pages in its ledger and the run in its
+ * metadata sidecar
+ * @param {Object} options Chunk options
+ * @param {Object} options.target Target the chunk belongs to
+ * @param {String} options.chunkNumber Chunk number (e.g., "0001")
+ * @param {String} [options.chunkSet] Chunk set inside the target (e.g., "retry")
+ * @param {Array} options.urls URLs of the chunk
+ * @param {Array} [options.cookies] Session cookies
+ * @param {String} [options.outputDir] Data directory, defaults to data/<target>
+ * @param {String} [options.format] Output format for a new data file
+ * @param {Boolean} [options.archive] Save the raw HTML of every page
+ * @returns {Promise<Object>} { exitCode, outputFile, ledgerPath,
+ *   checkpointPath, runMetadataPath, recordCount, successCount, failCount }
  */
-async function saveToCSV(data, filename) {
-  const csvWriter = createObjectCsvWriter({
-    path: filename,
-    header: [
-      { id: "rank", title: "Rank" },
-      { id: "domain", title: "Domain" },
-      { id: "domainUrl", title: "Domain_URL" },
-      { id: "ipAddress", title: "IP_Address" },
-      { id: "ipAddressUrl", title: "IP_Address_URL" },
-      { id: "location", title: "Location" },
-      { id: "owner", title: "Owner" },
-      { id: "ownerUrl", title: "Owner_URL" },
-      { id: "lastUpdate", title: "Last_Update" },
-      { id: "sourceUrl", title: "Source_URL" },
-      { id: "scrapedAt", title: "Scraped_At" },
-      { id: "uniqueId", title: "Unique_ID" },
-    ],
+async function processChunk({
+  target,
+  chunkNumber,
+  chunkSet = null,
+  urls,
+  cookies = [],
+  outputDir = path.join(OUTPUT_DIR, target.name),
+  format,
+  archive = false,
+}) {
+  const profile = getProfile(target.table);
+  const chunkLabel = chunkSet
+    ? `${chunkSet}_chunk_${chunkNumber}`
+    : `chunk_${chunkNumber}`;
+  const chunkLog = log.child({ target: target.name, chunk: chunkLabel });
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  // Resume from the checkpoint of an interrupted run of this chunk
+  const checkpointPath = getCheckpointPath(outputDir, chunkLabel);
+  const checkpoint = loadCheckpoint(checkpointPath) || {
+    chunk: chunkNumber,
+    chunkSet,
+    target: target.name,
+    outputFile: `data_${chunkLabel}_${new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")}${OUTPUT_FORMATS[resolveFormat(format)]}`,
+    startedAt: new Date().toISOString(),
+    completedUrls: [],
+  };
+  // A resumed chunk keeps the format it was started with
+  const outputFile = path.join(outputDir, checkpoint.outputFile);
+  const outputFormat = path.extname(outputFile).slice(1);
+  const completed = new Set(checkpoint.completedUrls);
+  const pendingUrls = urls.filter((url) => !completed.has(url));
+
+  // Raw HTML goes to archive/<target>/<data file name>/, so
+  // reparse_archive.js can rebuild the same data file from it
+  const archiveDir = archive
+    ? getArchiveDir(target.name, checkpoint.outputFile)
+    : null;
+  if (archiveDir) {
+    chunkLog.info("chunk.archive", `🗄️ Archiving page HTML to ${archiveDir}`, { archiveDir });
+  }
+
+  const writer = createWriter(outputFormat, outputFile, profile.fields);
+
+  // Rows that fail validation are kept next to the data file as well
+  const quarantinePath = getQuarantinePath(outputFile);
+  const quarantine = createWriter(outputFormat, quarantinePath, getQuarantineFields(profile));
+
+  // Failures are kept in a ledger next to the data file, carried over on resume
+  const ledgerPath = getLedgerPath(outputFile);
+  const ledger = loadLedger(ledgerPath) || {
+    target: target.name,
+    chunk: chunkNumber,
+    chunkSet,
+    dataFile: checkpoint.outputFile,
+    failures: [],
+  };
+
+  // Each run (a resumed chunk has several) is added to a sidecar next to the data file
+  const runMetadataPath = getRunMetadataPath(outputFile);
+  const runHeader = {
+    target: target.name,
+    chunk: chunkNumber,
+    chunkSet,
+    dataFile: checkpoint.outputFile,
+  };
+
+  if (completed.size > 0) {
+    chunkLog.info(
+      "chunk.resume",
+      `♻️ Resuming from checkpoint: ${completed.size} pages already saved to ${checkpoint.outputFile}`,
+      { completed: completed.size, dataFile: checkpoint.outputFile }
+    );
+  }
+
+  // Setup browser
+  const { browser, page, userAgent } = await setupBrowser(cookies);
+  const run = createRun({
+    urlCount: urls.length,
+    skippedCount: urls.length - pendingUrls.length,
+    userAgent,
   });
+  saveRunMetadata(runMetadataPath, runHeader, run);
+  const runLog = chunkLog.child({ runId: run.runId });
+  runLog.info("run.start", `🆔 Run ${run.runId}`, { userAgent });
+
+  // Process each remaining URL in the chunk
+  let successCount = 0;
+  let failCount = 0;
+
+  // Rows are written as each page finishes, so on SIGTERM/SIGINT only the
+  // write in progress has to be awaited before the checkpoint is flushed
+  let pendingWrite = Promise.resolve();
+  const flushAndExit = async (signal) => {
+    runLog.warn("chunk.interrupted", `\n🛑 Received ${signal}, flushing progress...`, { signal });
+    await pendingWrite.catch(() => {});
+    saveCheckpoint(checkpointPath, {
+      ...checkpoint,
+      completedUrls: Array.from(completed),
+    });
+    runLog.info(
+      "chunk.checkpoint",
+      `💾 Checkpoint saved (${completed.size}/${urls.length} pages done): ${checkpointPath}`,
+      { completed: completed.size, urls: urls.length, checkpointPath }
+    );
+    finishRun(run, { status: "interrupted", exitCode: null, successCount, failCount });
+    saveRunMetadata(runMetadataPath, runHeader, run);
+    await browser.close().catch(() => {});
+    process.exit(signal === "SIGINT" ? 130 : 143);
+  };
+  const onSigterm = () => flushAndExit("SIGTERM");
+  const onSigint = () => flushAndExit("SIGINT");
+  process.once("SIGTERM", onSigterm);
+  process.once("SIGINT", onSigint);
 
-  await csvWriter.writeRecords(data);
-  console.log(`💾 Data saved to ${filename}`);
+  try {
+    let recordCount = 0;
+    let quarantineCount = 0;
+    let abortOutcome = null;
+
+    runLog.info("chunk.start", `🔄 Starting to scrape ${pendingUrls.length} pages...`, {
+      urls: urls.length,
+      pending: pendingUrls.length,
+      skipped: urls.length - pendingUrls.length,
+    });
+
+    for (let i = 0; i < pendingUrls.length; i++) {
+      const url = pendingUrls[i];
+      const pageStartedAt = new Date();
+      const outcome = await scrapePage(page, url, {
+        archiveDir,
+        profile,
+        chunkId: `${target.name}/${chunkLabel}`,
+        runId: run.runId,
+        log: runLog,
+      });
+      const data = outcome.records;
+      const durationMs = Date.now() - pageStartedAt;
+      recordPage(run, url, outcome, pageStartedAt.toISOString(), durationMs);
+
+      if (outcome.status === SCRAPE_STATUS.OK) {
+        pendingWrite = writer
+          .write(data)
+          .then(() =>
+            quarantine.write(
+              outcome.quarantined.map((result) =>
+                toQuarantineRow(result, checkpoint.outputFile)
+              )
+            )
+          )
+          .then(() => {
+            completed.add(url);
+            saveCheckpoint(checkpointPath, {
+              ...checkpoint,
+              completedUrls: Array.from(completed),
+            });
+          });
+        await pendingWrite;
+        recordCount += data.length;
+        quarantineCount += outcome.quarantined.length;
+        successCount++;
+        resolveFailure(ledger, url);
+        runLog.info("page.ok", `✅ Success: ${url} (${data.length} records)`, {
+          ...pageFields(url),
+          status: outcome.status,
+          records: data.length,
+          quarantined: outcome.quarantined.length,
+          durationMs,
+        });
+      } else {
+        failCount++;
+        recordFailure(ledger, url, outcome);
+        runLog.warn("page.failed", `❌ Failed: ${url} (${outcome.status}: ${outcome.reason})`, {
+          ...pageFields(url),
+          status: outcome.status,
+          reason: outcome.reason,
+          error: outcome.message,
+          durationMs,
+        });
+      }
+      saveLedger(ledgerPath, ledger);
+      saveRunMetadata(runMetadataPath, runHeader, run);
+
+      // An expired session or a CAPTCHA fails every following page as well,
+      // and so does a table whose headers the extractor no longer knows
+      if (
+        ABORT_STATUSES.includes(outcome.status) ||
+        outcome.reason === FAILURE_REASONS.UNKNOWN_LAYOUT
+      ) {
+        abortOutcome = outcome;
+        runLog.error(
+          "chunk.abort",
+          `🛑 Stopping chunk after ${outcome.status}; ${
+            pendingUrls.length - i - 1
+          } pages left unscraped`,
+          { status: outcome.status, reason: outcome.reason, unscraped: pendingUrls.length - i - 1 }
+        );
+        break;
+      }
+
+      // Add RANDOM delay between requests (3-8 seconds)
+      if (i < pendingUrls.length - 1) {
+        const delayMs = getRandomDelay();
+        await wait(
+          delayMs,
+          "betweenPages",
+          runLog.child(pageFields(pendingUrls[i + 1])),
+          "info",
+          `⏳ Waiting ${delayMs / 1000}s before next request...`
+        );
+      }
+    }
+
+    // Keep the checkpoint while pages are missing so a rerun only retries those
+    if (completed.size === urls.length) {
+      clearCheckpoint(checkpointPath);
+    } else {
+      runLog.info(
+        "chunk.checkpoint",
+        `📌 Checkpoint kept for ${urls.length - completed.size} unfinished pages: ${checkpointPath}`,
+        { completed: completed.size, urls: urls.length, checkpointPath }
+      );
+    }
+
+    const exitCode = getExitCode(abortOutcome, failCount);
+    finishRun(run, { status: "completed", exitCode, successCount, failCount });
+    saveRunMetadata(runMetadataPath, runHeader, run);
+
+    // One event with the totals of the run, printed as a block in pretty mode
+    const summary = {
+      exitCode,
+      urls: urls.length,
+      skipped: urls.length - pendingUrls.length,
+      succeeded: successCount,
+      failed: failCount,
+      records: recordCount,
+      quarantined: quarantineCount,
+      durationMs: run.durationMs,
+      outputFile,
+      ledgerPath: ledger.failures.length > 0 ? ledgerPath : null,
+      runMetadataPath,
+    };
+    if (completed.size > 0) {
+      const lines = [
+        `\n🎉 ${chunkLabel} processing completed!`,
+        `📈 Summary:`,
+        `   Total URLs in chunk: ${urls.length}`,
+        `   Skipped (already saved): ${summary.skipped}`,
+        `   Successful scrapes: ${successCount}`,
+        `   Failed scrapes: ${failCount}`,
+        `   Records collected in this run: ${recordCount}`,
+        `   Output file: ${outputFile}`,
+      ];
+      if (quarantineCount > 0) {
+        lines.push(`   Quarantined rows: ${quarantineCount} (${quarantinePath})`);
+      }
+      if (ledger.failures.length > 0) {
+        lines.push(`   Failure ledger: ${ledgerPath}`);
+      }
+      runLog.info("chunk.summary", lines.join("\n"), summary);
+    } else {
+      runLog.warn("chunk.summary", "❌ No data was scraped from this chunk", summary);
+    }
+    runLog.info("run.saved", `📝 Run metadata saved to ${runMetadataPath}`, { runMetadataPath });
+    if (exitCode === EXIT_CODES.SESSION_EXPIRED) {
+      runLog.error(
+        "session.expired",
+        "🔑 Session expired. Run local_scraper.js and update the SESSION_DATA secret."
+      );
+    }
+
+    return {
+      exitCode,
+      outputFile,
+      ledgerPath,
+      checkpointPath,
+      runMetadataPath,
+      recordCount,
+      successCount,
+      failCount,
+    };
+  } finally {
+    // An error thrown mid-chunk still closes the run
+    if (run.status === "running") {
+      finishRun(run, { status: "failed", exitCode: EXIT_CODES.FATAL, successCount, failCount });
+      saveRunMetadata(runMetadataPath, runHeader, run);
+    }
+    process.removeListener("SIGTERM", onSigterm);
+    process.removeListener("SIGINT", onSigint);
+    runLog.info("browser.close", "🔚 Closing browser...");
+    await browser.close();
+  }
 }
 
 /**
  * Main function
+ * @param {Array} [argv] Command line arguments, defaults to process.argv
  */
-async function main() {
-  // Get chunk number from command line arguments
-  const chunkNumber = process.argv[2];
+async function main(argv = process.argv.slice(2)) {
+  // Get chunk number and optional target name from command line arguments;
+  // --retry and --refresh read the chunk from the retry or refresh set
+  // written by url_generator.js --retry / --refresh
+  // --format csv|jsonl picks the output format and --archive-html saves
+  // the raw HTML of every page for reparse_archive.js
+  const { positional, flags } = parseArgs(argv, ["format"]);
+  const [chunkNumber, targetName] = positional;
+  const chunkSet = flags.retry ? "retry" : flags.refresh ? "refresh" : null;
   if (!chunkNumber) {
-    console.error(
-      "❌ No chunk number specified. Usage: node worker_script.js <chunk_number>"
+    log.error(
+      "worker.usage",
+      "❌ No chunk number specified. Usage: node worker_script.js <chunk_number> [target] [--retry | --refresh] [--format csv|jsonl] [--archive-html]\n" +
+        "Example: node worker_script.js 0001 shopify"
     );
-    console.error("Example: node worker_script.js 1");
-    process.exit(1);
+    process.exit(EXIT_CODES.FATAL);
   }
-
-  console.log(`🎯 Starting to process chunk ${chunkNumber}`);
+  const chunkLabel = chunkSet
+    ? `${chunkSet}_chunk_${chunkNumber}`
+    : `chunk_${chunkNumber}`;
 
   try {
     // Load cookies and URLs
-    console.log("🔧 Loading configuration...");
+    log.info("worker.config", "🔧 Loading configuration...");
+    const target = getTarget(targetName);
+    const format = resolveFormat(flags.format || getConfig().format);
+    // Chunks are appended to page by page, which a JSON array does not allow
+    if (!APPEND_FORMATS.includes(format)) {
+      throw new Error(
+        `Chunks cannot be written as ${format}; use --format ${APPEND_FORMATS.join(" or ")} (consolidate writes JSON)`
+      );
+    }
+    const chunkLog = log.child({ target: target.name, chunk: chunkLabel });
+    chunkLog.info(
+      "worker.start",
+      `🎯 Starting to process ${chunkLabel} of target "${target.name}"`,
+      { chunkSet, format }
+    );
+
     const cookies = loadCookiesFromEnv();
-    const urls = loadUrlsFromChunk(chunkNumber);
-
-    console.log(`📊 Loaded ${urls.length} URLs from chunk_${chunkNumber}.txt`);
-    console.log(`🔑 Loaded ${cookies.length} session cookies`);
-
-    // Setup browser
-    const { browser, page } = await setupBrowser(cookies);
-
-    try {
-      // Process each URL in the chunk
-      let allData = [];
-      let successCount = 0;
-      let failCount = 0;
-
-      console.log(`🔄 Starting to scrape ${urls.length} pages...`);
-
-      for (let i = 0; i < urls.length; i++) {
-        const url = urls[i];
-        const data = await scrapePage(page, url);
-
-        if (data && data.length > 0) {
-          allData = [...allData, ...data];
-          successCount++;
-          console.log(`✅ Success: ${url} (${data.length} records)`);
-        } else {
-          failCount++;
-          console.log(`❌ Failed: ${url}`);
-        }
-
-        // Add RANDOM delay between requests (3-8 seconds)
-        if (i < urls.length - 1) {
-          const randomDelay = getRandomDelay();
-          console.log(
-            `⏳ Waiting ${randomDelay / 1000}s before next request...`
-          );
-          await new Promise((resolve) => setTimeout(resolve, randomDelay));
-        }
-      }
+    const urls = loadUrlsFromChunk(chunkNumber, target, chunkSet);
+    chunkLog.info("chunk.load", `📊 Loaded ${urls.length} URLs from ${chunkLabel}.txt`, {
+      urls: urls.length,
+    });
+    chunkLog.info("cookies.load", `🔑 Loaded ${cookies.length} session cookies`, {
+      cookies: cookies.length,
+    });
 
-      // Save the scraped data
-      if (allData.length > 0) {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-        const outputFile = path.join(
-          OUTPUT_DIR,
-          `data_chunk_${chunkNumber}_${timestamp}.csv`
-        );
-        await saveToCSV(allData, outputFile);
-
-        console.log(`\n🎉 Chunk ${chunkNumber} processing completed!`);
-        console.log(`📈 Summary:`);
-        console.log(`   Total URLs processed: ${urls.length}`);
-        console.log(`   Successful scrapes: ${successCount}`);
-        console.log(`   Failed scrapes: ${failCount}`);
-        console.log(`   Total records collected: ${allData.length}`);
-        console.log(`   Output file: ${outputFile}`);
-      } else {
-        console.log("❌ No data was scraped from this chunk");
-      }
-    } finally {
-      console.log("🔚 Closing browser...");
-      await browser.close();
-    }
+    const { exitCode } = await processChunk({
+      target,
+      chunkNumber,
+      chunkSet,
+      urls,
+      cookies,
+      format,
+      archive: Boolean(flags["archive-html"]) || getConfig().archiveHtml,
+    });
+    process.exitCode = exitCode;
   } catch (error) {
-    console.error("💥 An error occurred:", error.message);
-    process.exit(1);
+    log.error("worker.fatal", `💥 An error occurred: ${error.message}`, { error: error.message });
+    process.exit(EXIT_CODES.FATAL);
   }
 }
 
-// Handle uncaught exceptions
-process.on("uncaughtException", (error) => {
-  console.error("💥 Uncaught Exception:", error);
-  process.exit(1);
-});
+/**
+ * Exit code for the end of a chunk run
+ * @param {Object|null} abortOutcome Outcome that stopped the chunk, if any
+ * @param {Number} failCount Number of failed pages
+ * @returns {Number} One of EXIT_CODES
+ */
+function getExitCode(abortOutcome, failCount) {
+  if (abortOutcome) {
+    if (abortOutcome.status === SCRAPE_STATUS.SESSION_EXPIRED) {
+      return EXIT_CODES.SESSION_EXPIRED;
+    }
+    if (abortOutcome.status === SCRAPE_STATUS.CAPTCHA) {
+      return EXIT_CODES.CAPTCHA;
+    }
+    return EXIT_CODES.LAYOUT_CHANGED;
+  }
+  return failCount > 0 ? EXIT_CODES.PAGE_FAILURES : EXIT_CODES.OK;
+}
+
+/**
+ * Exit with EXIT_CODES.FATAL on an uncaught exception or unhandled rejection,
+ * so the workflow tells a crash from the other outcomes. Installed when the
+ * worker runs on its own and by "cli.js scrape".
+ */
+function installProcessHandlers() {
+  process.on("uncaughtException", (error) => {
+    log.error("worker.fatal", `💥 Uncaught Exception: ${error.stack || error}`, {
+      error: String(error),
+    });
+    process.exit(EXIT_CODES.FATAL);
+  });
+
+  process.on("unhandledRejection", (reason) => {
+    log.error("worker.fatal", `💥 Unhandled Rejection: ${(reason && reason.stack) || reason}`, {
+      error: String(reason),
+    });
+    process.exit(EXIT_CODES.FATAL);
+  });
+}
 
-process.on("unhandledRejection", (reason, promise) => {
-  console.error("💥 Unhandled Rejection at:", promise, "reason:", reason);
-  process.exit(1);
-});
+if (require.main === module) {
+  installProcessHandlers();
+  main();
+}
 
-main();
+module.exports = {
+  FAILURE_REASONS,
+  SCRAPE_STATUS,
+  EXIT_CODES,
+  DELAYS,
+  getRandomDelay,
+  loadCookiesFromEnv,
+  loadUrlsFromChunk,
+  setupBrowser,
+  scrapePage,
+  processChunk,
+  installProcessHandlers,
+  main,
+};